@@ -1,3 +1,5 @@
+import { setSiteLocation } from "./site-location.js";
+
 // Sets up the custom background modal for creating solid color backgrounds
 export function initCustomBackground(fabricCanvas, mainModal, updateStepIndicators, handleCrop, setBackgroundSource) {
   const elements = {
@@ -155,6 +157,7 @@ export function initCustomBackground(fabricCanvas, mainModal, updateStepIndicato
     const dataUrl = tempCanvas.toDataURL("image/png");
     bootstrap.Modal.getInstance(elements.customBackgroundModal)?.hide();
     setBackgroundSource("custom");
+    setSiteLocation(fabricCanvas, null);
     handleCrop(dataUrl);
     updateStepIndicators(2);
   };
@@ -1,3 +1,5 @@
+import { setSiteLocation } from "./site-location.js";
+
 // Sets up the map background modal for Google Maps integration
 export function initMapBackground(fabricCanvas, mainModal, updateStepIndicators, handleCrop, setBackgroundSource) {
   const elements = {
@@ -138,6 +140,8 @@ export function initMapBackground(fabricCanvas, mainModal, updateStepIndicators,
 
     const center = map.getCenter();
     const zoom = map.getZoom();
+    // Static map images are always north-up, so the captured site has no bearing
+    const siteLocation = { lat: center.lat(), lng: center.lng(), bearing: 0 };
     const mapType = elements.mapTypeSelect?.value || "satellite";
 
     let width = 1024,
@@ -165,6 +169,7 @@ export function initMapBackground(fabricCanvas, mainModal, updateStepIndicators,
       .then(() => {
         bootstrap.Modal.getInstance(elements.mapModal)?.hide();
         setBackgroundSource("map");
+        setSiteLocation(fabricCanvas, siteLocation);
         handleCrop(staticMapUrl);
         updateStepIndicators(2);
       })
@@ -174,6 +179,7 @@ export function initMapBackground(fabricCanvas, mainModal, updateStepIndicators,
           .then(() => {
             bootstrap.Modal.getInstance(elements.mapModal)?.hide();
             setBackgroundSource("map");
+            setSiteLocation(fabricCanvas, siteLocation);
             handleCrop(fallbackUrl);
             updateStepIndicators(2);
           })
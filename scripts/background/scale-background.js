@@ -533,7 +533,6 @@ export function initScaleBackground(fabricCanvas, getCroppedCanvas, updateStepIn
     layers.drawings = { objects: [], visible: true, opacity: 1 };
     layers.devices = { objects: [], visible: true, opacity: 1 };
     layers.background = { objects: [], visible: true, opacity: 1 };
-    window.deviceCounter = 1;
     window.zones = [];
 
     fabric.Image.fromURL(
@@ -2,6 +2,7 @@ import { initCropBackground } from "./crop-background.js";
 import { initCustomBackground } from "./custom-background.js";
 import { initMapBackground } from "./map-background.js";
 import { initScaleBackground } from "./scale-background.js";
+import { setSiteLocation } from "./site-location.js";
 
 // Sets up the background selection modal
 export function initSelectBackground(fabricCanvas) {
@@ -86,6 +87,7 @@ export function initSelectBackground(fabricCanvas) {
   function processFile(source, url) {
     isFileUpload = true;
     selectedBackground = source;
+    setSiteLocation(fabricCanvas, null);
     bootstrap.Modal.getInstance(elements.customModal)?.hide();
     cropHandler.handleCrop(url);
     updateStepIndicators(2);
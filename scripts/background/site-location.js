@@ -0,0 +1,21 @@
+// Site location: where a georeferenced floor sits on the globe and which way north points on the plan
+
+// Gets the floor's site location ({ lat, lng, bearing }), or null if the background isn't a captured map
+export const getSiteLocation = (fabricCanvas) => {
+  const location = fabricCanvas?.siteLocation;
+  return location && Number.isFinite(location.lat) && Number.isFinite(location.lng) ? location : null;
+};
+
+// Stores the floor's site location and tells the north arrow and sun checks to refresh
+export function setSiteLocation(fabricCanvas, location) {
+  if (!fabricCanvas) return;
+  fabricCanvas.siteLocation = location ? { lat: Number(location.lat), lng: Number(location.lng), bearing: Number(location.bearing) || 0 } : null;
+  document.dispatchEvent(new CustomEvent("site-location-changed", { detail: { siteLocation: fabricCanvas.siteLocation } }));
+}
+
+// Gets which way north points on the plan, in degrees clockwise from straight up, or null if the site isn't located
+// The map's bearing is the compass heading at the top of the captured image, so north sits that far anticlockwise
+export const getNorthAngle = (fabricCanvas) => {
+  const location = getSiteLocation(fabricCanvas);
+  return location ? (360 - (location.bearing % 360)) % 360 : null;
+};
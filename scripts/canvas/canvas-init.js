@@ -12,7 +12,10 @@ import { initContextMenu } from "./context-menu.js";
 import { setupTextTools } from "../drawing/text-tools.js";
 import { setupShapeTools } from "../drawing/shapes.js";
 import { setupMeasurementTools } from "../drawing/measurements.js";
+import { setupDensityProbeTool } from "../drawing/density-probe.js";
 import { setupWallTool } from "../drawing/walls.js";
+import { setupObstacleTool } from "../drawing/obstacles.js";
+import { setupWallOpeningTools } from "../drawing/wall-openings.js";
 import { setupZoneTool, setupRoomTool } from "../drawing/polygon-drawer.js";
 import { setupNorthArrowTool } from "../drawing/north-arrow.js";
 import { setupTitleBlockTool } from "../drawing/titleblock.js";
@@ -25,7 +28,16 @@ import { setupNetworkLinkTool } from "../drawing/network-link.js";
 import { initTakeoffFeature } from "../devices/device-takeoff.js";
 import { SaveSystem } from "../save/save-system.js";
 import { addCameraCoverage } from "../devices/camera/camera-core.js";
+import { initPixelDensityHeatmap } from "../devices/camera/camera-heatmap.js";
+import { initNightView } from "../devices/camera/camera-display.js";
+import { initCameraOverlapMap } from "../devices/camera/camera-overlap.js";
+import { initPowerBudget } from "../network/power-budget.js";
+import { initSunGlare } from "../devices/camera/camera-sun-glare.js";
+import { initDeviceNaming } from "../devices/device-naming.js";
+import { initDeviceStatus } from "../devices/device-status.js";
+import { initCustomFieldEditor } from "../devices/device-custom-fields.js";
 import { initFloorManager } from "../floor/floor-manager.js";
+import { initDeviceSearch } from "../floor/device-search.js";
 import { CanvasUndoSystem } from "./canvas-undo.js";
 import { TopologyManager } from "../network/topology-manager.js";
 import { initTopologyBuilder } from "../network/topology-builder.js";
@@ -78,7 +90,7 @@ window.onload = function () {
   window.fabricCanvas = fabricCanvas;
 
   // Initialize core canvas features
-  const coreModules = [() => initCanvasOperations(fabricCanvas), () => initDragDropDevices(fabricCanvas), () => initSelectBackground(fabricCanvas), () => initCanvasLayers(fabricCanvas), () => initCanvasPrint(fabricCanvas), () => initCanvasCrop(fabricCanvas), () => initContextMenu(fabricCanvas)];
+  const coreModules = [() => initCanvasOperations(fabricCanvas), () => initDragDropDevices(fabricCanvas), () => initSelectBackground(fabricCanvas), () => initCanvasLayers(fabricCanvas), () => initCanvasPrint(fabricCanvas), () => initCanvasCrop(fabricCanvas), () => initContextMenu(fabricCanvas), () => initPixelDensityHeatmap(fabricCanvas), () => initNightView(fabricCanvas), () => initCameraOverlapMap(fabricCanvas), () => initPowerBudget(fabricCanvas), () => initSunGlare(fabricCanvas), () => initDeviceNaming(fabricCanvas), () => initDeviceStatus(fabricCanvas), () => initCustomFieldEditor(), () => initDeviceSearch(fabricCanvas)];
 
   coreModules.forEach((init) => init());
 
@@ -87,7 +99,7 @@ window.onload = function () {
   window.canvasSnapping = snappingAPI;
 
   // Initialize drawing tools
-  const drawingTools = [() => setupTextTools(fabricCanvas), () => setupShapeTools(fabricCanvas), () => setupMeasurementTools(fabricCanvas), () => setupWallTool(fabricCanvas), () => setupZoneTool(fabricCanvas), () => setupRoomTool(fabricCanvas), () => setupNorthArrowTool(fabricCanvas), () => setupTitleBlockTool(fabricCanvas), () => setupLineTools(fabricCanvas), () => setupBuildingFrontTool(fabricCanvas), () => setupImageUploadTool(fabricCanvas), () => setupNetworkLinkTool(fabricCanvas)];
+  const drawingTools = [() => setupTextTools(fabricCanvas), () => setupShapeTools(fabricCanvas), () => setupMeasurementTools(fabricCanvas), () => setupDensityProbeTool(fabricCanvas), () => setupWallTool(fabricCanvas), () => setupObstacleTool(fabricCanvas), () => setupWallOpeningTools(fabricCanvas), () => setupZoneTool(fabricCanvas), () => setupRoomTool(fabricCanvas), () => setupNorthArrowTool(fabricCanvas), () => setupTitleBlockTool(fabricCanvas), () => setupLineTools(fabricCanvas), () => setupBuildingFrontTool(fabricCanvas), () => setupImageUploadTool(fabricCanvas), () => setupNetworkLinkTool(fabricCanvas)];
 
   drawingTools.forEach((setup) => setup());
 
@@ -126,6 +138,7 @@ window.onload = function () {
       AddCommand: CanvasUndoSystem.AddCommand,
       RemoveCommand: CanvasUndoSystem.RemoveCommand,
       MultipleCommand: CanvasUndoSystem.MultipleCommand,
+      PropertyCommand: CanvasUndoSystem.PropertyCommand,
     },
     debugTopology: () => topologyManager.debugConnections(),
   };
@@ -34,6 +34,8 @@ let isInitialized = false;
 let eventListeners = new Map();
 let domItemsChangedHandler = null;
 const perItemContainers = { zones: null, rooms: null };
+// Device statuses hidden by the layer menu's status filter ("" hides devices without a status)
+const hiddenStatuses = new Set();
 
 // Initializes the layer system
 export function initCanvasLayers(canvas) {
@@ -240,11 +242,24 @@ const categorizeObject = (obj) => {
   }
 };
 
+// Collects the devices, and the labels and coverage attached to them, whose status is filtered out
+const getStatusHiddenObjects = () => {
+  const hidden = new Set();
+  if (!hiddenStatuses.size || !fabricCanvas) return hidden;
+  fabricCanvas.getObjects().forEach((obj) => {
+    if (obj.type !== "group" || !obj.deviceType || obj.deviceType === "title-block" || !hiddenStatuses.has(obj.deviceStatus || "")) return;
+    hidden.add(obj);
+    ["textObject", "coverageArea", "leftResizeIcon", "rightResizeIcon", "rotateResizeIcon"].forEach((prop) => obj[prop] && hidden.add(obj[prop]));
+  });
+  return hidden;
+};
+
 // Apply visibility flags from layers and per-item overrides to canvas objects
 const updateLayerVisibility = () => {
   if (!fabricCanvas) return;
 
   const activeObject = fabricCanvas.getActiveObject();
+  const statusHidden = getStatusHiddenObjects();
 
   Object.keys(layers).forEach((layerName) => {
     layers[layerName].objects.forEach((obj) => {
@@ -255,7 +270,7 @@ const updateLayerVisibility = () => {
         isVisible = isVisible && layers.devices.visible && layers.devices.opacity > 0;
       }
 
-      if (obj._individualVisible === false) isVisible = false;
+      if (obj._individualVisible === false || statusHidden.has(obj)) isVisible = false;
 
       // Background images
       if (layerName === "background" && obj.type === "image") {
@@ -535,6 +550,13 @@ export function refreshLayers() {
   }
 }
 
+// Public: hide devices with the given statuses, or reapply the current filter after a status changes
+export function setHiddenDeviceStatuses(statuses = [...hiddenStatuses]) {
+  hiddenStatuses.clear();
+  statuses.forEach((status) => hiddenStatuses.add(status));
+  updateLayerVisibility();
+}
+
 // Return snapshot of current layers state for diagnostics
 export function getLayersState() {
   return {
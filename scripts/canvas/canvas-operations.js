@@ -114,8 +114,6 @@ export function initCanvasOperations(fabricCanvas) {
     fabricCanvas.clear();
 
     // Reset global state
-    window.cameraCounter = 1;
-    window.deviceCounter = 1;
     window.zones = [];
 
     // Reinitialize layers and canvas state
@@ -391,6 +391,32 @@ class CanvasUndoSystem {
     }
   };
 
+  // Property change command; changes is a list of { object, before, after } value maps
+  // applyValues writes one map onto its object and redraws whatever depends on it
+  static PropertyCommand = class extends CanvasUndoSystem.Command {
+    constructor(canvas, changes, applyValues) {
+      super();
+      this.canvas = canvas;
+      this.changes = changes;
+      this.applyValues = applyValues;
+    }
+
+    execute() {
+      this.apply("after");
+    }
+
+    undo() {
+      this.apply("before");
+    }
+
+    apply(key) {
+      // Objects inside a multi-selection hold coordinates relative to it, so drop the selection first
+      this.canvas.discardActiveObject();
+      this.changes.forEach((change) => this.applyValues(change.object, change[key]));
+      this.canvas.requestRenderAll();
+    }
+  };
+
   // Core undo/redo functionality
   executeCommand(command) {
     if (this.isExecutingCommand) return;
@@ -708,6 +734,7 @@ export function initializeUndo(fabricCanvas) {
     AddCommand: CanvasUndoSystem.AddCommand,
     RemoveCommand: CanvasUndoSystem.RemoveCommand,
     MultipleCommand: CanvasUndoSystem.MultipleCommand,
+    PropertyCommand: CanvasUndoSystem.PropertyCommand,
   };
 
   return undoSystem;
@@ -1,6 +1,8 @@
 // Handles right-click context menu for canvas objects
 import { addCameraCoverage } from "../devices/camera/camera-core.js";
 import { handleObjectDeletion } from "../drawing/drawing-utils.js";
+import { promptObstacleHeight, refreshObstacleCoverage } from "../drawing/obstacles.js";
+import { OPENING_STATES, getOpeningForSymbol, updateWallOpening, removeWallOpening } from "../drawing/wall-openings.js";
 
 export function initContextMenu(fabricCanvas) {
   const canvasEl = fabricCanvas.getElement();
@@ -40,9 +42,28 @@ export function initContextMenu(fabricCanvas) {
   addTextBtn.innerText = "Add Text";
   addTextBtn.setAttribute("style", btnStyle);
 
+  const obstacleHeightBtn = document.createElement("button");
+  obstacleHeightBtn.innerText = "Set Obstacle Height";
+  obstacleHeightBtn.setAttribute("style", btnStyle);
+
+  const openingStateBtn = document.createElement("button");
+  openingStateBtn.setAttribute("style", btnStyle);
+
+  const openingWidthBtn = document.createElement("button");
+  openingWidthBtn.innerText = "Set Opening Width";
+  openingWidthBtn.setAttribute("style", btnStyle);
+
+  const openingFlipBtn = document.createElement("button");
+  openingFlipBtn.innerText = "Flip Swing";
+  openingFlipBtn.setAttribute("style", btnStyle);
+
   menu.appendChild(copyBtn);
   menu.appendChild(splitBtn);
   menu.appendChild(addTextBtn);
+  menu.appendChild(obstacleHeightBtn);
+  menu.appendChild(openingStateBtn);
+  menu.appendChild(openingWidthBtn);
+  menu.appendChild(openingFlipBtn);
   menu.appendChild(deleteBtn);
   document.body.appendChild(menu);
 
@@ -61,6 +82,10 @@ export function initContextMenu(fabricCanvas) {
   addHoverEffect(copyBtn);
   addHoverEffect(splitBtn);
   addHoverEffect(addTextBtn);
+  addHoverEffect(obstacleHeightBtn);
+  addHoverEffect(openingStateBtn);
+  addHoverEffect(openingWidthBtn);
+  addHoverEffect(openingFlipBtn);
   addHoverEffect(deleteBtn, "#ff6b6b");
 
   let currentTarget = null;
@@ -88,6 +113,15 @@ export function initContextMenu(fabricCanvas) {
       splitBtn.style.display = "none";
       addTextBtn.style.display = "none";
     }
+    obstacleHeightBtn.style.display = target.type === "line" && target.isObstacle ? "block" : "none";
+
+    // Door and window openings show their state and the next one in the cycle
+    const opening = target.isWallOpening ? getOpeningForSymbol(target) : null;
+    [openingStateBtn, openingWidthBtn, openingFlipBtn].forEach((btn) => (btn.style.display = opening ? "block" : "none"));
+    if (opening) {
+      const nextState = OPENING_STATES[(OPENING_STATES.indexOf(opening.state) + 1) % OPENING_STATES.length];
+      openingStateBtn.innerText = `Make ${nextState.charAt(0).toUpperCase() + nextState.slice(1)} (now ${opening.state})`;
+    }
 
     menu.style.left = `${x}px`;
     menu.style.top = `${y}px`;
@@ -97,6 +131,12 @@ export function initContextMenu(fabricCanvas) {
   const deleteObject = (target) => {
     if (!target) return;
 
+    // Door and window openings are removed from their wall rather than the canvas
+    if (target.isWallOpening) {
+      removeWallOpening(fabricCanvas, target);
+      return;
+    }
+
     // Use centralized deletion handler if available
     if (typeof handleObjectDeletion === "function") {
       try {
@@ -203,13 +243,24 @@ export function initContextMenu(fabricCanvas) {
         cloned.mountedPosition = target.mountedPosition || "";
         cloned.partNumber = target.partNumber || "";
         cloned.stockNumber = target.stockNumber || "";
+        cloned.deviceStatus = target.deviceStatus || "";
         cloned.ipAddress = target.ipAddress || "";
         cloned.subnetMask = target.subnetMask || "";
         cloned.gatewayAddress = target.gatewayAddress || "";
         cloned.macAddress = target.macAddress || "";
         cloned.focalLength = target.focalLength || "";
+        cloned.focalLengthMin = target.focalLengthMin || "";
+        cloned.focalLengthMax = target.focalLengthMax || "";
         cloned.sensorSize = target.sensorSize || "";
         cloned.resolution = target.resolution || "";
+        cloned.pixelPitch = target.pixelPitch || "";
+        cloned.cameraModelId = target.cameraModelId || "";
+        cloned.cameraManufacturer = target.cameraManufacturer || "";
+        cloned.cameraModel = target.cameraModel || "";
+        cloned.irRange = target.irRange || "";
+        ["recordingFps", "recordingCodec", "bitrateMode", "motionPercent", "retentionDays", "recorderStorage", "recorderChannels", "poeClass", "poeWatts", "dcVoltage", "dcCurrent", "poeBudget", "dcBudget"].forEach((key) => (cloned[key] = target[key] ?? ""));
+        cloned.isOutdoor = !!target.isOutdoor;
+        cloned.customFields = { ...(target.customFields || {}) };
         cloned.scaleFactor = target.scaleFactor || 1;
         cloned.hoverCursor = target.hoverCursor;
 
@@ -506,6 +557,40 @@ export function initContextMenu(fabricCanvas) {
     hideMenu();
   });
 
+  obstacleHeightBtn.addEventListener("click", () => {
+    if (!currentTarget?.isObstacle) return;
+    const height = promptObstacleHeight(currentTarget.obstacleHeight);
+    if (height !== null) {
+      currentTarget.set({ obstacleHeight: height });
+      window.lastObstacleHeight = height;
+      refreshObstacleCoverage(fabricCanvas);
+    }
+    hideMenu();
+  });
+
+  openingStateBtn.addEventListener("click", () => {
+    const opening = getOpeningForSymbol(currentTarget);
+    if (opening) updateWallOpening(fabricCanvas, currentTarget, { state: OPENING_STATES[(OPENING_STATES.indexOf(opening.state) + 1) % OPENING_STATES.length] });
+    hideMenu();
+  });
+
+  openingWidthBtn.addEventListener("click", () => {
+    const opening = getOpeningForSymbol(currentTarget);
+    if (opening) {
+      const value = prompt("Opening width (m):", opening.width);
+      const width = parseFloat(value);
+      if (value !== null && Number.isFinite(width) && width > 0) updateWallOpening(fabricCanvas, currentTarget, { width });
+      else if (value !== null) alert("Enter an opening width greater than 0 m");
+    }
+    hideMenu();
+  });
+
+  openingFlipBtn.addEventListener("click", () => {
+    const opening = getOpeningForSymbol(currentTarget);
+    if (opening) updateWallOpening(fabricCanvas, currentTarget, { flip: !opening.flip });
+    hideMenu();
+  });
+
   deleteBtn.addEventListener("click", () => {
     if (!currentTarget) return;
     deleteObject(currentTarget);
@@ -33,17 +33,145 @@ export const lineIntersect = (p1, p2, p3, p4) => {
 // Helper for degrees to radians to avoid fabric dependency in pure math file
 const toRad = (deg) => deg * (Math.PI / 180);
 
+// ============================================================================
+// OBSTACLES
+// ============================================================================
+
+// Height of the target plane when neither the camera nor the project sets one: the ground, as plans always used
+export const DEFAULT_TARGET_HEIGHT = 0;
+
+// Closest the camera is treated as being to the target plane, so a plane at or above the lens stays workable
+const MIN_VIEW_HEIGHT = 0.1;
+
+// Gets the height of the target plane for a camera, e.g. 1.6m for faces: its own setting, else the project default
+// Never above the camera itself, so lowering a camera below its target brings the target down with it
+export const getTargetHeight = (camera) => Math.max(0, Math.min(camera?.coverageConfig?.targetHeight ?? window.globalTargetHeight ?? DEFAULT_TARGET_HEIGHT, camera?.coverageConfig?.cameraHeight || 3));
+
+// Gets how far the camera sits above its target plane, in metres
+export const getViewHeight = (camera) => Math.max((camera?.coverageConfig?.cameraHeight || 3) - getTargetHeight(camera), MIN_VIEW_HEIGHT);
+
+// Collects the lines that block camera coverage: walls fully, obstacles up to their height
+export const getCoverageBlockers = (fabricCanvas) => fabricCanvas.getObjects("line").filter((line) => line.isWallLine || line.startCircle || line.endCircle || line.isObstacle);
+
+// Checks if a ray meets a wall inside an open or glazed door or window, so the camera sees through
+export const passesThroughOpening = (wall, point, pixelsPerMeter) => {
+  if (!wall.openings?.length) return false;
+  const length = Math.hypot(wall.x2 - wall.x1, wall.y2 - wall.y1);
+  const along = Math.hypot(point.x - wall.x1, point.y - wall.y1);
+  return wall.openings.some((opening) => opening.state !== "closed" && Math.abs(along - opening.position * length) <= (opening.width * pixelsPerMeter) / 2);
+};
+
+// Gets where an obstacle's ends are now, allowing for it having been dragged since it was drawn
+export const getObstacleEnds = (obstacle) => {
+  const mid = { x: (obstacle.x1 + obstacle.x2) / 2, y: (obstacle.y1 + obstacle.y2) / 2 };
+  const center = obstacle.getCenterPoint ? obstacle.getCenterPoint() : mid;
+  const dx = center.x - mid.x;
+  const dy = center.y - mid.y;
+  return [
+    { x: obstacle.x1 + dx, y: obstacle.y1 + dy },
+    { x: obstacle.x2 + dx, y: obstacle.y2 + dy },
+  ];
+};
+
+// Works out the stretch of floor behind an obstacle where a target is hidden from the camera
+// targetHeight is how high the target reaches, the floor itself unless given
+// Returns { start, end } along the ray (end may be Infinity) or null if the target stays visible
+export const getObstacleShadow = (dist, obstacleHeight, cameraHeight, targetHeight = 0) => {
+  // The sight line from the camera to the target's top crosses the obstacle below its top edge
+  if (cameraHeight > obstacleHeight) {
+    if (targetHeight >= obstacleHeight) return null;
+    return { start: dist, end: (dist * (cameraHeight - targetHeight)) / (cameraHeight - obstacleHeight) };
+  }
+  // From at or below the obstacle's top, anything lower than the top stays hidden all the way behind it
+  if (targetHeight < obstacleHeight) return { start: dist, end: Infinity };
+  // Taller targets show over the top close behind the obstacle and drop out of sight further back
+  return obstacleHeight > cameraHeight ? { start: (dist * (targetHeight - cameraHeight)) / (obstacleHeight - cameraHeight), end: Infinity } : null;
+};
+
+// Lists the obstacles crossed by the centre line of a camera's view, nearest first, with distances in metres
+export const getObstaclesOnCenterLine = (camera) => {
+  const fabricCanvas = camera?.canvas;
+  if (!fabricCanvas || !camera.coverageConfig) return [];
+
+  const pixelsPerMeter = fabricCanvas.pixelsPerMeter || DEFAULT_PIXELS_PER_METER;
+  const { startAngle, endAngle, radius, cameraHeight = 3 } = camera.coverageConfig;
+  const radians = toRad((startAngle + angleDiff(startAngle, endAngle) / 2) % 360);
+  const center = camera.getCenterPoint();
+  const rayEnd = { x: center.x + radius * Math.cos(radians), y: center.y + radius * Math.sin(radians) };
+  const targetHeight = getTargetHeight(camera);
+
+  // Obstacles behind the nearest wall cannot be seen at all
+  const blockers = getCoverageBlockers(fabricCanvas);
+  const wallDistance = Math.min(
+    Infinity,
+    ...blockers
+      .filter((line) => !line.isObstacle)
+      .map((wall) => {
+        const hit = lineIntersect(center, rayEnd, { x: wall.x1, y: wall.y1 }, { x: wall.x2, y: wall.y2 });
+        return hit && !passesThroughOpening(wall, hit, pixelsPerMeter) ? hit : null;
+      })
+      .filter(Boolean)
+      .map((hit) => distance(center, hit))
+  );
+
+  return blockers
+    .filter((line) => line.isObstacle)
+    .map((obstacle) => {
+      const hit = lineIntersect(center, rayEnd, ...getObstacleEnds(obstacle));
+      if (!hit || distance(center, hit) >= wallDistance) return null;
+      const dist = distance(center, hit) / pixelsPerMeter;
+      const height = obstacle.obstacleHeight ?? 0;
+      return { distance: dist, height, shadow: getObstacleShadow(dist, height, cameraHeight, targetHeight) };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.distance - b.distance);
+};
+
+// Joins the hidden stretches of neighbouring rays behind the same obstacle into shadow polygons
+const buildShadowPolygons = (rayShadows, center, angles) => {
+  const shadows = [];
+  const runs = new Map();
+
+  // Closes a run once the obstacle stops casting a shadow on the next ray
+  const closeRun = (obstacle) => {
+    const run = runs.get(obstacle);
+    runs.delete(obstacle);
+    if (run.near.length > 1) shadows.push({ obstacle, points: [...run.near, ...run.far.reverse()] });
+  };
+
+  rayShadows.forEach((intervals, i) => {
+    const radians = toRad(angles[i] % 360);
+    const at = (dist) => ({ x: center.x + dist * Math.cos(radians), y: center.y + dist * Math.sin(radians) });
+
+    [...runs.keys()].forEach((obstacle) => {
+      if (!intervals.some((interval) => interval.obstacle === obstacle)) closeRun(obstacle);
+    });
+    intervals.forEach(({ obstacle, start, end }) => {
+      if (!runs.has(obstacle)) runs.set(obstacle, { near: [], far: [] });
+      const run = runs.get(obstacle);
+      run.near.push(at(start));
+      run.far.push(at(end));
+    });
+  });
+
+  [...runs.keys()].forEach(closeRun);
+  return shadows;
+};
+
 // Creates coverage area points with wall collision detection
-export function createCoveragePoints(walls, camera, startAngle, endAngle, centerX, centerY, overrideRadius) {
-  const span = angleDiff(startAngle, endAngle);
+// overrideRadius and overrideMinRadius draw a different range or dead zone, e.g. for an extra sensor head
+// Rays pass through open or glazed wall openings; obstacles lower than the camera cut the view short or hide the floor behind them, returned as points.shadows
+export function createCoveragePoints(walls, camera, startAngle, endAngle, centerX, centerY, overrideRadius, overrideMinRadius) {
+  const projectionMode = camera.coverageConfig.projectionMode || "circular";
+  // A fisheye sees the whole hemisphere below it, so it always covers a full circle
+  const span = projectionMode === "fisheye" ? 360 : angleDiff(startAngle, endAngle);
   const isFullCircle = span >= 359.9;
   const points = [];
   const center = { x: centerX, y: centerY };
 
   const maxRadius = overrideRadius !== undefined ? overrideRadius : camera.coverageConfig.radius;
-  let minRadius = camera.coverageConfig.minRange || 0; // Can be negative
+  let minRadius = overrideMinRadius !== undefined ? overrideMinRadius : camera.coverageConfig.minRange || 0; // Can be negative
 
-  const projectionMode = camera.coverageConfig.projectionMode || "circular";
   const midAngle = startAngle + span / 2;
 
   // Determine number of rays for smoothness
@@ -52,6 +180,15 @@ export function createCoveragePoints(walls, camera, startAngle, endAngle, center
   const step = (isFullCircle ? 360 : span) / numRays;
 
   const rayDistances = [];
+  const rayAngles = [];
+  const rayShadows = [];
+
+  // Obstacles only block a target when the sight line passes below their top
+  const obstacles = walls.filter((wall) => wall.isObstacle).map((obstacle) => ({ obstacle, ends: getObstacleEnds(obstacle) }));
+  const fullWalls = walls.filter((wall) => !wall.isObstacle);
+  const pixelsPerMeter = camera.canvas?.pixelsPerMeter || DEFAULT_PIXELS_PER_METER;
+  const cameraHeight = camera.coverageConfig.cameraHeight ?? 3;
+  const targetHeight = getTargetHeight(camera);
 
   // 1. Generate Outer Arc (Forward View)
   for (let i = 0; i <= numRays; i++) {
@@ -87,10 +224,11 @@ export function createCoveragePoints(walls, camera, startAngle, endAngle, center
     let minDist = Infinity;
 
     // Check for wall intersections from Center to RayEnd
-    for (const wall of walls) {
+    for (const wall of fullWalls) {
       const intersection = lineIntersect(center, rayEnd, { x: wall.x1, y: wall.y1 }, { x: wall.x2, y: wall.y2 });
 
-      if (intersection) {
+      // Open and glazed doors and windows let the ray carry on
+      if (intersection && !passesThroughOpening(wall, intersection, pixelsPerMeter)) {
         const dist = distance(center, intersection);
         // If this wall is closer than the current closest wall (and within the ray's length)
         if (dist < minDist && dist <= Math.abs(radius)) {
@@ -100,9 +238,39 @@ export function createCoveragePoints(walls, camera, startAngle, endAngle, center
       }
     }
 
-    // Use the intersection point if a wall was hit, otherwise use the full ray length
-    points.push(closest || rayEnd);
-    rayDistances.push(closest ? minDist : radius);
+    let rayLength = closest ? minDist : Math.abs(radius);
+    let cutPoint = closest;
+    const intervals = [];
+
+    // --- Obstacle Occlusion ---
+    // Nearest obstacles first, so one that hides everything behind it ends the ray
+    const hits = obstacles
+      .map(({ obstacle, ends }) => {
+        const intersection = lineIntersect(center, rayEnd, ends[0], ends[1]);
+        return intersection ? { obstacle, dist: distance(center, intersection) } : null;
+      })
+      .filter((hit) => hit && hit.dist < rayLength)
+      .sort((a, b) => a.dist - b.dist);
+
+    for (const { obstacle, dist } of hits) {
+      if (dist >= rayLength) break;
+      const shadow = getObstacleShadow(dist / pixelsPerMeter, obstacle.obstacleHeight ?? 0, cameraHeight, targetHeight);
+      if (!shadow) continue;
+
+      const start = Math.max(shadow.start * pixelsPerMeter, minRadius > 0 ? minRadius : 0);
+      const end = Math.min(shadow.end * pixelsPerMeter, rayLength);
+      if (end >= rayLength - 0.5) {
+        rayLength = Math.min(rayLength, Math.max(start, dist));
+        cutPoint = { x: centerX + rayLength * Math.cos(radians), y: centerY + rayLength * Math.sin(radians) };
+      }
+      if (end - start > 0.5 && start < rayLength) intervals.push({ obstacle, start, end: Math.min(end, rayLength) });
+    }
+
+    // Use the intersection point if a wall or obstacle cut the ray short, otherwise use the full ray length
+    points.push(cutPoint || rayEnd);
+    rayDistances.push(cutPoint ? rayLength : radius);
+    rayAngles.push(angle);
+    rayShadows.push(intervals);
   }
 
   // 2. Generate Inner Arc (Backward / Dead Zone)
@@ -147,6 +315,7 @@ export function createCoveragePoints(walls, camera, startAngle, endAngle, center
     }
   }
 
+  points.shadows = obstacles.length ? buildShadowPolygons(rayShadows, center, rayAngles) : [];
   return points;
 }
 
@@ -155,34 +324,46 @@ export function createCoveragePoints(walls, camera, startAngle, endAngle, center
 // ============================================================================
 
 // Calculates camera physics parameters (min range, max distance) based on height, tilt, and FOV
-export function calculateCameraPhysics(activeObject) {
+// Distances are measured where the view meets the target plane rather than the ground
+// Pass sideFovOverride or tiltOverride to evaluate a different lens setting or PTZ preset without changing the camera
+export function calculateCameraPhysics(activeObject, sideFovOverride, tiltOverride) {
   if (!activeObject || !activeObject.coverageConfig) return null;
 
-  const height = activeObject.coverageConfig.cameraHeight || 3;
-  const tilt = activeObject.coverageConfig.cameraTilt ?? 25;
+  const height = getViewHeight(activeObject);
+  const tilt = tiltOverride ?? activeObject.coverageConfig.cameraTilt ?? 25;
   const fabricCanvas = activeObject.canvas;
   const pixelsPerMeter = fabricCanvas?.pixelsPerMeter || DEFAULT_PIXELS_PER_METER;
 
+  // A ceiling fisheye looks straight down: no dead zone, and the horizon is at the edge of the lens
+  if (activeObject.coverageConfig.projectionMode === "fisheye") {
+    const edgeAngle = FISHEYE_FOV / 2;
+    return {
+      minRangeMeters: 0,
+      maxDistMeters: edgeAngle >= 90 ? 10000 : height * Math.tan(toRad(edgeAngle)),
+      pixelsPerMeter,
+    };
+  }
+
   // Use sideFOV if available (calculated by spec panel), otherwise fallback to Plan Angle
-  const horizontalFov = activeObject.coverageConfig.sideFOV || (activeObject.angleDiff ? activeObject.angleDiff(activeObject.coverageConfig.startAngle, activeObject.coverageConfig.endAngle) : 60);
+  const horizontalFov = sideFovOverride || activeObject.coverageConfig.sideFOV || (activeObject.angleDiff ? activeObject.angleDiff(activeObject.coverageConfig.startAngle, activeObject.coverageConfig.endAngle) : 60);
   const fov = horizontalFov;
   const halfFov = fov / 2;
 
   // 1. Calculate Max Distance (Horizon)
-  // This is where the TOP ray of the camera view hits the ground.
+  // This is where the TOP ray of the camera view hits the target plane.
   // Angle from horizontal = tilt - halfFov
   let maxDist = 10000; // Default large value for infinite range
   const topAngleDeg = tilt - halfFov;
 
   if (topAngleDeg > 0) {
-    // If looking down, calculate intersection with ground
+    // If looking down, calculate intersection with the target plane
     // Distance = Height / tan(angle)
     maxDist = height / Math.tan((topAngleDeg * Math.PI) / 180);
   }
   // If topAngleDeg <= 0, the camera is looking parallel to ground or up, so range is "infinite"
 
   // 2. Calculate Dead Zone (Min Range)
-  // This is where the BOTTOM ray of the camera view hits the ground.
+  // This is where the BOTTOM ray of the camera view hits the target plane.
   // Angle from horizontal = tilt + halfFov
   const bottomRayAngleDeg = tilt + halfFov;
   const bottomRayAngleRad = (bottomRayAngleDeg * Math.PI) / 180;
@@ -220,7 +401,8 @@ export function applyCameraPhysics(activeObject) {
   const bottomRayAngleDeg = tilt + halfFov;
 
   // Clamp minRange to 0 for coverage area when facing straight down
-  const clampedMinRangeMeters = bottomRayAngleDeg >= 90 ? 0 : minRangeMeters;
+  const isFisheye = activeObject.coverageConfig.projectionMode === "fisheye";
+  const clampedMinRangeMeters = isFisheye || bottomRayAngleDeg >= 90 ? 0 : minRangeMeters;
 
   // Store minRange in pixels (clamped for coverage area)
   activeObject.coverageConfig.minRange = clampedMinRangeMeters * pixelsPerMeter;
@@ -237,6 +419,61 @@ export function applyCameraPhysics(activeObject) {
   };
 }
 
+// ============================================================================
+// INFRARED ILLUMINATION
+// ============================================================================
+
+// Reads a camera's rated IR range in metres, or null when it has none
+export const getIrRange = (camera) => {
+  const range = parseFloat(camera?.irRange);
+  return range > 0 ? range : null;
+};
+
+// Calculates how far across the floor the IR lights, in pixels
+// The rating runs along the line of sight, so it shrinks on plan by the camera's height above the target plane
+export const getIrRadius = (camera, pixelsPerMeter) => {
+  const range = getIrRange(camera);
+  if (!range) return null;
+  const viewHeight = getViewHeight(camera);
+  return Math.sqrt(Math.max(0, range * range - viewHeight * viewHeight)) * pixelsPerMeter;
+};
+
+// Shortens a coverage radius to what the IR lights while night view is on
+// Cameras without a rated IR range are left alone, as they may rely on site lighting
+export const getNightRadius = (camera, radius, pixelsPerMeter) => {
+  if (!window.nightViewEnabled) return radius;
+  const irRadius = getIrRadius(camera, pixelsPerMeter);
+  return irRadius === null ? radius : Math.min(radius, irRadius);
+};
+
+// ============================================================================
+// FISHEYE PROJECTION
+// ============================================================================
+
+// Field of view of a fisheye lens; 180° covers the full hemisphere below the camera
+export const FISHEYE_FOV = 180;
+
+// Lens projections: r gives image radius for an off-axis angle (focal length 1), dr its rate of change
+export const FISHEYE_PROJECTIONS = {
+  equidistant: { label: "Equidistant", r: (theta) => theta, dr: () => 1 },
+  equisolid: { label: "Equisolid", r: (theta) => 2 * Math.sin(theta / 2), dr: (theta) => Math.cos(theta / 2) },
+  stereographic: { label: "Stereographic", r: (theta) => 2 * Math.tan(theta / 2), dr: (theta) => 1 / Math.cos(theta / 2) ** 2 },
+  orthographic: { label: "Orthographic", r: (theta) => Math.sin(theta), dr: (theta) => Math.cos(theta) },
+};
+
+// Calculates pixels per metre on the ground at a distance from a downward-facing fisheye
+// imageRadius is the radius of the image circle in pixels; the lower of the radial and ring densities is used
+export function calculateFisheyePixelDensity(imageRadius, heightMeters, distanceMeters, projection = "equidistant") {
+  const model = FISHEYE_PROJECTIONS[projection] || FISHEYE_PROJECTIONS.equidistant;
+  const height = Math.max(heightMeters, 0.1);
+  const focal = imageRadius / model.r(toRad(FISHEYE_FOV / 2));
+  const theta = Math.atan2(distanceMeters, height);
+
+  const radial = (focal * model.dr(theta) * height) / (height * height + distanceMeters * distanceMeters);
+  const ring = distanceMeters > 1e-6 ? (focal * model.r(theta)) / distanceMeters : (focal * model.dr(0)) / height;
+  return Math.max(0, Math.min(radial, ring));
+}
+
 // ============================================================================
 // SPEC CALCULATIONS (FOV from focal length and sensor)
 // ============================================================================
@@ -266,13 +503,52 @@ export const sensorDimensions = {
   "1/7.5": { width: 2.09, height: 1.18 },
 };
 
+// Reads a focal length like "2.8mm" or 2.8 as a number of millimetres
+export const parseFocalLength = (value) => {
+  const focal = parseFloat(String(value ?? "").replace("mm", "").trim());
+  return Number.isFinite(focal) && focal > 0 ? focal : null;
+};
+
+// Gets the varifocal lens range of a camera, or null for a fixed lens
+export const getFocalRange = (camera) => {
+  const min = parseFocalLength(camera?.focalLengthMin);
+  const max = parseFocalLength(camera?.focalLengthMax);
+  if (min === null || max === null || Math.abs(max - min) < 0.01) return null;
+  return { min: Math.min(min, max), max: Math.max(min, max) };
+};
+
+// Checks if a camera is a thermal camera, which uses a detector of known pixel pitch instead of a CMOS sensor size
+export const isThermalCamera = (camera) => camera?.deviceType === "thermal-camera.png";
+
+// Reads a resolution as pixel counts, or null if it can't be read
+// Takes "WxH" as given and megapixels as a 16:9 frame, e.g. "384x288" gives { width: 384, height: 288 } and "4MP" gives { width: 2667, height: 1500 }
+export const parseResolution = (resolution) => {
+  const value = String(resolution ?? "").toLowerCase();
+  const [width, height] = value.split("x").map((part) => parseInt(part));
+  if (width > 0 && height > 0) return { width, height };
+  const megapixels = value.includes("mp") ? parseFloat(value) : NaN;
+  return megapixels > 0 ? { width: Math.round(Math.sqrt(megapixels * 1e6 * (16 / 9))), height: Math.round(Math.sqrt(megapixels * 1e6 * (9 / 16))) } : null;
+};
+
+// Gets the sensor a camera's field of view comes from
+// A thermal camera's detector is its resolution times the pixel pitch (µm); anything else uses its CMOS sensor size
+export const getSensorSize = (camera) => {
+  if (isThermalCamera(camera)) {
+    const pitch = parseFloat(camera.pixelPitch);
+    const resolution = parseResolution(camera.resolution);
+    if (pitch > 0 && resolution) return { width: (resolution.width * pitch) / 1000, height: (resolution.height * pitch) / 1000 };
+  }
+  return camera?.sensorSize || "1/2.0";
+};
+
 // Figures out how wide and tall the camera can see based on focal length and sensor size
+// sensorSize is a key of sensorDimensions or { width, height } in millimetres
 export const calculateFOV = (focalLength, sensorSize) => {
   // Remove "mm" text if present
-  const focal = parseFloat(focalLength.toString().replace("mm", "").trim());
+  const focal = parseFocalLength(focalLength);
   if (!focal || focal <= 0) return null;
 
-  const sensor = sensorDimensions[sensorSize];
+  const sensor = typeof sensorSize === "object" ? sensorSize : sensorDimensions[sensorSize];
   if (!sensor) return null;
 
   // Calculate how wide and tall the view is
@@ -316,7 +592,7 @@ export const updateCameraFromSpecs = (camera) => {
   if (!camera || !camera.coverageConfig) return null;
 
   const focalLength = camera.focalLength || "";
-  const sensorSize = camera.sensorSize || "1/2.0";
+  const sensorSize = getSensorSize(camera);
   const isAspectRatio = camera.coverageConfig.aspectRatioMode || false;
 
   if (!focalLength) return null;
@@ -349,3 +625,90 @@ export const updateCameraFromSpecs = (camera) => {
 
   return planAngle;
 };
+
+// Works out the widest and tightest coverage of a varifocal camera
+// Each end gets its own plan angle and a range from the camera's height and tilt over the target plane
+export const calculateLensEnvelope = (camera) => {
+  const range = getFocalRange(camera);
+  if (!range || !camera.coverageConfig) return null;
+
+  const sensorSize = getSensorSize(camera);
+  const isAspectRatio = camera.coverageConfig.aspectRatioMode || false;
+  const pixelsPerMeter = camera.canvas?.pixelsPerMeter || DEFAULT_PIXELS_PER_METER;
+  const maxRange = camera.coverageConfig.maxRange || 50;
+
+  const buildEnd = (focal) => {
+    const angles = calculateCameraAngles(focal, sensorSize, isAspectRatio);
+    if (!angles) return null;
+    const physics = calculateCameraPhysics(camera, angles.sideAngle);
+    const rangeMeters = Math.min(physics ? physics.maxDistMeters : maxRange, maxRange);
+    return { focalLength: focal, ...angles, rangeMeters, radius: rangeMeters * pixelsPerMeter };
+  };
+
+  const wide = buildEnd(range.min);
+  const tele = buildEnd(range.max);
+  return wide && tele ? { wide, tele } : null;
+};
+
+// ============================================================================
+// LENS CALCULATOR (focal length and resolution from a target)
+// ============================================================================
+
+// Common camera resolutions, smallest first, offered as the minimum that meets a requirement
+export const STANDARD_RESOLUTIONS = ["1280x720", "1920x1080", "2560x1440", "2688x1520", "3072x1728", "3840x2160", "4096x2160", "5120x2880", "7680x4320"];
+
+// Works out the focal length and resolution needed to see a scene width at a distance with a required pixel density
+// The reverse of calculateFOV: a sensor side of width w spans a scene W wide at distance D when f = w * D / W
+export const calculateRequiredLens = ({ sceneWidth, distance, requiredPpm }, sensorSize, isAspectRatio) => {
+  const sensor = typeof sensorSize === "object" ? sensorSize : sensorDimensions[sensorSize];
+  if (!sensor || !(sceneWidth > 0) || !(distance > 0) || !(requiredPpm > 0)) return null;
+
+  // Corridor mode turns the sensor, so its short side runs across the plan
+  const sensorAcross = isAspectRatio ? Math.min(sensor.width, sensor.height) : Math.max(sensor.width, sensor.height);
+  const focalLength = (sensorAcross * distance) / sceneWidth;
+  const minPixels = Math.ceil(sceneWidth * requiredPpm);
+  const resolution = STANDARD_RESOLUTIONS.find((value) => {
+    const { width, height } = parseResolution(value);
+    return (isAspectRatio ? height : width) >= minPixels;
+  });
+
+  return {
+    focalLength: Math.round(focalLength * 10) / 10,
+    planAngle: (2 * Math.atan(sceneWidth / (2 * distance)) * 180) / Math.PI,
+    minPixels,
+    resolution: resolution || null,
+  };
+};
+
+// Checks if a resolution puts enough pixels across the plan view
+export const meetsPixelsAcross = (resolution, minPixels, isAspectRatio) => {
+  const parsed = parseResolution(resolution);
+  if (!parsed) return false;
+  return (isAspectRatio ? Math.min(parsed.width, parsed.height) : Math.max(parsed.width, parsed.height)) >= minPixels;
+};
+
+// Turns a camera to face a point and tilts it so the top of its view lands on that point
+export const aimCameraAt = (camera, point) => {
+  const config = camera?.coverageConfig;
+  if (!config || !point) return null;
+
+  const center = camera.getCenterPoint();
+  const pixelsPerMeter = camera.canvas?.pixelsPerMeter || DEFAULT_PIXELS_PER_METER;
+  const distanceMeters = distance(center, point) / pixelsPerMeter;
+  if (distanceMeters <= 0) return null;
+
+  const pan = (Math.atan2(point.y - center.y, point.x - center.x) * 180) / Math.PI;
+  const span = angleDiff(config.startAngle, config.endAngle);
+  if (span < 359) {
+    config.startAngle = (pan - span / 2 + 360) % 360;
+    config.endAngle = (pan + span / 2 + 360) % 360;
+  }
+  const sideFov = config.sideFOV || span;
+  config.cameraTilt = Math.round(Math.max(0, Math.min(90, (Math.atan(getViewHeight(camera) / distanceMeters) * 180) / Math.PI + sideFov / 2)));
+  config.maxRange = Math.max(config.maxRange || 0, Math.ceil(distanceMeters));
+  config.isInitialized = true;
+
+  applyCameraPhysics(camera);
+  if (camera.createOrUpdateCoverageArea) camera.createOrUpdateCoverageArea();
+  return distanceMeters;
+};
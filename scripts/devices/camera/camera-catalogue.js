@@ -0,0 +1,241 @@
+// ============================================================================
+// CAMERA CATALOGUE
+// ============================================================================
+
+const STORAGE_KEY = "cameraCatalogueV1";
+
+// Column order used for CSV import/export
+export const CATALOGUE_FIELDS = ["manufacturer", "model", "lensMin", "lensMax", "sensorSize", "resolution", "irRange", "partNumber", "stockNumber"];
+
+// Starter models used until the team imports its own product list
+const DEFAULT_CATALOGUE = [
+  { manufacturer: "Generic", model: "2MP Fixed Turret", lensMin: 2.8, lensMax: 2.8, sensorSize: "1/2.8", resolution: "1920x1080", irRange: 30 },
+  { manufacturer: "Generic", model: "4MP Fixed Dome", lensMin: 2.8, lensMax: 2.8, sensorSize: "1/3.0", resolution: "2560x1440", irRange: 30 },
+  { manufacturer: "Generic", model: "4MP Varifocal Bullet", lensMin: 2.8, lensMax: 12, sensorSize: "1/3.0", resolution: "2560x1440", irRange: 50 },
+  { manufacturer: "Generic", model: "8MP Fixed Bullet", lensMin: 4, lensMax: 4, sensorSize: "1/2.8", resolution: "3840x2160", irRange: 40 },
+  { manufacturer: "Generic", model: "8MP Varifocal Dome", lensMin: 2.8, lensMax: 12, sensorSize: "1/2.8", resolution: "3840x2160", irRange: 40 },
+  { manufacturer: "Generic", model: "2MP 25x PTZ", lensMin: 4.8, lensMax: 120, sensorSize: "1/2.8", resolution: "1920x1080", irRange: 150 },
+];
+
+// Converts a value to a positive number or null
+const toNumber = (value) => {
+  const num = parseFloat(String(value ?? "").replace(/mm|m$/i, "").trim());
+  return Number.isFinite(num) && num > 0 ? num : null;
+};
+
+// Builds the key used to match the same model across imports
+const modelKey = (entry) => `${entry.manufacturer}|${entry.model}`.toLowerCase();
+
+// Generates unique ID for catalogue entries
+const uid = () => "cm_" + Math.random().toString(36).slice(2) + Date.now().toString(36);
+
+// Cleans up a raw catalogue entry so every field is present
+export function normalizeCameraModel(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const manufacturer = String(raw.manufacturer ?? "").trim();
+  const model = String(raw.model ?? "").trim();
+  if (!manufacturer && !model) return null;
+
+  const lensMin = toNumber(raw.lensMin ?? raw.focalLength);
+  const lensMax = toNumber(raw.lensMax) ?? lensMin;
+
+  return {
+    id: raw.id || uid(),
+    manufacturer,
+    model,
+    lensMin: lensMin !== null && lensMax !== null ? Math.min(lensMin, lensMax) : lensMin,
+    lensMax: lensMin !== null && lensMax !== null ? Math.max(lensMin, lensMax) : lensMax,
+    sensorSize: String(raw.sensorSize ?? "").replace(/"/g, "").trim(),
+    resolution: String(raw.resolution ?? "").trim(),
+    irRange: toNumber(raw.irRange),
+    partNumber: String(raw.partNumber ?? "").trim(),
+    stockNumber: String(raw.stockNumber ?? "").trim(),
+  };
+}
+
+// Loads the catalogue from local storage
+const loadCatalogue = () => {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    if (!raw) return DEFAULT_CATALOGUE.map((entry, i) => normalizeCameraModel({ ...entry, id: `cm_default_${i}` }));
+    const parsed = JSON.parse(raw);
+    return Array.isArray(parsed) ? parsed.map(normalizeCameraModel).filter(Boolean) : [];
+  } catch (e) {
+    console.error("Failed to load camera catalogue:", e);
+    return [];
+  }
+};
+
+// Saves the catalogue to local storage
+const saveCatalogue = (list) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(list));
+  } catch (e) {
+    console.error("Failed to save camera catalogue:", e);
+  }
+};
+
+let catalogue = loadCatalogue();
+
+// Gets all catalogue entries
+export function getCameraCatalogue() {
+  return catalogue.slice();
+}
+
+// Replaces the whole catalogue
+export function setCameraCatalogue(list) {
+  catalogue = (Array.isArray(list) ? list : []).map(normalizeCameraModel).filter(Boolean);
+  saveCatalogue(catalogue);
+  document.dispatchEvent(new CustomEvent("camera-catalogue-changed"));
+}
+
+// Adds entries to the catalogue, updating any with the same manufacturer and model
+export function mergeCameraCatalogue(list) {
+  const merged = new Map(catalogue.map((entry) => [modelKey(entry), entry]));
+  let count = 0;
+  (Array.isArray(list) ? list : []).forEach((raw) => {
+    const entry = normalizeCameraModel(raw);
+    if (!entry) return;
+    const existing = merged.get(modelKey(entry));
+    merged.set(modelKey(entry), existing ? { ...entry, id: existing.id } : entry);
+    count++;
+  });
+  setCameraCatalogue(Array.from(merged.values()));
+  return count;
+}
+
+// Finds a catalogue entry by ID
+export function findCameraModel(id) {
+  return id ? catalogue.find((entry) => entry.id === id) || null : null;
+}
+
+// Gets the display name for a catalogue entry
+export function getCameraModelLabel(entry) {
+  return entry ? [entry.manufacturer, entry.model].filter(Boolean).join(" ") : "";
+}
+
+// Formats the lens range, e.g. "2.8mm" or "2.8-12mm"
+export function formatLensRange(entry) {
+  if (!entry?.lensMin) return "";
+  return entry.lensMax && entry.lensMax !== entry.lensMin ? `${entry.lensMin}-${entry.lensMax}mm` : `${entry.lensMin}mm`;
+}
+
+// Searches the catalogue by manufacturer, model, part/stock number or resolution
+export function searchCameraCatalogue(query) {
+  const terms = String(query || "").toLowerCase().split(/\s+/).filter(Boolean);
+  if (!terms.length) return getCameraCatalogue();
+  return catalogue.filter((entry) => {
+    const haystack = `${entry.manufacturer} ${entry.model} ${entry.partNumber} ${entry.stockNumber} ${entry.resolution}`.toLowerCase();
+    return terms.every((term) => haystack.includes(term));
+  });
+}
+
+// Copies a catalogue entry's specs onto a camera device
+export function applyCameraModel(group, entry) {
+  if (!group || !entry) return group;
+  group.cameraModelId = entry.id;
+  group.cameraManufacturer = entry.manufacturer;
+  group.cameraModel = entry.model;
+  if (entry.lensMin) group.focalLength = `${entry.lensMin}mm`;
+  const isVarifocal = entry.lensMin && entry.lensMax && entry.lensMax !== entry.lensMin;
+  group.focalLengthMin = isVarifocal ? entry.lensMin : "";
+  group.focalLengthMax = isVarifocal ? entry.lensMax : "";
+  if (entry.sensorSize) group.sensorSize = entry.sensorSize;
+  if (entry.resolution) group.resolution = entry.resolution;
+  group.irRange = entry.irRange ?? "";
+  if (entry.partNumber) group.partNumber = entry.partNumber;
+  if (entry.stockNumber) group.stockNumber = entry.stockNumber;
+  return group;
+}
+
+// ============================================================================
+// IMPORT / EXPORT
+// ============================================================================
+
+// Splits CSV text into rows of cells, handling quoted values
+function parseCSVRows(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let inQuotes = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') cell += '"', i++;
+      else if (ch === '"') inQuotes = false;
+      else cell += ch;
+    } else if (ch === '"') inQuotes = true;
+    else if (ch === ",") row.push(cell), (cell = "");
+    else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      if (row.some((c) => c.trim() !== "")) rows.push(row);
+      row = [];
+      cell = "";
+    } else cell += ch;
+  }
+  row.push(cell);
+  if (row.some((c) => c.trim() !== "")) rows.push(row);
+  return rows;
+}
+
+// Parses catalogue entries from CSV text with a header row
+export function parseCatalogueCSV(text) {
+  const [header, ...rows] = parseCSVRows(String(text || ""));
+  if (!header) return [];
+  const lookup = Object.fromEntries(CATALOGUE_FIELDS.map((field) => [field.toLowerCase(), field]));
+  const columns = header.map((name) => lookup[name.trim().toLowerCase().replace(/[\s_-]/g, "")] || null);
+  return rows.map((cells) => Object.fromEntries(columns.map((field, i) => [field, cells[i]]).filter(([field]) => field))).map(normalizeCameraModel).filter(Boolean);
+}
+
+// Parses catalogue entries from JSON text (an array or { models: [...] })
+export function parseCatalogueJSON(text) {
+  const data = JSON.parse(text);
+  const list = Array.isArray(data) ? data : data?.models;
+  if (!Array.isArray(list)) throw new Error("Catalogue JSON must be an array of camera models");
+  return list.map(normalizeCameraModel).filter(Boolean);
+}
+
+// Converts the catalogue to CSV text
+export function catalogueToCSV(list = catalogue) {
+  const escapeCell = (value) => {
+    const str = value === null || value === undefined ? "" : String(value);
+    return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  };
+  const lines = [CATALOGUE_FIELDS.join(",")];
+  list.forEach((entry) => lines.push(CATALOGUE_FIELDS.map((field) => escapeCell(entry[field])).join(",")));
+  return lines.join("\n") + "\n";
+}
+
+// Reads a JSON or CSV file and merges its models into the catalogue
+export function importCatalogueFile(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        const text = e.target.result;
+        const isCSV = /\.csv$/i.test(file.name) || file.type === "text/csv";
+        const entries = isCSV ? parseCatalogueCSV(text) : parseCatalogueJSON(text);
+        if (!entries.length) throw new Error("No camera models found in file");
+        resolve(mergeCameraCatalogue(entries));
+      } catch (error) {
+        reject(error);
+      }
+    };
+    reader.onerror = () => reject(new Error("Error reading file"));
+    reader.readAsText(file);
+  });
+}
+
+// Downloads the catalogue as a JSON or CSV file
+export function exportCatalogue(format = "json") {
+  const isCSV = format === "csv";
+  const content = isCSV ? catalogueToCSV() : JSON.stringify(catalogue.map(({ id, ...entry }) => entry), null, 2);
+  const blob = new Blob([content], { type: isCSV ? "text/csv;charset=utf-8;" : "application/json" });
+  const url = URL.createObjectURL(blob);
+  const a = Object.assign(document.createElement("a"), { href: url, download: `camera-catalogue.${isCSV ? "csv" : "json"}` });
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
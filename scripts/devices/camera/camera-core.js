@@ -6,8 +6,10 @@
 // - camera-interaction.js (event handlers)
 
 import { layers } from "../../canvas/canvas-layers.js";
-import { angleDiff, createCoveragePoints } from "./camera-calculations.js";
+import { angleDiff, createCoveragePoints, getCoverageBlockers } from "./camera-calculations.js";
 import { updateCoverageDisplay, updateSlider } from "./camera-display.js";
+import { normalizePtzPreset } from "./camera-ptz.js";
+import { normalizeSensorHeads } from "./camera-sensor-heads.js";
 
 // ============================================================================
 // INITIALIZATION & CONFIGURATION
@@ -33,6 +35,9 @@ export function initConfig(camera, pixelsPerMeter) {
   config.cameraTilt = config.cameraTilt ?? 25;
   config.cameraFov = config.cameraFov || 60;
   config.projectionMode = config.projectionMode || "circular";
+  // Clean up saved PTZ presets so older or hand-edited files still draw
+  if (Array.isArray(config.ptzPresets)) config.ptzPresets = config.ptzPresets.map(normalizePtzPreset).filter(Boolean);
+  if (Array.isArray(config.sensorHeads)) config.sensorHeads = normalizeSensorHeads(config.sensorHeads);
   // Initialize maxRange with current radius or default 50m
   config.maxRange = config.maxRange !== undefined ? config.maxRange : config.radius ? config.radius / pixelsPerMeter : 50;
   // Auto-enable DORI if resolution is set and doriEnabled hasn't been explicitly set
@@ -77,9 +82,9 @@ export function addCameraCoverage(fabricCanvas, cameraIcon) {
 
   // Attach utility functions to the camera icon
   cameraIcon.angleDiff = angleDiff;
-  cameraIcon.createCoveragePoints = (start, end, x, y, r) => {
-    const walls = fabricCanvas.getObjects("line").filter((line) => line.isWallLine || line.startCircle || line.endCircle);
-    return createCoveragePoints(walls, cameraIcon, start, end, x, y, r);
+  cameraIcon.createCoveragePoints = (start, end, x, y, r, minR) => {
+    const walls = getCoverageBlockers(fabricCanvas);
+    return createCoveragePoints(walls, cameraIcon, start, end, x, y, r, minR);
   };
 
   // Define the update function
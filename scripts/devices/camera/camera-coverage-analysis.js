@@ -0,0 +1,130 @@
+// ============================================================================
+// CAMERA COVERAGE ANALYSIS - How much of a zone or room the cameras cover
+// ============================================================================
+
+import { DORI_PPM } from "./camera-dori.js";
+import { getCameraViews, sampleDensityGrid, getBounds, createGridImage } from "./camera-heatmap.js";
+import { calculatePolygonRedundancy } from "./camera-overlap.js";
+import { DEFAULT_PIXELS_PER_METER, isPointInPolygon, calculateArea, getDevicesInPolygon } from "../../sidebar/sidebar-utils.js";
+
+// DORI levels from the best down, as shown in the panel and schedule
+export const COVERAGE_LEVELS = [
+  { key: "identification", label: "Identification" },
+  { key: "recognition", label: "Recognition" },
+  { key: "observation", label: "Observation" },
+  { key: "detection", label: "Detection" },
+];
+
+// Keeps single rooms quick to analyse while staying fine enough for sign-off figures
+const MAX_POLYGON_CELLS = 40000;
+// Colour of the uncovered area highlight
+const GAP_COLOR = [220, 53, 69];
+
+let gapHighlight = null;
+
+// Samples a zone or room and marks which cells fall inside it
+// Every camera counts towards coverage; only those with a known pixel density reach a DORI level
+const samplePolygon = (fabricCanvas, polygon) => {
+  if (!fabricCanvas || !polygon?.points || polygon.points.length < 3) return null;
+  const pixelsPerMeter = fabricCanvas.pixelsPerMeter || DEFAULT_PIXELS_PER_METER;
+  const grid = sampleDensityGrid(getCameraViews(fabricCanvas, { allCameras: true }), getBounds(polygon.points), pixelsPerMeter, MAX_POLYGON_CELLS);
+
+  grid.inside = new Uint8Array(grid.values.length);
+  for (let row = 0; row < grid.rows; row++) {
+    const y = grid.top + (row + 0.5) * grid.cellSize;
+    for (let col = 0; col < grid.cols; col++) {
+      const x = grid.left + (col + 0.5) * grid.cellSize;
+      if (isPointInPolygon({ x, y }, polygon)) grid.inside[row * grid.cols + col] = 1;
+    }
+  }
+  return grid;
+};
+
+// Works out the percentage of a zone or room covered, and covered to at least each DORI level
+export function calculatePolygonCoverage(fabricCanvas, polygon) {
+  const grid = samplePolygon(fabricCanvas, polygon);
+  if (!grid) return null;
+
+  let total = 0;
+  let covered = 0;
+  const counts = Object.fromEntries(COVERAGE_LEVELS.map(({ key }) => [key, 0]));
+
+  grid.values.forEach((ppm, index) => {
+    if (!grid.inside[index]) return;
+    total++;
+    if (ppm < 0) return;
+    covered++;
+    COVERAGE_LEVELS.forEach(({ key }) => {
+      if (ppm >= DORI_PPM[key]) counts[key]++;
+    });
+  });
+
+  const percent = (count) => (total ? (count / total) * 100 : 0);
+  return {
+    areaMeters: calculateArea(polygon.points, fabricCanvas),
+    coveredPercent: percent(covered),
+    uncoveredPercent: total ? 100 - percent(covered) : 0,
+    levels: Object.fromEntries(COVERAGE_LEVELS.map(({ key }) => [key, percent(counts[key])])),
+  };
+}
+
+// Takes the uncovered area highlight off the canvas
+export function clearUncoveredHighlight(fabricCanvas = gapHighlight?.canvas) {
+  if (gapHighlight && fabricCanvas?.getObjects().includes(gapHighlight)) {
+    fabricCanvas.remove(gapHighlight);
+    fabricCanvas.requestRenderAll();
+  }
+  gapHighlight = null;
+}
+
+// Checks if the uncovered area highlight is showing for a polygon
+export const isUncoveredHighlightShown = (polygon) => !!gapHighlight && gapHighlight.highlightedPolygon === polygon;
+
+// Shades the parts of a zone or room no camera can see
+export function highlightUncoveredAreas(fabricCanvas, polygon) {
+  clearUncoveredHighlight();
+  const grid = samplePolygon(fabricCanvas, polygon);
+  if (!grid) return null;
+
+  const element = document.createElement("canvas");
+  element.width = grid.cols;
+  element.height = grid.rows;
+  const context = element.getContext("2d");
+  const image = context.createImageData(grid.cols, grid.rows);
+  let gaps = 0;
+
+  grid.values.forEach((ppm, index) => {
+    if (!grid.inside[index] || ppm >= 0) return;
+    gaps++;
+    const offset = index * 4;
+    [image.data[offset], image.data[offset + 1], image.data[offset + 2]] = GAP_COLOR;
+    image.data[offset + 3] = 255;
+  });
+  context.putImageData(image, 0, 0);
+
+  gapHighlight = createGridImage(element, grid, { opacity: 0.55, isCoverageGapHighlight: true, highlightedPolygon: polygon });
+  fabricCanvas.add(gapHighlight);
+  gapHighlight.bringToFront();
+  fabricCanvas.requestRenderAll();
+  return gaps;
+}
+
+// Builds a CSV schedule of every zone and room on the floor with its coverage figures
+export function generateCoverageScheduleCSV(fabricCanvas) {
+  const rows = [];
+  const quote = (value) => `"${String(value ?? "").replace(/"/g, '""')}"`;
+  const addRow = (type, name, number, polygon, isZone) => {
+    const coverage = calculatePolygonCoverage(fabricCanvas, polygon);
+    if (!coverage) return;
+    const cameraCount = getDevicesInPolygon(polygon, fabricCanvas, isZone).filter((device) => device.object?.coverageConfig).length;
+    const redundantPercent = calculatePolygonRedundancy(fabricCanvas, polygon)?.redundantPercent ?? 0;
+    rows.push([quote(type), quote(name), quote(number), coverage.areaMeters.toFixed(2), cameraCount, coverage.coveredPercent.toFixed(1), ...COVERAGE_LEVELS.map(({ key }) => coverage.levels[key].toFixed(1)), coverage.uncoveredPercent.toFixed(1), redundantPercent.toFixed(1), polygon.requiresRedundantCoverage ? "Yes" : "No"].join(","));
+  };
+
+  (window.zones || []).forEach((zone, index) => zone.polygon && addRow("Zone", zone.polygon.zoneName || `Zone ${index + 1}`, zone.polygon.zoneNumber, zone.polygon, true));
+  (window.rooms || []).forEach((room, index) => room.polygon && addRow("Room", room.roomName || room.polygon.roomName || `Room ${index + 1}`, "", room.polygon, false));
+  if (!rows.length) return "";
+
+  const headers = ["Type", "Name", "Zone No.", "Area (m²)", "Cameras", "Covered %", ...COVERAGE_LEVELS.map(({ label }) => `${label} %`), "Uncovered %", "2+ Cameras %", "Redundancy Required"];
+  return [headers.join(","), ...rows].join("\n") + "\n";
+}
@@ -2,8 +2,143 @@
 // CAMERA DIAGRAM - Side view diagram rendering
 // ============================================================================
 
+import { DEFAULT_TARGET_HEIGHT } from "./camera-calculations.js";
+
+// Colours used for DORI ring markers on the ground line
+const DORI_MARKER_COLORS = {
+  detection: "#5dade2",
+  observation: "#27ae60",
+  recognition: "#d4ac0d",
+  identification: "#e74c3c",
+};
+
+// Height in pixels of the band marking floor hidden behind an obstacle
+const HIDDEN_BAND_HEIGHT = 4;
+
+// Draws the side view of a ceiling fisheye: a hemisphere of view with coverage either side of the pole
+function drawFisheyeSideView(context, width, canvasHeight, height, distance, doriDistances) {
+  const margin = 40;
+  const groundY = canvasHeight - margin;
+  const cameraX = width / 2;
+
+  // Same distance either side of the camera
+  const maxDistanceShown = Math.max((distance || 0) * 1.15, 10);
+  const scaleX = (width / 2 - margin / 2) / maxDistanceShown;
+  const maxHeightShown = Math.max(height * 1.5, 6);
+  const scaleY = (canvasHeight - 2 * margin) / maxHeightShown;
+  const cameraY = groundY - height * scaleY;
+
+  // Ground and ceiling mount
+  context.beginPath();
+  context.moveTo(margin / 2, groundY);
+  context.lineTo(width - margin / 2, groundY);
+  context.strokeStyle = "#333";
+  context.lineWidth = 2;
+  context.stroke();
+
+  context.beginPath();
+  context.moveTo(cameraX - 20, cameraY - 4);
+  context.lineTo(cameraX + 20, cameraY - 4);
+  context.strokeStyle = "#666";
+  context.lineWidth = 1;
+  context.stroke();
+
+  // Hemisphere of view below the lens
+  const lensY = cameraY + 4;
+  const hemisphereRadius = Math.min(groundY - lensY, width / 2 - margin);
+  context.beginPath();
+  context.moveTo(cameraX - hemisphereRadius, lensY);
+  context.arc(cameraX, lensY, hemisphereRadius, Math.PI, 0, true);
+  context.closePath();
+  context.fillStyle = "rgba(74, 144, 226, 0.12)";
+  context.fill();
+
+  // Rays every 22.5° across the hemisphere, stopped at the ground or the edge of the diagram
+  context.beginPath();
+  context.setLineDash([4, 4]);
+  context.strokeStyle = "#4a90e2";
+  context.lineWidth = 1;
+  for (let angle = 0; angle <= 180; angle += 22.5) {
+    const rad = (angle * Math.PI) / 180;
+    const dirX = Math.cos(rad);
+    const dirY = Math.sin(rad);
+    const tGround = dirY > 0.001 ? (groundY - lensY) / dirY : Infinity;
+    const tEdge = Math.abs(dirX) > 0.001 ? (dirX > 0 ? width - margin / 2 - cameraX : cameraX - margin / 2) / Math.abs(dirX) : Infinity;
+    const t = Math.min(tGround, tEdge);
+    context.moveTo(cameraX, lensY);
+    context.lineTo(cameraX + dirX * t, lensY + dirY * t);
+  }
+  context.stroke();
+  context.setLineDash([]);
+
+  // Camera dome
+  context.beginPath();
+  context.arc(cameraX, cameraY, 8, 0, Math.PI);
+  context.fillStyle = "#f8794b";
+  context.fill();
+  context.strokeStyle = "#ea6036";
+  context.stroke();
+
+  // Height label
+  context.fillStyle = "#333";
+  context.font = "11px Arial";
+  context.textAlign = "center";
+  context.fillText(`${height.toFixed(2)}m`, cameraX + 26, cameraY + 4);
+
+  // DORI rings as coloured bands on the ground, widest first
+  const rings = Object.entries(doriDistances || {})
+    .filter(([, ringDistance]) => ringDistance > 0.05)
+    .sort((a, b) => b[1] - a[1]);
+  rings.forEach(([level, ringDistance], index) => {
+    const reach = Math.min(ringDistance, distance || ringDistance) * scaleX;
+    context.beginPath();
+    context.moveTo(cameraX - reach, groundY + 4 + index * 3);
+    context.lineTo(cameraX + reach, groundY + 4 + index * 3);
+    context.strokeStyle = DORI_MARKER_COLORS[level] || "#999";
+    context.lineWidth = 3;
+    context.stroke();
+  });
+
+  // Range label under the ground line
+  const rangeEndX = Math.min(cameraX + (distance || 0) * scaleX, width - margin / 2);
+  context.fillStyle = "#27ae60";
+  context.fillText(`Range: ${(distance || 0).toFixed(2)}m`, (cameraX + rangeEndX) / 2, groundY + 30);
+}
+
+// Draws obstacles along the camera's centre line and shades the floor hidden behind them up to the target height
+const drawObstacles = (context, obstacles, targetHeight, cameraX, groundY, scaleX, scaleY, leftEdge, rightEdge) => {
+  obstacles.forEach(({ distance, height, shadow }) => {
+    const x = cameraX + distance * scaleX;
+    if (x < leftEdge || x > rightEdge) return;
+
+    if (shadow) {
+      const hiddenHeight = Math.max(targetHeight * scaleY, HIDDEN_BAND_HEIGHT);
+      const startX = Math.max(cameraX + shadow.start * scaleX, leftEdge);
+      const endX = Math.min(Number.isFinite(shadow.end) ? cameraX + shadow.end * scaleX : rightEdge, rightEdge);
+      if (endX > startX) {
+        context.fillStyle = "rgba(109, 76, 65, 0.3)";
+        context.fillRect(startX, groundY - hiddenHeight, endX - startX, hiddenHeight);
+        context.fillStyle = "#6d4c41";
+        context.font = "10px Arial";
+        context.textAlign = "center";
+        context.fillText("Hidden", (startX + endX) / 2, groundY - hiddenHeight - 4);
+      }
+    }
+
+    context.fillStyle = "#8d6e63";
+    context.fillRect(x - 3, groundY - height * scaleY, 6, height * scaleY);
+    context.fillStyle = "#333";
+    context.font = "10px Arial";
+    context.textAlign = "center";
+    context.fillText(`${height.toFixed(1)}m`, x, groundY - height * scaleY - 4);
+  });
+};
+
 // Draws the side view diagram
-export function drawSideView(canvas, height, tilt, distance, deadZone, fov) {
+// options.projectionMode "fisheye" switches to the hemisphere view, with options.doriDistances marked as rings
+// options.obstacles ({ distance, height, shadow } in metres) are drawn standing on the ground, hiding options.targetHeight behind them
+// options.targetHeight above the ground is drawn as the target plane the rays are measured to
+export function drawSideView(canvas, height, tilt, distance, deadZone, fov, options = {}) {
   if (!canvas) return;
   const context = canvas.getContext("2d");
   const width = canvas.width;
@@ -12,6 +147,11 @@ export function drawSideView(canvas, height, tilt, distance, deadZone, fov) {
   // Clear canvas
   context.clearRect(0, 0, width, canvasHeight);
 
+  if (options.projectionMode === "fisheye") {
+    drawFisheyeSideView(context, width, canvasHeight, height, distance, options.doriDistances);
+    return;
+  }
+
   // Settings for drawing
   const margin = 40;
   const groundY = canvasHeight - margin;
@@ -43,6 +183,27 @@ export function drawSideView(canvas, height, tilt, distance, deadZone, fov) {
   context.lineWidth = 2;
   context.stroke();
 
+  const targetHeight = Math.max(0, Math.min(options.targetHeight ?? DEFAULT_TARGET_HEIGHT, height));
+  if (options.obstacles?.length) drawObstacles(context, options.obstacles, targetHeight, cameraX, groundY, scaleX, scaleY, margin, width - margin);
+
+  // Draw the target plane when measuring above the ground
+  const planeY = groundY - targetHeight * scaleY;
+  if (targetHeight > 0) {
+    context.beginPath();
+    context.setLineDash([6, 4]);
+    context.moveTo(margin, planeY);
+    context.lineTo(width - margin, planeY);
+    context.strokeStyle = "#2e7d32";
+    context.lineWidth = 1;
+    context.stroke();
+    context.setLineDash([]);
+
+    context.fillStyle = "#2e7d32";
+    context.font = "10px Arial";
+    context.textAlign = "right";
+    context.fillText(`Target ${targetHeight.toFixed(1)}m`, width - margin, planeY - 4);
+  }
+
   // Draw camera pole
   const cameraY = groundY - height * scaleY;
 
@@ -102,13 +263,14 @@ export function drawSideView(canvas, height, tilt, distance, deadZone, fov) {
   const topDirX = Math.cos(topRayAngleRad);
   const topDirY = Math.sin(topRayAngleRad);
 
-  const deltaY = groundY - lensY;
+  // Rays are measured to the target plane, which is the ground unless a target height is set
+  const deltaY = planeY - lensY;
   let bottomPoint = null;
   if (bottomDirY > 0.001) {
     const tGround = deltaY / bottomDirY;
     bottomPoint = {
       x: lensX + bottomDirX * tGround,
-      y: groundY,
+      y: planeY,
     };
   }
 
@@ -135,7 +297,7 @@ export function drawSideView(canvas, height, tilt, distance, deadZone, fov) {
     const tGround = deltaY / topDirY;
     if (tGround > 0) {
       const xGround = lensX + topDirX * tGround;
-      topGroundPoint = { x: xGround, y: groundY };
+      topGroundPoint = { x: xGround, y: planeY };
       topGroundMeters = (xGround - cameraX) / scaleX;
     }
   }
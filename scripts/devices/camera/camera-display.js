@@ -6,8 +6,11 @@
 // Note: Side view diagram is in camera-diagram.js
 
 import { layers } from "../../canvas/canvas-layers.js";
-import { angleDiff, createCoveragePoints } from "./camera-calculations.js";
+import { hexToRgba } from "../../sidebar/sidebar-utils.js";
+import { angleDiff, createCoveragePoints, calculateLensEnvelope, getCoverageBlockers, getIrRadius, getNightRadius } from "./camera-calculations.js";
 import { createDoriZones } from "./camera-dori.js";
+import { isPtzCamera, getPtzPresets, calculatePresetView, calculatePanEnvelope } from "./camera-ptz.js";
+import { getSensorHeads, calculateHeadView } from "./camera-sensor-heads.js";
 
 // ============================================================================
 // SLIDER UTILITIES
@@ -113,6 +116,179 @@ const commonProps = {
   excludeFromExport: true,
 };
 
+// Outline styles for the widest and tightest ends of a varifocal lens
+const LENS_ENVELOPE_STYLES = {
+  wide: { stroke: "#305CDE", strokeDashArray: [8, 4] },
+  tele: { stroke: "#8b0000", strokeDashArray: [3, 3] },
+};
+
+// Builds dashed outlines showing the wide and tele coverage of a varifocal camera
+const createLensEnvelopes = (cameraIcon, walls, center) => {
+  if (cameraIcon.coverageConfig.showLensEnvelope === false) return [];
+  const envelope = calculateLensEnvelope(cameraIcon);
+  if (!envelope) return [];
+
+  const { startAngle, endAngle, visible } = cameraIcon.coverageConfig;
+  const midAngle = (startAngle + angleDiff(startAngle, endAngle) / 2) % 360;
+
+  return ["wide", "tele"]
+    .map((end) => {
+      const { planAngle, radius } = envelope[end];
+      if (!(radius > 0)) return null;
+      const isFullCircle = planAngle >= 359;
+      const start = isFullCircle ? 0 : (midAngle - planAngle / 2 + 360) % 360;
+      const finish = isFullCircle ? 360 : (midAngle + planAngle / 2) % 360;
+      const points = createCoveragePoints(walls, cameraIcon, start, finish, center.x, center.y, radius);
+      return new fabric.Polygon(points, {
+        ...commonProps,
+        ...LENS_ENVELOPE_STYLES[end],
+        strokeWidth: 1.5,
+        fill: "transparent",
+        visible: visible && layers.devices.visible,
+        isCoverage: true,
+        isLensEnvelope: end,
+      });
+    })
+    .filter(Boolean);
+};
+
+// Cuts a view back to what the IR lights while night view is on
+const applyNightView = (cameraIcon, view, pixelsPerMeter) => view && { ...view, radius: getNightRadius(cameraIcon, view.radius, pixelsPerMeter) };
+
+// Outlines the floor the IR illuminator lights, clipped by walls like the coverage
+const createIrOverlay = (cameraIcon, walls, center, pixelsPerMeter) => {
+  const { startAngle, endAngle, visible, showIrRange, minRange = 0 } = cameraIcon.coverageConfig;
+  const irRadius = showIrRange === false ? null : getIrRadius(cameraIcon, pixelsPerMeter);
+  if (!(irRadius > Math.max(minRange, 0))) return [];
+
+  const points = createCoveragePoints(walls, cameraIcon, startAngle, endAngle, center.x, center.y, irRadius);
+  return [
+    new fabric.Polygon(points, {
+      ...commonProps,
+      stroke: "#7b1fa2",
+      strokeWidth: 1.5,
+      strokeDashArray: [6, 4],
+      fill: "transparent",
+      visible: visible && layers.devices.visible,
+      isCoverage: true,
+      isIrRange: true,
+    }),
+  ];
+};
+
+// Shades the floor hidden behind obstacles in the main view and any extra heads
+const createObstacleShadows = (cameraIcon, walls, center, pixelsPerMeter) => {
+  if (!walls.some((wall) => wall.isObstacle)) return [];
+  const { startAngle, endAngle, radius, minRange, visible, projectionMode } = cameraIcon.coverageConfig;
+
+  const views = [applyNightView(cameraIcon, { startAngle, endAngle, radius, minRange }, pixelsPerMeter)];
+  if (projectionMode !== "fisheye") {
+    getSensorHeads(cameraIcon).forEach((head) => {
+      const view = applyNightView(cameraIcon, calculateHeadView(cameraIcon, head), pixelsPerMeter);
+      if (view && view.minRange < view.radius) views.push(view);
+    });
+  }
+
+  return views.flatMap((view) =>
+    createCoveragePoints(walls, cameraIcon, view.startAngle, view.endAngle, center.x, center.y, view.radius, view.minRange).shadows.map(
+      (shadow) =>
+        new fabric.Polygon(shadow.points, {
+          ...commonProps,
+          stroke: "#6d4c41",
+          strokeDashArray: [4, 3],
+          fill: `rgba(80, 60, 40, ${0.35 * layers.devices.opacity})`,
+          visible: visible && layers.devices.visible,
+          isCoverage: true,
+          isObstacleShadow: true,
+        })
+    )
+  );
+};
+
+// Builds the preset wedges and 360° pan envelope for a PTZ camera
+const createPtzOverlays = (cameraIcon, walls, center, pixelsPerMeter) => {
+  if (!isPtzCamera(cameraIcon)) return [];
+  const { showPtzPresets, showPanEnvelope, visible } = cameraIcon.coverageConfig;
+  const isVisible = visible && layers.devices.visible;
+  const overlays = [];
+
+  if (showPanEnvelope) {
+    const envelope = calculatePanEnvelope(cameraIcon);
+    if (envelope?.radius > 0) {
+      const points = createCoveragePoints(walls, cameraIcon, 0, 360, center.x, center.y, envelope.radius);
+      overlays.push(new fabric.Polygon(points, { ...commonProps, stroke: "#555555", strokeWidth: 1.5, strokeDashArray: [2, 4], fill: "transparent", visible: isVisible, isCoverage: true, isPanEnvelope: true }));
+    }
+  }
+
+  if (showPtzPresets !== false) {
+    getPtzPresets(cameraIcon).forEach((preset) => {
+      const view = applyNightView(cameraIcon, calculatePresetView(cameraIcon, preset), pixelsPerMeter);
+      if (!(view?.radius > 0)) return;
+      const points = createCoveragePoints(walls, cameraIcon, view.startAngle, view.endAngle, center.x, center.y, view.radius);
+      overlays.push(new fabric.Polygon(points, { ...commonProps, stroke: preset.color, strokeWidth: 1.5, strokeDashArray: [6, 3], fill: hexToRgba(preset.color, 0.12 * layers.devices.opacity), visible: isVisible, isCoverage: true, ptzPresetId: preset.id }));
+
+      overlays.push(createCoverageLabel(preset.name, center, preset.pan, view.radius, preset.color, { visible: isVisible, ptzPresetId: preset.id }));
+    });
+  }
+
+  return overlays;
+};
+
+// Labels a wedge part way along its centre line
+const createCoverageLabel = (text, center, angle, radius, color, props = {}) => {
+  const labelRadius = Math.min(radius * 0.6, radius - 10);
+  const rad = fabric.util.degreesToRadians(angle);
+  return new fabric.Text(text, {
+    ...commonProps,
+    left: center.x + labelRadius * Math.cos(rad),
+    top: center.y + labelRadius * Math.sin(rad),
+    originX: "center",
+    originY: "center",
+    fontSize: 11,
+    fontFamily: "Poppins, sans-serif",
+    fill: color,
+    stroke: null,
+    backgroundColor: "rgba(255, 255, 255, 0.7)",
+    isCoverage: true,
+    ...props,
+  });
+};
+
+// Builds the coverage for the extra heads of a multi-sensor camera, styled like the main view
+const createSensorHeadShapes = (cameraIcon, fabricCanvas, walls, center, fillColor, pixelsPerMeter) => {
+  const { doriEnabled, visible, edgeStyle, projectionMode } = cameraIcon.coverageConfig;
+  const heads = getSensorHeads(cameraIcon);
+  if (!heads.length || projectionMode === "fisheye") return [];
+  const isVisible = visible && layers.devices.visible;
+
+  // Label the camera's own view so it reads as one of the heads
+  const { startAngle, endAngle, radius } = cameraIcon.coverageConfig;
+  const mainLabel = createCoverageLabel("Head 1", center, (startAngle + angleDiff(startAngle, endAngle) / 2) % 360, radius, "#333333", { visible: isVisible });
+
+  const shapes = heads.flatMap((head) => {
+    const view = applyNightView(cameraIcon, calculateHeadView(cameraIcon, head), pixelsPerMeter);
+    if (!view || view.minRange >= view.radius) return [];
+
+    const label = createCoverageLabel(head.name, center, head.pan, view.radius, "#333333", { visible: isVisible, sensorHeadId: head.id });
+    const doriZones = doriEnabled ? createDoriZones(cameraIcon, fabricCanvas, commonProps, view) : [];
+    if (doriZones.length > 0) return [...doriZones.map((zone) => zone.set({ sensorHeadId: head.id })), label];
+
+    const points = createCoveragePoints(walls, cameraIcon, view.startAngle, view.endAngle, center.x, center.y, view.radius, view.minRange);
+    const polygon = new fabric.Polygon(points, {
+      ...commonProps,
+      strokeWidth: 2,
+      strokeDashArray: getStrokeDashArray(edgeStyle),
+      visible: isVisible,
+      fill: fillColor,
+      isCoverage: true,
+      sensorHeadId: head.id,
+    });
+    return [polygon, label];
+  });
+
+  return [mainLabel, ...shapes];
+};
+
 // Draws or refreshes the camera coverage shape and helper icons
 export function updateCoverageDisplay(fabricCanvas, cameraIcon) {
   if (!cameraIcon.createCoveragePoints) return;
@@ -137,18 +313,22 @@ export function updateCoverageDisplay(fabricCanvas, cameraIcon) {
   cameraIcon.coverageConfig.fillColor = fillColor;
 
   const { radius, minRange = 0, doriEnabled, visible, edgeStyle } = cameraIcon.coverageConfig;
-  const isInvalid = minRange >= radius;
+  const pixelsPerMeter = fabricCanvas.pixelsPerMeter || 17.5;
+  const displayRadius = getNightRadius(cameraIcon, radius, pixelsPerMeter);
+  const isInvalid = minRange >= displayRadius;
 
   if (!isInvalid) {
     let coverageArea;
+    // Block coverage lines with walls and obstacles so the shape hugs barriers
+    const walls = getCoverageBlockers(fabricCanvas);
     const doriZones = doriEnabled ? createDoriZones(cameraIcon, fabricCanvas, commonProps) : [];
+    const headShapes = createSensorHeadShapes(cameraIcon, fabricCanvas, walls, center, fillColor, pixelsPerMeter);
+    const overlays = [...headShapes, ...createObstacleShadows(cameraIcon, walls, center, pixelsPerMeter), ...createIrOverlay(cameraIcon, walls, center, pixelsPerMeter), ...createLensEnvelopes(cameraIcon, walls, center), ...createPtzOverlays(cameraIcon, walls, center, pixelsPerMeter)];
 
     if (doriZones.length > 0) {
-      coverageArea = new fabric.Group(doriZones, { ...commonProps, visible: visible && layers.devices.visible, isCoverage: true });
+      coverageArea = new fabric.Group([...doriZones, ...overlays], { ...commonProps, visible: visible && layers.devices.visible, isCoverage: true });
     } else {
-      // Block coverage lines with walls so the shape hugs barriers
-      const walls = fabricCanvas.getObjects("line").filter((l) => l.isWallLine || l.startCircle || l.endCircle);
-      const points = createCoveragePoints(walls, cameraIcon, cameraIcon.coverageConfig.startAngle, cameraIcon.coverageConfig.endAngle, center.x, center.y);
+      const points = createCoveragePoints(walls, cameraIcon, cameraIcon.coverageConfig.startAngle, cameraIcon.coverageConfig.endAngle, center.x, center.y, displayRadius);
 
       coverageArea = new fabric.Polygon(points, {
         ...commonProps,
@@ -158,6 +338,9 @@ export function updateCoverageDisplay(fabricCanvas, cameraIcon) {
         fill: fillColor,
         isCoverage: true,
       });
+      if (overlays.length > 0) {
+        coverageArea = new fabric.Group([coverageArea, ...overlays], { ...commonProps, visible: visible && layers.devices.visible, isCoverage: true });
+      }
     }
 
     const camIndex = fabricCanvas.getObjects().indexOf(cameraIcon);
@@ -182,4 +365,19 @@ export function updateCoverageDisplay(fabricCanvas, cameraIcon) {
   if (cameraIcon.textObject?.visible) cameraIcon.textObject.bringToFront();
   [cameraIcon.leftResizeIcon, cameraIcon.rightResizeIcon, cameraIcon.rotateResizeIcon].forEach((i) => i?.visible && i.bringToFront());
   fabricCanvas.requestRenderAll();
+  window.schedulePixelDensityHeatmapUpdate?.();
+  window.scheduleCameraOverlapUpdate?.();
+  window.scheduleSunGlareUpdate?.();
+}
+
+// Sets up the night view toggle, which limits every camera's coverage to its IR range
+export function initNightView(fabricCanvas) {
+  const toggle = document.getElementById("night-view-toggle");
+  window.nightViewEnabled = !!toggle?.checked;
+
+  toggle?.addEventListener("change", () => {
+    window.nightViewEnabled = toggle.checked;
+    fabricCanvas.getObjects("group").forEach((obj) => obj.coverageConfig && obj.createOrUpdateCoverageArea && obj.createOrUpdateCoverageArea());
+    fabricCanvas.requestRenderAll();
+  });
 }
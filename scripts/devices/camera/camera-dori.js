@@ -3,78 +3,165 @@
 // ============================================================================
 
 import { layers } from "../../canvas/canvas-layers.js";
-import { angleDiff } from "./camera-calculations.js";
+import { angleDiff, calculateLensEnvelope, calculateFisheyePixelDensity, getViewHeight, getTargetHeight, getNightRadius, isThermalCamera, parseResolution } from "./camera-calculations.js";
+import { calculateThermalDistances } from "./camera-thermal.js";
 
 // ============================================================================
 // DORI CALCULATIONS
 // ============================================================================
 
+// IEC 62676-4 Standard PPM thresholds
+export const DORI_PPM = {
+  detection: 25,
+  observation: 62.5,
+  recognition: 125,
+  identification: 250,
+};
+
 // Calculates DORI distances based on resolution and FOV
-export function calculateDoriDistances(camera) {
-  if (!camera.resolution) return null;
+// Pass fovDegrees to use a specific lens angle instead of the drawn coverage angle
+// Thermal cameras have none, as they use Johnson criteria ranges instead
+export function calculateDoriDistances(camera, fovDegrees) {
+  if (!camera.resolution || isThermalCamera(camera)) return null;
+  if (!fovDegrees && camera.coverageConfig.projectionMode === "fisheye") return calculateFisheyeDoriDistances(camera);
 
   let widthPixels = 1920; // Default fallback
 
-  // Handle "WxH" format (e.g. "1920x1080")
-  if (camera.resolution.toLowerCase().includes("x")) {
-    const parts = camera.resolution.toLowerCase().split("x");
-    const dimension1 = parseInt(parts[0]);
-    const dimension2 = parseInt(parts[1]);
-
-    if (!isNaN(dimension1) && !isNaN(dimension2)) {
-      // If Aspect Ratio Mode (Corridor) is on, the horizontal width is the smaller dimension
-      if (camera.coverageConfig.aspectRatioMode) {
-        widthPixels = Math.min(dimension1, dimension2);
-      } else {
-        widthPixels = Math.max(dimension1, dimension2);
-      }
-    }
-  }
-  // Handle "MP" format (e.g. "2MP")
-  else if (camera.resolution.toLowerCase().includes("mp")) {
-    const megapixels = parseFloat(camera.resolution);
-    if (!isNaN(megapixels)) {
-      // Calculate width based on aspect ratio
-      // Standard 16:9 = 1.777, Corridor 9:16 = 0.5625
-      const ratio = camera.coverageConfig.aspectRatioMode ? 9 / 16 : 16 / 9;
-      widthPixels = Math.sqrt(megapixels * 1000000 * ratio);
-    }
+  // Handles "WxH" (e.g. "1920x1080") and "MP" (e.g. "2MP") formats
+  const resolution = parseResolution(camera.resolution);
+  if (resolution) {
+    // If Aspect Ratio Mode (Corridor) is on, the horizontal width is the smaller dimension
+    widthPixels = camera.coverageConfig.aspectRatioMode ? Math.min(resolution.width, resolution.height) : Math.max(resolution.width, resolution.height);
   }
 
   // Calculate horizontal FOV in radians
-  const angleSpan = angleDiff(camera.coverageConfig.startAngle, camera.coverageConfig.endAngle);
+  const angleSpan = fovDegrees || angleDiff(camera.coverageConfig.startAngle, camera.coverageConfig.endAngle);
   const fovRad = fabric.util.degreesToRadians(angleSpan);
 
-  // IEC 62676-4 Standard PPM thresholds
-  const ppm = {
-    detection: 25,
-    observation: 62.5,
-    recognition: 125,
-    identification: 250,
-  };
-
   // Calculate distances: D = Resolution / (2 * PPM * tan(FOV/2))
   const tanHalfFov = Math.tan(fovRad / 2);
 
   if (tanHalfFov <= 0.001) return null; // Avoid division by zero
 
   return {
-    detection: widthPixels / (2 * ppm.detection * tanHalfFov),
-    observation: widthPixels / (2 * ppm.observation * tanHalfFov),
-    recognition: widthPixels / (2 * ppm.recognition * tanHalfFov),
-    identification: widthPixels / (2 * ppm.identification * tanHalfFov),
+    detection: widthPixels / (2 * DORI_PPM.detection * tanHalfFov),
+    observation: widthPixels / (2 * DORI_PPM.observation * tanHalfFov),
+    recognition: widthPixels / (2 * DORI_PPM.recognition * tanHalfFov),
+    identification: widthPixels / (2 * DORI_PPM.identification * tanHalfFov),
+  };
+}
+
+// Builds a function giving a fisheye's pixels per metre at a ground distance
+const createFisheyeDensityFunction = (camera) => {
+  // The image circle fits the shorter side of the sensor
+  const resolution = parseResolution(camera.resolution);
+  if (!resolution) return null;
+  const circlePixels = Math.min(resolution.width, resolution.height);
+
+  const height = getViewHeight(camera);
+  const projection = camera.coverageConfig.fisheyeProjection || "equidistant";
+  return (distance) => calculateFisheyePixelDensity(circlePixels / 2, height, distance, projection);
+};
+
+// Builds a function giving a camera's pixels per metre at a ground distance in metres
+// Pass fovDegrees to use a specific lens angle, e.g. for an extra sensor head
+// Thermal cameras have none, as visible-light pixel density doesn't apply to them
+export function createPixelDensityFunction(camera, fovDegrees) {
+  if (!camera.resolution || isThermalCamera(camera)) return null;
+  if (!fovDegrees && camera.coverageConfig.projectionMode === "fisheye") return createFisheyeDensityFunction(camera);
+
+  // Density falls off as 1 / distance, so scale from the detection distance
+  // With a target height set, that is the line-of-sight distance to the target plane
+  const distances = calculateDoriDistances(camera, fovDegrees);
+  if (!distances) return null;
+  const scale = distances.detection * DORI_PPM.detection;
+  const viewHeight = measuresToTargetPlane(camera) ? getViewHeight(camera) : 0;
+  return (distance) => {
+    const sightDistance = Math.hypot(distance, viewHeight);
+    return sightDistance > 1e-6 ? scale / sightDistance : Infinity;
+  };
+}
+
+// Checks if a camera's DORI is measured along the line of sight to a raised target plane
+// Without a target height, distances are drawn straight out across the floor as they always were, so existing plans keep their rings
+const measuresToTargetPlane = (camera) => getTargetHeight(camera) > 0;
+
+// Shrinks line-of-sight distances to how far they reach across the target plane below the camera
+const toPlanDistances = (camera, distances) => {
+  if (!distances || !measuresToTargetPlane(camera)) return distances;
+  const viewHeight = getViewHeight(camera);
+  return Object.fromEntries(Object.entries(distances).map(([level, distance]) => [level, Math.sqrt(Math.max(0, distance * distance - viewHeight * viewHeight))]));
+};
+
+// Calculates how far across the floor each DORI level reaches
+// With a target height set, DORI distances run along the line of sight, so they shrink on plan by the camera's height above the target plane
+export function calculatePlanDoriDistances(camera, fovDegrees) {
+  const distances = calculateDoriDistances(camera, fovDegrees);
+  if (!distances || (!fovDegrees && camera.coverageConfig.projectionMode === "fisheye")) return distances;
+  return toPlanDistances(camera, distances);
+}
+
+// Gets the zone distances to draw on plan: Johnson criteria ranges for thermal cameras, DORI for the rest
+const getPlanZoneDistances = (camera, fovDegrees) => (isThermalCamera(camera) ? toPlanDistances(camera, calculateThermalDistances(camera)) : calculatePlanDoriDistances(camera, fovDegrees));
+
+// Light pastel zone colours for each level
+const ZONE_COLORS = {
+  detection: "186, 225, 255", // Blue
+  observation: "186, 255, 201", // Green
+  recognition: "255, 255, 186", // Yellow
+  identification: "255, 179, 186", // Red
+};
+
+// Calculates DORI ring radii for a ceiling-mounted fisheye
+// Pixel density falls off from the centre, so each ring is the furthest ground distance that still meets its PPM
+export function calculateFisheyeDoriDistances(camera) {
+  if (!camera.resolution) return null;
+
+  const densityAt = createFisheyeDensityFunction(camera);
+  if (!densityAt) return null;
+  const maxDistance = Math.max(camera.coverageConfig.maxRange || 50, 1);
+
+  // Density only falls with distance, so search for where it crosses each threshold
+  const ringFor = (ppm) => {
+    if (densityAt(0) < ppm) return 0;
+    if (densityAt(maxDistance) >= ppm) return maxDistance;
+    let low = 0;
+    let high = maxDistance;
+    for (let i = 0; i < 40; i++) {
+      const mid = (low + high) / 2;
+      if (densityAt(mid) >= ppm) low = mid;
+      else high = mid;
+    }
+    return low;
+  };
+
+  return Object.fromEntries(Object.entries(DORI_PPM).map(([level, ppm]) => [level, ringFor(ppm)]));
+}
+
+// Calculates DORI distances at both ends of a varifocal lens
+export function calculateLensDoriDistances(camera) {
+  const envelope = calculateLensEnvelope(camera);
+  if (!envelope || !camera.resolution) return null;
+  const wide = calculateDoriDistances(camera, envelope.wide.planAngle);
+  const tele = calculateDoriDistances(camera, envelope.tele.planAngle);
+  if (!wide || !tele) return null;
+  return {
+    wide: { focalLength: envelope.wide.focalLength, ...wide },
+    tele: { focalLength: envelope.tele.focalLength, ...tele },
   };
 }
 
-// Creates visual zones for DORI levels
-export function createDoriZones(cameraIcon, fabricCanvas, commonProps) {
+// Creates visual zones for DORI levels, or Johnson criteria levels for thermal cameras
+// Pass a view ({ startAngle, endAngle, planAngle, radius, minRange }) to draw zones for an extra sensor head
+export function createDoriZones(cameraIcon, fabricCanvas, commonProps, view) {
   const doriZones = [];
-  const distances = calculateDoriDistances(cameraIcon);
+  const distances = getPlanZoneDistances(cameraIcon, view?.planAngle);
 
   if (distances) {
     const pixelsPerMeter = fabricCanvas.pixelsPerMeter || 17.5;
-    const maxRange = cameraIcon.coverageConfig.radius / pixelsPerMeter;
-    const currentMinRange = cameraIcon.coverageConfig.minRange || 0;
+    const maxRange = getNightRadius(cameraIcon, view ? view.radius : cameraIcon.coverageConfig.radius, pixelsPerMeter) / pixelsPerMeter;
+    const currentMinRange = (view ? view.minRange : cameraIcon.coverageConfig.minRange) || 0;
+    const { startAngle, endAngle } = view || cameraIcon.coverageConfig;
     const center = cameraIcon.getCenterPoint();
 
     // Calculate final opacity
@@ -83,13 +170,7 @@ export function createDoriZones(cameraIcon, fabricCanvas, commonProps) {
     if (isNaN(opacity) || opacity < 0) opacity = 0.3;
     const finalOpacity = opacity * layers.devices.opacity;
 
-    // Light pastel colors
-    const zones = [
-      { name: "detection", dist: distances.detection, color: `rgba(186, 225, 255, ${finalOpacity})` }, // Blue
-      { name: "observation", dist: distances.observation, color: `rgba(186, 255, 201, ${finalOpacity})` }, // Green
-      { name: "recognition", dist: distances.recognition, color: `rgba(255, 255, 186, ${finalOpacity})` }, // Yellow
-      { name: "identification", dist: distances.identification, color: `rgba(255, 179, 186, ${finalOpacity})` }, // Red
-    ];
+    const zones = Object.entries(distances).map(([name, dist]) => ({ name, dist, color: `rgba(${ZONE_COLORS[name]}, ${finalOpacity})` }));
 
     // Sort by distance descending (draw largest first)
     zones.sort((a, b) => b.dist - a.dist);
@@ -104,7 +185,7 @@ export function createDoriZones(cameraIcon, fabricCanvas, commonProps) {
       // Skip if zone is entirely within deadzone
       if (radiusPixels <= currentMinRange) return;
 
-      const points = cameraIcon.createCoveragePoints(cameraIcon.coverageConfig.startAngle, cameraIcon.coverageConfig.endAngle, center.x, center.y, radiusPixels);
+      const points = cameraIcon.createCoveragePoints(startAngle, endAngle, center.x, center.y, radiusPixels, view ? currentMinRange : undefined);
 
       const poly = new fabric.Polygon(points, {
         ...commonProps,
@@ -0,0 +1,195 @@
+// ============================================================================
+// CAMERA HEATMAP - Floor-wide pixel density overlay
+// ============================================================================
+// Colours every point of the floor by the best pixels per metre any camera
+// achieves there, banded by the IEC 62676-4 DORI thresholds.
+
+import { createCoveragePoints, getCoverageBlockers, getNightRadius } from "./camera-calculations.js";
+import { createPixelDensityFunction, DORI_PPM } from "./camera-dori.js";
+import { getSensorHeads, calculateHeadView } from "./camera-sensor-heads.js";
+import { DEFAULT_PIXELS_PER_METER, isPointInPolygon } from "../../sidebar/sidebar-utils.js";
+import { initOverlayLayer } from "./camera-overlay-layer.js";
+
+// Size of one heatmap cell on the floor
+const CELL_METERS = 0.25;
+// Upper limit on cells so large sites stay responsive; cells grow to fit
+const MAX_CELLS = 150000;
+
+// Colour bands from the best level down; anything covered below detection is grey
+const DENSITY_BANDS = [
+  { ppm: DORI_PPM.identification, color: [255, 99, 112] },
+  { ppm: DORI_PPM.recognition, color: [245, 215, 66] },
+  { ppm: DORI_PPM.observation, color: [88, 204, 117] },
+  { ppm: DORI_PPM.detection, color: [92, 172, 238] },
+  { ppm: 0, color: [170, 170, 170] },
+];
+
+let HeatmapImage = null;
+
+// Image subclass with its own type so it is never mistaken for the floor plan background
+const getHeatmapClass = () => {
+  if (!HeatmapImage) HeatmapImage = fabric.util.createClass(fabric.Image, { type: "pixelDensityHeatmap" });
+  return HeatmapImage;
+};
+
+// Wraps a painted grid in a non-interactive canvas image sized to the floor
+export function createGridImage(element, grid, options = {}) {
+  const HeatmapClass = getHeatmapClass();
+  return new HeatmapClass(element, {
+    left: grid.left,
+    top: grid.top,
+    scaleX: grid.cellSize,
+    scaleY: grid.cellSize,
+    selectable: false,
+    evented: false,
+    hasControls: false,
+    hasBorders: false,
+    hoverCursor: "default",
+    excludeFromExport: true,
+    ...options,
+  });
+}
+
+// Works out the box around a set of points
+export const getBounds = (points) => {
+  const xs = points.map((point) => point.x);
+  const ys = points.map((point) => point.y);
+  return { minX: Math.min(...xs), minY: Math.min(...ys), maxX: Math.max(...xs), maxY: Math.max(...ys) };
+};
+
+// Checks if a view sees a point: inside its polygon and not hidden behind an obstacle
+export const isPointCovered = (point, view) => isPointInPolygon(point, view) && !(view.points.shadows || []).some((shadow) => isPointInPolygon(point, shadow));
+
+// Collects every camera view (main view and extra heads) with its wall-clipped polygon and density function
+// Each view keeps the angles and radii it was built from so it can be rebuilt without walls
+// Pass { allCameras: true } to include cameras without a resolution, whose views then have no density function
+export function getCameraViews(fabricCanvas, { allCameras = false } = {}) {
+  const walls = getCoverageBlockers(fabricCanvas);
+  const pixelsPerMeter = fabricCanvas.pixelsPerMeter || DEFAULT_PIXELS_PER_METER;
+  const cameras = fabricCanvas.getObjects().filter((obj) => obj.type === "group" && obj.deviceType && obj.coverageConfig && (allCameras || obj.resolution));
+  const views = [];
+
+  cameras.forEach((camera) => {
+    const center = camera.getCenterPoint();
+    const { startAngle, endAngle, minRange = 0, projectionMode } = camera.coverageConfig;
+    // Night view keeps only the floor the IR lights
+    const radius = getNightRadius(camera, camera.coverageConfig.radius, pixelsPerMeter);
+
+    const density = createPixelDensityFunction(camera);
+    if ((density || allCameras) && minRange < radius) {
+      const points = createCoveragePoints(walls, camera, startAngle, endAngle, center.x, center.y, radius);
+      views.push({ camera, center, density, points, bounds: getBounds(points), startAngle, endAngle, radius, minRange });
+    }
+
+    if (projectionMode === "fisheye") return;
+    getSensorHeads(camera).forEach((head) => {
+      const view = calculateHeadView(camera, head);
+      const headDensity = view ? createPixelDensityFunction(camera, view.planAngle) : null;
+      const headRadius = view ? getNightRadius(camera, view.radius, pixelsPerMeter) : 0;
+      if (!view || (!headDensity && !allCameras) || view.minRange >= headRadius) return;
+      const points = createCoveragePoints(walls, camera, view.startAngle, view.endAngle, center.x, center.y, headRadius, view.minRange);
+      views.push({ camera, center, density: headDensity, points, bounds: getBounds(points), startAngle: view.startAngle, endAngle: view.endAngle, radius: headRadius, minRange: view.minRange });
+    });
+  });
+
+  return views;
+}
+
+// Lays out a grid of cells over an area, growing the cells when needed so the grid never exceeds maxCells
+export function createGrid(area, pixelsPerMeter, maxCells = MAX_CELLS) {
+  const { minX: left, minY: top } = area;
+  const width = Math.max(area.maxX - left, 1);
+  const height = Math.max(area.maxY - top, 1);
+
+  let cellSize = CELL_METERS * pixelsPerMeter;
+  if ((width / cellSize) * (height / cellSize) > maxCells) cellSize = Math.sqrt((width * height) / maxCells);
+  return { left, top, cols: Math.max(1, Math.ceil(width / cellSize)), rows: Math.max(1, Math.ceil(height / cellSize)), cellSize };
+}
+
+// Calls back with the index and centre of every grid cell inside a box
+export function forEachCellIn(grid, bounds, callback) {
+  const { left, top, cols, rows, cellSize } = grid;
+  const colStart = Math.max(0, Math.floor((bounds.minX - left) / cellSize));
+  const colEnd = Math.min(cols - 1, Math.ceil((bounds.maxX - left) / cellSize));
+  const rowStart = Math.max(0, Math.floor((bounds.minY - top) / cellSize));
+  const rowEnd = Math.min(rows - 1, Math.ceil((bounds.maxY - top) / cellSize));
+
+  for (let row = rowStart; row <= rowEnd; row++) {
+    const y = top + (row + 0.5) * cellSize;
+    for (let col = colStart; col <= colEnd; col++) {
+      callback(row * cols + col, { x: left + (col + 0.5) * cellSize, y });
+    }
+  }
+}
+
+// Samples the best pixels per metre at the centre of each cell over an area, -1 where no camera sees
+// Views without a density function (no resolution, or thermal) mark the cells they see as 0
+// Cells grow when needed so the grid never exceeds maxCells
+export function sampleDensityGrid(views, area, pixelsPerMeter, maxCells = MAX_CELLS) {
+  const grid = createGrid(area, pixelsPerMeter, maxCells);
+  const values = new Float32Array(grid.cols * grid.rows).fill(-1);
+
+  views.forEach((view) => {
+    const { bounds, center, density } = view;
+    forEachCellIn(grid, bounds, (index, point) => {
+      if (!isPointCovered(point, view)) return;
+      const ppm = density ? density(Math.hypot(point.x - center.x, point.y - center.y) / pixelsPerMeter) : 0;
+      if (ppm > values[index]) values[index] = ppm;
+    });
+  });
+
+  return { ...grid, values };
+}
+
+// Works out the best pixels per metre for every cell of a grid covering all camera views
+export function calculatePixelDensityGrid(fabricCanvas) {
+  const views = getCameraViews(fabricCanvas);
+  if (!views.length) return null;
+
+  const pixelsPerMeter = fabricCanvas.pixelsPerMeter || DEFAULT_PIXELS_PER_METER;
+  const area = {
+    minX: Math.min(...views.map((view) => view.bounds.minX)),
+    minY: Math.min(...views.map((view) => view.bounds.minY)),
+    maxX: Math.max(...views.map((view) => view.bounds.maxX)),
+    maxY: Math.max(...views.map((view) => view.bounds.maxY)),
+  };
+  return sampleDensityGrid(views, area, pixelsPerMeter);
+}
+
+// Paints the density grid into an offscreen canvas, one pixel per cell
+const paintGrid = ({ cols, rows, values }) => {
+  const canvas = document.createElement("canvas");
+  canvas.width = cols;
+  canvas.height = rows;
+  const context = canvas.getContext("2d");
+  const image = context.createImageData(cols, rows);
+
+  values.forEach((ppm, index) => {
+    if (ppm < 0) return;
+    const band = DENSITY_BANDS.find((entry) => ppm >= entry.ppm);
+    const offset = index * 4;
+    [image.data[offset], image.data[offset + 1], image.data[offset + 2]] = band.color;
+    image.data[offset + 3] = 255;
+  });
+
+  context.putImageData(image, 0, 0);
+  return canvas;
+};
+
+// Sets up the heatmap toggle and keeps the overlay in step with cameras and walls
+export function initPixelDensityHeatmap(fabricCanvas) {
+  const layer = initOverlayLayer(fabricCanvas, {
+    toggle: document.getElementById("pixel-density-heatmap-toggle"),
+    opacitySlider: document.getElementById("pixel-density-heatmap-opacity-slider"),
+    defaultOpacity: 0.6,
+    errorMessage: "Error building pixel density heatmap:",
+    isRelevant: (obj) => (obj.type === "group" && obj.coverageConfig) || obj.isWallLine || obj.startCircle || obj.endCircle || obj.isWallCircle || obj.isObstacle,
+    build: ({ opacity }) => {
+      const grid = calculatePixelDensityGrid(fabricCanvas);
+      return grid ? createGridImage(paintGrid(grid), grid, { opacity, isPixelDensityHeatmap: true }) : null;
+    },
+  });
+
+  window.schedulePixelDensityHeatmapUpdate = layer.scheduleUpdate;
+  return layer;
+}
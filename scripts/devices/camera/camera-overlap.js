@@ -0,0 +1,127 @@
+// ============================================================================
+// CAMERA OVERLAP - How many cameras see each part of the floor
+// ============================================================================
+// Counts cameras rather than views, so a multi-sensor camera whose heads
+// overlap still only counts once towards redundancy.
+
+import { getCameraViews, getBounds, createGrid, forEachCellIn, isPointCovered, createGridImage } from "./camera-heatmap.js";
+import { DEFAULT_PIXELS_PER_METER, isPointInPolygon, calculateArea } from "../../sidebar/sidebar-utils.js";
+import { initOverlayLayer } from "./camera-overlay-layer.js";
+
+// Keeps single zones quick to analyse, matching the coverage summary
+const MAX_POLYGON_CELLS = 40000;
+
+// Colours by camera count; uncovered cells are only painted inside zones and rooms
+const OVERLAP_COLORS = [
+  [220, 53, 69],
+  [255, 193, 7],
+  [40, 167, 69],
+  [23, 162, 184],
+];
+
+// Checks if an object is a zone or room outline
+const isAreaPolygon = (obj) => obj?.type === "polygon" && (obj.class === "zone-polygon" || obj.class === "room-polygon");
+
+// Counts the cameras that see the centre of each cell over an area
+export function sampleOverlapGrid(views, area, pixelsPerMeter, maxCells) {
+  const grid = createGrid(area, pixelsPerMeter, maxCells);
+  const counts = new Uint8Array(grid.cols * grid.rows);
+  // Remembers the last camera counted in each cell so its other heads are skipped
+  const stamps = new Uint16Array(grid.cols * grid.rows);
+  const cameraIds = new Map();
+
+  views.forEach((view) => {
+    if (!cameraIds.has(view.camera)) cameraIds.set(view.camera, cameraIds.size + 1);
+    const id = cameraIds.get(view.camera);
+    forEachCellIn(grid, view.bounds, (index, point) => {
+      if (stamps[index] === id || !isPointCovered(point, view)) return;
+      stamps[index] = id;
+      if (counts[index] < 255) counts[index]++;
+    });
+  });
+
+  return { ...grid, counts };
+}
+
+// Works out the camera count for every cell of a grid covering all camera views, zones and rooms
+export function calculateOverlapGrid(fabricCanvas) {
+  const views = getCameraViews(fabricCanvas, { allCameras: true });
+  const areas = fabricCanvas.getObjects().filter((obj) => isAreaPolygon(obj) && obj.points?.length >= 3);
+  if (!views.length && !areas.length) return null;
+
+  const boxes = [...views.map((view) => view.bounds), ...areas.map((polygon) => getBounds(polygon.points))];
+  const area = {
+    minX: Math.min(...boxes.map((box) => box.minX)),
+    minY: Math.min(...boxes.map((box) => box.minY)),
+    maxX: Math.max(...boxes.map((box) => box.maxX)),
+    maxY: Math.max(...boxes.map((box) => box.maxY)),
+  };
+  const grid = sampleOverlapGrid(views, area, fabricCanvas.pixelsPerMeter || DEFAULT_PIXELS_PER_METER);
+
+  // Marks cells inside a zone or room so gaps there show up
+  grid.inArea = new Uint8Array(grid.counts.length);
+  areas.forEach((polygon) => {
+    forEachCellIn(grid, getBounds(polygon.points), (index, point) => {
+      if (isPointInPolygon(point, polygon)) grid.inArea[index] = 1;
+    });
+  });
+  return grid;
+}
+
+// Works out the percentage of a zone or room seen by no camera, exactly one, and two or more
+export function calculatePolygonRedundancy(fabricCanvas, polygon) {
+  if (!fabricCanvas || !polygon?.points || polygon.points.length < 3) return null;
+  const pixelsPerMeter = fabricCanvas.pixelsPerMeter || DEFAULT_PIXELS_PER_METER;
+  const grid = sampleOverlapGrid(getCameraViews(fabricCanvas, { allCameras: true }), getBounds(polygon.points), pixelsPerMeter, MAX_POLYGON_CELLS);
+
+  const totals = [0, 0, 0];
+  forEachCellIn(grid, getBounds(polygon.points), (index, point) => {
+    if (isPointInPolygon(point, polygon)) totals[Math.min(grid.counts[index], 2)]++;
+  });
+
+  const total = totals[0] + totals[1] + totals[2];
+  const percent = (count) => (total ? (count / total) * 100 : 0);
+  return {
+    areaMeters: calculateArea(polygon.points, fabricCanvas),
+    uncoveredPercent: percent(totals[0]),
+    singlePercent: percent(totals[1]),
+    redundantPercent: percent(totals[2]),
+  };
+}
+
+// Paints the count grid into an offscreen canvas, one pixel per cell
+const paintGrid = ({ cols, rows, counts, inArea }) => {
+  const canvas = document.createElement("canvas");
+  canvas.width = cols;
+  canvas.height = rows;
+  const context = canvas.getContext("2d");
+  const image = context.createImageData(cols, rows);
+
+  counts.forEach((count, index) => {
+    if (!count && !inArea[index]) return;
+    const offset = index * 4;
+    [image.data[offset], image.data[offset + 1], image.data[offset + 2]] = OVERLAP_COLORS[Math.min(count, OVERLAP_COLORS.length - 1)];
+    image.data[offset + 3] = 255;
+  });
+
+  context.putImageData(image, 0, 0);
+  return canvas;
+};
+
+// Sets up the overlap map toggle and keeps the overlay in step with cameras, walls, zones and rooms
+export function initCameraOverlapMap(fabricCanvas) {
+  const layer = initOverlayLayer(fabricCanvas, {
+    toggle: document.getElementById("camera-overlap-toggle"),
+    opacitySlider: document.getElementById("camera-overlap-opacity-slider"),
+    defaultOpacity: 0.5,
+    errorMessage: "Error building camera overlap map:",
+    isRelevant: (obj) => (obj.type === "group" && obj.coverageConfig) || obj.isWallLine || obj.startCircle || obj.endCircle || obj.isWallCircle || obj.isObstacle || isAreaPolygon(obj),
+    build: ({ opacity }) => {
+      const grid = calculateOverlapGrid(fabricCanvas);
+      return grid ? createGridImage(paintGrid(grid), grid, { opacity, isCameraOverlapMap: true }) : null;
+    },
+  });
+
+  window.scheduleCameraOverlapUpdate = layer.scheduleUpdate;
+  return layer;
+}
@@ -0,0 +1,65 @@
+// ============================================================================
+// CAMERA OVERLAY LAYER - Analysis overlays switched on from the layer menu
+// ============================================================================
+// Shared by the pixel density heatmap, the camera overlap map and the sun
+// glare wedges. Each supplies how to build its overlay and which objects
+// affect it; this keeps the overlay above the background and rebuilds it
+// shortly after those objects change.
+
+// Wait this long after the last change before rebuilding
+const UPDATE_DELAY = 250;
+
+// Sets up an overlay behind a toggle and an optional opacity slider
+// build({ visible, opacity }) returns the overlay object or null; alwaysBuild runs it while hidden too, e.g. to keep a status line current
+export function initOverlayLayer(fabricCanvas, { toggle, opacitySlider, defaultOpacity = 0.5, build, isRelevant, alwaysBuild = false, errorMessage = "Error building overlay:" }) {
+  let overlay = null;
+  let updateTimer = null;
+
+  const getOpacity = () => (opacitySlider ? Number(opacitySlider.value) / 100 : defaultOpacity);
+
+  // Takes the current overlay off the canvas
+  const removeOverlay = () => {
+    if (overlay && fabricCanvas.getObjects().includes(overlay)) fabricCanvas.remove(overlay);
+    overlay = null;
+  };
+
+  // Rebuilds the overlay and places it just above the background
+  const rebuild = () => {
+    updateTimer = null;
+    removeOverlay();
+    const visible = !!toggle?.checked;
+    if (!visible && !alwaysBuild) return fabricCanvas.requestRenderAll();
+
+    try {
+      const built = build({ visible, opacity: getOpacity() });
+      if (built && visible) {
+        overlay = built;
+        const backgroundCount = fabricCanvas.getObjects().filter((obj) => obj.isBackground).length;
+        fabricCanvas.insertAt(overlay, backgroundCount);
+      }
+      fabricCanvas.requestRenderAll();
+    } catch (error) {
+      console.error(errorMessage, error);
+    }
+  };
+
+  // Batches rapid changes (dragging, slider moves) into one rebuild
+  const scheduleUpdate = () => {
+    if (!toggle?.checked && !overlay && !alwaysBuild) return;
+    clearTimeout(updateTimer);
+    updateTimer = setTimeout(rebuild, UPDATE_DELAY);
+  };
+
+  // Coverage redraws schedule an update themselves; this catches additions, removals and edits the redraws miss
+  ["object:added", "object:removed", "object:modified"].forEach((eventName) => {
+    fabricCanvas.on(eventName, (e) => e.target && e.target !== overlay && isRelevant(e.target) && scheduleUpdate());
+  });
+
+  toggle?.addEventListener("change", rebuild);
+  opacitySlider?.addEventListener("input", () => {
+    if (overlay) overlay.set({ opacity: getOpacity() });
+    fabricCanvas.requestRenderAll();
+  });
+
+  return { rebuild, scheduleUpdate };
+}
@@ -0,0 +1,287 @@
+// ============================================================================
+// CAMERA PLACEMENT - Suggested camera positions for a room
+// ============================================================================
+// Tries wall-mounted positions round the room's edge and picks the fewest
+// cameras that reach the target DORI level over the requested share of floor.
+
+import { DEFAULT_PIXELS_PER_METER, isPointInPolygon } from "../../sidebar/sidebar-utils.js";
+import { calculateCameraAngles, calculateCameraPhysics, createCoveragePoints, applyCameraPhysics, updateCameraFromSpecs, getCoverageBlockers, getViewHeight } from "./camera-calculations.js";
+import { calculatePlanDoriDistances } from "./camera-dori.js";
+import { getBounds, isPointCovered } from "./camera-heatmap.js";
+import { applyCameraModel } from "./camera-catalogue.js";
+import { DEVICE_TYPE_TO_IMAGE, placeDevice } from "../drag-drop-devices.js";
+
+// Floor cells the room is split into when scoring candidates
+const MAX_ROOM_CELLS = 2500;
+const MIN_CELL_METERS = 0.5;
+// Gap between candidate positions along the walls, and how far in from the wall they sit
+const CANDIDATE_SPACING_METERS = 1.5;
+const MAX_EDGE_CANDIDATES = 80;
+const WALL_INSET_METERS = 0.3;
+// Turns tried either side of facing straight into the room
+const EDGE_TURNS = [0, -35, 35];
+const CORNER_TURNS = [0, -20, 20];
+export const MAX_SUGGESTED_CAMERAS = 20;
+
+// Outline of suggested views while they are being reviewed
+const PREVIEW_COLOR = "#305CDE";
+
+let previewObjects = [];
+
+// Picks a device icon that suits the catalogue model's name and lens
+export function getModelDeviceType(model) {
+  const name = `${model?.model || ""} ${model?.manufacturer || ""}`.toLowerCase();
+  const keyword = ["ptz", "bullet", "dome", "box", "thermal"].find((type) => name.includes(type));
+  if (keyword) return `${keyword}-camera`;
+  return model?.lensMin && model?.lensMax / model.lensMin >= 10 ? "ptz-camera" : "fixed-camera";
+}
+
+// Gets the lens settings worth trying for a model: both ends and the middle of a varifocal range
+export function getModelLensOptions(model) {
+  const min = model?.lensMin || 2.8;
+  const max = model?.lensMax || min;
+  if (max <= min) return [min];
+  return [min, Math.round(Math.sqrt(min * max) * 10) / 10, max];
+}
+
+// Builds a stand-in camera with the model's specs so the usual calculations can run on it
+const createVirtualCamera = (fabricCanvas, model, mountHeight, focalLength) => ({
+  canvas: fabricCanvas,
+  resolution: model.resolution || "",
+  sensorSize: model.sensorSize || "1/2.8",
+  focalLength: `${focalLength}mm`,
+  coverageConfig: { startAngle: 270, endAngle: 0, cameraHeight: mountHeight, maxRange: 50, projectionMode: "circular", aspectRatioMode: false },
+});
+
+// Works out the floor a suggestion sees at the target DORI level, clipped by walls
+// Tilt is aimed so the top of the view lands on the target distance unless one is given
+export function calculateSuggestionView(fabricCanvas, suggestion, { model, targetLevel, mountHeight }, walls = getCoverageBlockers(fabricCanvas)) {
+  const pixelsPerMeter = fabricCanvas.pixelsPerMeter || DEFAULT_PIXELS_PER_METER;
+  const camera = createVirtualCamera(fabricCanvas, model, mountHeight, suggestion.focalLength);
+  const angles = calculateCameraAngles(suggestion.focalLength, camera.sensorSize, false);
+  if (!angles) return null;
+
+  const targetDistance = calculatePlanDoriDistances(camera, angles.planAngle)?.[targetLevel];
+  if (!targetDistance) return null;
+
+  const autoTilt = (Math.atan(getViewHeight(camera) / targetDistance) * 180) / Math.PI + angles.sideAngle / 2;
+  const tilt = Math.round(Math.max(0, Math.min(90, suggestion.tilt ?? autoTilt)));
+  const physics = calculateCameraPhysics(camera, angles.sideAngle, tilt);
+  const rangeMeters = Math.min(physics.maxDistMeters, targetDistance, camera.coverageConfig.maxRange);
+  const minRangeMeters = tilt + angles.sideAngle / 2 >= 90 ? 0 : Math.max(0, physics.minRangeMeters);
+  if (minRangeMeters >= rangeMeters) return null;
+
+  const isFullCircle = angles.planAngle >= 359;
+  const startAngle = isFullCircle ? 0 : (suggestion.pan - angles.planAngle / 2 + 360) % 360;
+  const endAngle = isFullCircle ? 360 : (suggestion.pan + angles.planAngle / 2) % 360;
+  const points = createCoveragePoints(walls, camera, startAngle, endAngle, suggestion.x, suggestion.y, rangeMeters * pixelsPerMeter, minRangeMeters * pixelsPerMeter);
+
+  return { ...suggestion, tilt, planAngle: angles.planAngle, sideAngle: angles.sideAngle, startAngle, endAngle, rangeMeters, points, bounds: getBounds(points) };
+}
+
+// Splits a room into cells and keeps the centres that fall inside it
+const createRoomCells = (fabricCanvas, polygon) => {
+  const pixelsPerMeter = fabricCanvas.pixelsPerMeter || DEFAULT_PIXELS_PER_METER;
+  const bounds = getBounds(polygon.points);
+  const width = Math.max(bounds.maxX - bounds.minX, 1);
+  const height = Math.max(bounds.maxY - bounds.minY, 1);
+  const cellSize = Math.max(MIN_CELL_METERS * pixelsPerMeter, Math.sqrt((width * height) / MAX_ROOM_CELLS));
+
+  const cells = [];
+  for (let y = bounds.minY + cellSize / 2; y < bounds.maxY; y += cellSize) {
+    for (let x = bounds.minX + cellSize / 2; x < bounds.maxX; x += cellSize) {
+      if (isPointInPolygon({ x, y }, polygon)) cells.push({ x, y });
+    }
+  }
+  return cells;
+};
+
+// Lists the cells a view covers
+const getCoveredCells = (view, cells) => {
+  const covered = [];
+  cells.forEach((cell, index) => {
+    const { bounds } = view;
+    if (cell.x < bounds.minX || cell.x > bounds.maxX || cell.y < bounds.minY || cell.y > bounds.maxY) return;
+    if (isPointCovered(cell, view)) covered.push(index);
+  });
+  return covered;
+};
+
+// Gets the direction pointing into the room from one of its edges, probing from the edge's midpoint
+const getInwardAngle = (polygon, a, b, pixelsPerMeter) => {
+  const length = Math.hypot(b.x - a.x, b.y - a.y) || 1;
+  const normal = { x: -(b.y - a.y) / length, y: (b.x - a.x) / length };
+  const probeDistance = Math.min(pixelsPerMeter * 0.5, length / 4);
+  const probe = { x: (a.x + b.x) / 2 + normal.x * probeDistance, y: (a.y + b.y) / 2 + normal.y * probeDistance };
+  const sign = isPointInPolygon(probe, polygon) ? 1 : -1;
+  return (Math.atan2(normal.y * sign, normal.x * sign) * 180) / Math.PI;
+};
+
+// Moves a point a short way into the room along a direction
+const insetPoint = (point, angle, distance) => ({ x: point.x + Math.cos((angle * Math.PI) / 180) * distance, y: point.y + Math.sin((angle * Math.PI) / 180) * distance });
+
+// Generates wall and corner mounting positions, each facing into the room
+const createCandidatePositions = (fabricCanvas, polygon) => {
+  const pixelsPerMeter = fabricCanvas.pixelsPerMeter || DEFAULT_PIXELS_PER_METER;
+  const points = polygon.points;
+  const perimeter = points.reduce((total, point, i) => total + Math.hypot(points[(i + 1) % points.length].x - point.x, points[(i + 1) % points.length].y - point.y), 0);
+  const spacing = Math.max(CANDIDATE_SPACING_METERS * pixelsPerMeter, perimeter / MAX_EDGE_CANDIDATES);
+  const inset = WALL_INSET_METERS * pixelsPerMeter;
+  const positions = [];
+
+  points.forEach((a, i) => {
+    const b = points[(i + 1) % points.length];
+    const prev = points[(i - 1 + points.length) % points.length];
+    const edgeLength = Math.hypot(b.x - a.x, b.y - a.y);
+    const edgeAngle = getInwardAngle(polygon, a, b, pixelsPerMeter);
+
+    // Corner: face along the bisector of the two walls
+    const prevAngle = getInwardAngle(polygon, prev, a, pixelsPerMeter);
+    const bisector = (Math.atan2(Math.sin((edgeAngle * Math.PI) / 180) + Math.sin((prevAngle * Math.PI) / 180), Math.cos((edgeAngle * Math.PI) / 180) + Math.cos((prevAngle * Math.PI) / 180)) * 180) / Math.PI;
+    const corner = insetPoint(a, bisector, inset * Math.SQRT2);
+    if (isPointInPolygon(corner, polygon)) positions.push({ ...corner, facing: bisector, turns: CORNER_TURNS });
+
+    // Along the wall
+    for (let along = spacing; along < edgeLength - spacing / 2; along += spacing) {
+      const point = { x: a.x + ((b.x - a.x) * along) / edgeLength, y: a.y + ((b.y - a.y) * along) / edgeLength };
+      const inside = insetPoint(point, edgeAngle, inset);
+      if (isPointInPolygon(inside, polygon)) positions.push({ ...inside, facing: edgeAngle, turns: EDGE_TURNS });
+    }
+  });
+
+  return positions;
+};
+
+// Works out the share of room cells covered by a set of views
+const calculateCoveredPercent = (coverSets, cellCount) => {
+  if (!cellCount) return 0;
+  const covered = new Uint8Array(cellCount);
+  coverSets.forEach((set) => set.forEach((index) => (covered[index] = 1)));
+  return (covered.reduce((total, value) => total + value, 0) / cellCount) * 100;
+};
+
+// Suggests the fewest cameras that reach the target DORI level over the target share of a room
+// options: { model, targetLevel, targetPercent, mountHeight, maxCameras }
+export function suggestCameraPlacements(fabricCanvas, polygon, options) {
+  const { model, targetPercent = 90, maxCameras = MAX_SUGGESTED_CAMERAS } = options;
+  if (!fabricCanvas || !polygon?.points || polygon.points.length < 3 || !model?.resolution) return null;
+
+  const walls = getCoverageBlockers(fabricCanvas);
+  const cells = createRoomCells(fabricCanvas, polygon);
+  if (!cells.length) return null;
+
+  // Score every position, turn and lens setting once
+  const candidates = [];
+  createCandidatePositions(fabricCanvas, polygon).forEach((position) => {
+    position.turns.forEach((turn) => {
+      getModelLensOptions(model).forEach((focalLength) => {
+        const pan = Math.round((position.facing + turn + 360) % 360);
+        const view = calculateSuggestionView(fabricCanvas, { x: position.x, y: position.y, pan, focalLength }, options, walls);
+        if (!view) return;
+        const covered = getCoveredCells(view, cells);
+        if (covered.length) candidates.push({ view, covered });
+      });
+    });
+  });
+
+  // Greedily add whichever camera covers the most cells still uncovered
+  const needed = Math.ceil((cells.length * Math.min(100, targetPercent)) / 100);
+  const coverCount = new Uint16Array(cells.length);
+  const chosen = [];
+  let coveredCells = 0;
+
+  while (coveredCells < needed && chosen.length < maxCameras) {
+    let best = null;
+    let bestGain = 0;
+    candidates.forEach((candidate) => {
+      const gain = candidate.covered.reduce((total, index) => total + (coverCount[index] ? 0 : 1), 0);
+      if (gain > bestGain) [best, bestGain] = [candidate, gain];
+    });
+    if (!best) break;
+    best.covered.forEach((index) => coverCount[index]++);
+    coveredCells += bestGain;
+    chosen.push(best);
+  }
+
+  // Drop any camera the others make redundant
+  for (let i = chosen.length - 1; i >= 0; i--) {
+    const lost = chosen[i].covered.reduce((total, index) => total + (coverCount[index] === 1 ? 1 : 0), 0);
+    if (coveredCells - lost < needed) continue;
+    chosen[i].covered.forEach((index) => coverCount[index]--);
+    coveredCells -= lost;
+    chosen.splice(i, 1);
+  }
+
+  return {
+    suggestions: chosen.map(({ view }) => ({ x: view.x, y: view.y, pan: view.pan, focalLength: view.focalLength, tilt: view.tilt })),
+    coveredPercent: (coveredCells / cells.length) * 100,
+  };
+}
+
+// Works out the views and combined coverage of suggestions after the user has tweaked them
+export function evaluateSuggestions(fabricCanvas, polygon, suggestions, options) {
+  const walls = getCoverageBlockers(fabricCanvas);
+  const cells = createRoomCells(fabricCanvas, polygon);
+  const views = suggestions.map((suggestion) => calculateSuggestionView(fabricCanvas, suggestion, options, walls));
+  return {
+    views,
+    coveredPercent: calculateCoveredPercent(
+      views.filter(Boolean).map((view) => getCoveredCells(view, cells)),
+      cells.length
+    ),
+  };
+}
+
+// Removes the suggestion outlines from the canvas
+export function clearSuggestionPreview(fabricCanvas) {
+  previewObjects.forEach((obj) => (fabricCanvas || obj.canvas)?.remove(obj));
+  previewObjects = [];
+  fabricCanvas?.requestRenderAll();
+}
+
+// Draws dashed outlines of the suggested views with a numbered marker at each position
+export function showSuggestionPreview(fabricCanvas, views) {
+  clearSuggestionPreview(fabricCanvas);
+  const common = { selectable: false, evented: false, hasControls: false, hasBorders: false, excludeFromExport: true, isPlacementSuggestion: true };
+
+  views.forEach((view, index) => {
+    if (!view) return;
+    const outline = new fabric.Polygon(view.points, { ...common, fill: "rgba(48, 92, 222, 0.12)", stroke: PREVIEW_COLOR, strokeWidth: 2, strokeDashArray: [6, 4], objectCaching: false });
+    const marker = new fabric.Circle({ ...common, left: view.x, top: view.y, radius: 9, fill: PREVIEW_COLOR, originX: "center", originY: "center" });
+    const label = new fabric.Text(String(index + 1), { ...common, left: view.x, top: view.y, fontSize: 11, fill: "#ffffff", fontFamily: "Poppins, sans-serif", originX: "center", originY: "center" });
+    previewObjects.push(outline, marker, label);
+  });
+
+  previewObjects.forEach((obj) => fabricCanvas.add(obj));
+  previewObjects.forEach((obj) => obj.bringToFront());
+  fabricCanvas.requestRenderAll();
+}
+
+// Places the suggestions as real cameras with the chosen model, pan, lens and tilt
+export function placeSuggestedCameras(fabricCanvas, suggestions, { model, mountHeight }) {
+  clearSuggestionPreview(fabricCanvas);
+  const imgSrc = DEVICE_TYPE_TO_IMAGE[getModelDeviceType(model)];
+
+  suggestions.forEach((suggestion) => {
+    placeDevice(fabricCanvas, imgSrc, suggestion.x, suggestion.y, {
+      configure: (group) => {
+        applyCameraModel(group, model);
+        group.focalLength = `${suggestion.focalLength}mm`;
+        Object.assign(group.coverageConfig, {
+          startAngle: (suggestion.pan - 30 + 360) % 360,
+          endAngle: (suggestion.pan + 30) % 360,
+          cameraHeight: mountHeight,
+          cameraTilt: suggestion.tilt,
+          maxRange: 50,
+        });
+      },
+      onPlaced: (group) => {
+        // Set the lens angle around the suggested pan, then range and dead zone from height and tilt
+        updateCameraFromSpecs(group);
+        applyCameraPhysics(group);
+        group.createOrUpdateCoverageArea?.();
+        window.updateDeviceCompleteIndicator?.(group);
+      },
+    });
+  });
+}
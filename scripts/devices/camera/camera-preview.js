@@ -0,0 +1,304 @@
+// ============================================================================
+// CAMERA PREVIEW - Approximate view through the camera's lens
+// ============================================================================
+// Extrudes walls and obstacles from the plan, stands reference figures in
+// front of the camera and projects the lot with the camera's height, tilt and
+// field of view. Rough, but enough to show a client what will be on screen.
+
+import { angleDiff, distance, lineIntersect, getCoverageBlockers, getObstacleEnds, parseResolution } from "./camera-calculations.js";
+import { DEFAULT_PIXELS_PER_METER, isPointInPolygon, preventEventPropagation } from "../../sidebar/sidebar-utils.js";
+
+// Height used for walls that are not inside any room
+const DEFAULT_WALL_HEIGHT = 2.4;
+// Standard opening heights in metres
+const DOOR_HEAD = 2.1;
+const WINDOW_SILL = 0.9;
+const WINDOW_HEAD = 2.1;
+// Reference figure size in metres
+const FIGURE_HEIGHT = 1.75;
+const FIGURE_WIDTH = 0.5;
+// Figures stand either side of the centre line so nearer ones don't hide the rest
+const FIGURE_OFFSETS = [-0.8, 0.8];
+export const DEFAULT_FIGURE_DISTANCES = [5, 10, 20];
+// Anything closer to the lens than this is cut off
+const NEAR_PLANE = 0.05;
+// Perspective breaks down for very wide lenses, so the preview is capped here
+const MAX_PREVIEW_FOV = 150;
+// Preview image size in pixels; the height follows the lens aspect
+const PREVIEW_WIDTH = 640;
+const MIN_PREVIEW_HEIGHT = 160;
+const MAX_PREVIEW_HEIGHT = 960;
+// Floor grid spacing and reach in metres
+const GRID_SPACING = 1;
+const MAX_GRID_METERS = 50;
+
+// Fill and outline for each kind of wall piece
+const PIECE_STYLES = {
+  wall: { fill: "#cfd8dc", stroke: "#78909c" },
+  obstacle: { fill: "#bcaaa4", stroke: "#8d6e63" },
+  door: { fill: "#8d6e63", stroke: "#5d4037" },
+  window: { fill: "#90a4ae", stroke: "#546e7a" },
+  glass: { fill: "rgba(66, 165, 245, 0.25)", stroke: "#42a5f5" },
+};
+
+let previewModal = null;
+let previewCamera = null;
+
+// Reads the figure distances typed as a comma separated list, in metres
+export const parseFigureDistances = (text) =>
+  String(text ?? "")
+    .split(/[,\s]+/)
+    .map((value) => parseFloat(value))
+    .filter((value) => value > 0);
+
+// Gets the height of the tallest room on either side of a wall, in metres
+const getWallHeight = (a, b) => {
+  const length = distance(a, b);
+  if (!length) return DEFAULT_WALL_HEIGHT;
+  const mid = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+  const normal = { x: -(b.y - a.y) / length, y: (b.x - a.x) / length };
+  const sides = [1, -1].map((side) => ({ x: mid.x + normal.x * side * 4, y: mid.y + normal.y * side * 4 }));
+
+  const heights = (window.rooms || [])
+    .filter((room) => room.polygon?.points && sides.some((point) => isPointInPolygon(point, room.polygon)))
+    .map((room) => parseFloat(room.height ?? room.text?.displayHeight ?? room.polygon.height))
+    .filter((height) => height > 0);
+  return heights.length ? Math.max(...heights) : DEFAULT_WALL_HEIGHT;
+};
+
+// Splits a wall into vertical pieces around its doors and windows, with distances along it in metres
+const getWallPieces = (wall, length, height) => {
+  const openings = (wall.openings || [])
+    .map((opening) => ({ ...opening, from: Math.max(0, opening.position * length - opening.width / 2), to: Math.min(length, opening.position * length + opening.width / 2) }))
+    .sort((a, b) => a.from - b.from);
+  const pieces = [];
+  let cursor = 0;
+
+  openings.forEach((opening) => {
+    if (opening.from > cursor) pieces.push({ from: cursor, to: opening.from, bottom: 0, top: height, style: "wall" });
+    const { from, to } = opening;
+    const bottom = opening.kind === "window" ? Math.min(WINDOW_SILL, height) : 0;
+    const top = Math.min(opening.kind === "window" ? WINDOW_HEAD : DOOR_HEAD, height);
+
+    if (bottom > 0) pieces.push({ from, to, bottom: 0, top: bottom, style: "wall" });
+    if (height > top) pieces.push({ from, to, bottom: top, top: height, style: "wall" });
+    if (opening.state !== "open" && top > bottom) pieces.push({ from, to, bottom, top, style: opening.state === "glazed" ? "glass" : opening.kind });
+    cursor = Math.max(cursor, to);
+  });
+  if (cursor < length) pieces.push({ from: cursor, to: length, bottom: 0, top: height, style: "wall" });
+  return pieces;
+};
+
+// Sets up the projection from floor metres (x, y across the plan, z up) to preview pixels
+const createView = (camera, pixelsPerMeter) => {
+  const { startAngle, endAngle, cameraHeight = 3, cameraTilt = 25, sideFOV } = camera.coverageConfig;
+  const span = angleDiff(startAngle, endAngle);
+  const heading = fabric.util.degreesToRadians(startAngle + span / 2);
+  const tilt = fabric.util.degreesToRadians(cameraTilt);
+  const center = camera.getCenterPoint();
+
+  const resolution = parseResolution(camera.resolution) || { width: 16, height: 9 };
+  const horizontalFov = Math.min(span, MAX_PREVIEW_FOV);
+  const halfWidth = Math.tan(fabric.util.degreesToRadians(horizontalFov) / 2);
+  const halfHeight = sideFOV ? Math.tan(fabric.util.degreesToRadians(Math.min(sideFOV, MAX_PREVIEW_FOV)) / 2) : (halfWidth * resolution.height) / resolution.width;
+  const width = PREVIEW_WIDTH;
+  const height = Math.round(Math.max(MIN_PREVIEW_HEIGHT, Math.min(MAX_PREVIEW_HEIGHT, (width * halfHeight) / halfWidth)));
+
+  const eye = { x: center.x / pixelsPerMeter, y: center.y / pixelsPerMeter, z: cameraHeight };
+  const forward = { x: Math.cos(tilt) * Math.cos(heading), y: Math.cos(tilt) * Math.sin(heading), z: -Math.sin(tilt) };
+  const up = { x: Math.sin(tilt) * Math.cos(heading), y: Math.sin(tilt) * Math.sin(heading), z: Math.cos(tilt) };
+  const right = { x: -Math.sin(heading), y: Math.cos(heading) };
+
+  return {
+    eye,
+    heading,
+    tilt,
+    width,
+    height,
+    horizontalFov,
+    verticalFov: fabric.util.radiansToDegrees(2 * Math.atan(halfHeight)),
+    clipped: span > MAX_PREVIEW_FOV,
+    // Moves a floor point into camera space: x right, y up, z along the lens
+    toCamera: ({ x, y, z }) => {
+      const dx = x - eye.x;
+      const dy = y - eye.y;
+      const dz = z - eye.z;
+      return { x: dx * right.x + dy * right.y, y: dx * up.x + dy * up.y + dz * up.z, z: dx * forward.x + dy * forward.y + dz * forward.z };
+    },
+    toScreen: (point) => ({ x: width / 2 + (point.x / point.z) * (width / 2 / halfWidth), y: height / 2 - (point.y / point.z) * (height / 2 / halfHeight) }),
+  };
+};
+
+// Cuts away the part of a camera-space polygon that lies behind the lens
+const clipToNearPlane = (points) => {
+  const clipped = [];
+  points.forEach((point, i) => {
+    const next = points[(i + 1) % points.length];
+    if (point.z >= NEAR_PLANE) clipped.push(point);
+    if (point.z >= NEAR_PLANE !== next.z >= NEAR_PLANE) {
+      const t = (NEAR_PLANE - point.z) / (next.z - point.z);
+      clipped.push({ x: point.x + (next.x - point.x) * t, y: point.y + (next.y - point.y) * t, z: NEAR_PLANE });
+    }
+  });
+  return clipped;
+};
+
+// Projects and fills one polygon of floor points
+const drawPolygon = (context, view, points, style) => {
+  const screen = clipToNearPlane(points.map(view.toCamera)).map(view.toScreen);
+  if (screen.length < 3) return;
+  context.beginPath();
+  screen.forEach((point, i) => (i ? context.lineTo(point.x, point.y) : context.moveTo(point.x, point.y)));
+  context.closePath();
+  context.fillStyle = style.fill;
+  context.fill();
+  context.strokeStyle = style.stroke;
+  context.lineWidth = 1;
+  context.stroke();
+};
+
+// Draws the sky, the floor and a one-metre grid on the floor
+const drawGround = (context, view, reach) => {
+  const horizonY = Math.max(0, Math.min(view.height, view.height / 2 - Math.tan(view.tilt) * (view.height / 2 / Math.tan(fabric.util.degreesToRadians(view.verticalFov) / 2))));
+  context.fillStyle = "#e3f2fd";
+  context.fillRect(0, 0, view.width, horizonY);
+  context.fillStyle = "#eeeeee";
+  context.fillRect(0, horizonY, view.width, view.height - horizonY);
+
+  context.strokeStyle = "#d0d0d0";
+  context.lineWidth = 1;
+  const startX = Math.floor((view.eye.x - reach) / GRID_SPACING) * GRID_SPACING;
+  const startY = Math.floor((view.eye.y - reach) / GRID_SPACING) * GRID_SPACING;
+  for (let i = 0; i <= (reach * 2) / GRID_SPACING + 1; i++) {
+    [
+      [{ x: startX + i * GRID_SPACING, y: startY, z: 0 }, { x: startX + i * GRID_SPACING, y: startY + reach * 2 + GRID_SPACING, z: 0 }],
+      [{ x: startX, y: startY + i * GRID_SPACING, z: 0 }, { x: startX + reach * 2 + GRID_SPACING, y: startY + i * GRID_SPACING, z: 0 }],
+    ].forEach((line) => {
+      const screen = clipToNearPlane(line.map(view.toCamera)).map(view.toScreen);
+      if (screen.length < 2) return;
+      context.beginPath();
+      context.moveTo(screen[0].x, screen[0].y);
+      context.lineTo(screen[1].x, screen[1].y);
+      context.stroke();
+    });
+  }
+};
+
+// Draws a person-sized silhouette standing at a floor point, labelled with its distance
+const drawFigure = (context, view, figure) => {
+  const base = view.toCamera({ ...figure.position, z: 0 });
+  if (base.z < NEAR_PLANE) return;
+  const feet = view.toScreen(base);
+  const head = view.toScreen(view.toCamera({ ...figure.position, z: FIGURE_HEIGHT }));
+  const height = feet.y - head.y;
+  const width = (FIGURE_WIDTH / base.z) * (view.width / 2 / Math.tan(fabric.util.degreesToRadians(view.horizontalFov) / 2));
+  const headRadius = height * 0.08;
+
+  context.fillStyle = "#37474f";
+  context.beginPath();
+  context.arc(head.x, head.y + headRadius, headRadius, 0, Math.PI * 2);
+  context.fill();
+  context.fillRect(head.x - width / 2, head.y + headRadius * 2.2, width, height * 0.42);
+  context.fillRect(head.x - width / 2, head.y + headRadius * 2.2 + height * 0.42, width * 0.42, height - headRadius * 2.2 - height * 0.42);
+  context.fillRect(head.x + width * 0.08, head.y + headRadius * 2.2 + height * 0.42, width * 0.42, height - headRadius * 2.2 - height * 0.42);
+
+  context.fillStyle = "#263238";
+  context.font = "11px sans-serif";
+  context.textAlign = "center";
+  context.fillText(`${figure.distance}m`, feet.x, Math.min(view.height - 2, feet.y + 12));
+};
+
+// Renders the camera's view into a canvas element, returning the view used or null if the camera can't be previewed
+export function renderCameraPreview(canvasElement, camera, figureDistances = DEFAULT_FIGURE_DISTANCES) {
+  const fabricCanvas = camera?.canvas;
+  if (!canvasElement || !fabricCanvas || !camera.coverageConfig || camera.coverageConfig.projectionMode === "fisheye") return null;
+
+  const pixelsPerMeter = fabricCanvas.pixelsPerMeter || DEFAULT_PIXELS_PER_METER;
+  const view = createView(camera, pixelsPerMeter);
+  canvasElement.width = view.width;
+  canvasElement.height = view.height;
+  const context = canvasElement.getContext("2d");
+  const toMeters = (point) => ({ x: point.x / pixelsPerMeter, y: point.y / pixelsPerMeter });
+
+  drawGround(context, view, Math.min(MAX_GRID_METERS, Math.max(...figureDistances, camera.coverageConfig.radius / pixelsPerMeter || 0) + GRID_SPACING));
+
+  // Walls and obstacles are painted far to near, each ranked by its closest point to the camera
+  const items = [];
+  const blockers = getCoverageBlockers(fabricCanvas).map((line) => {
+    const [a, b] = (line.isObstacle ? getObstacleEnds(line) : [{ x: line.x1, y: line.y1 }, { x: line.x2, y: line.y2 }]).map(toMeters);
+    const length = distance(a, b);
+    const closest = length ? Math.max(0, Math.min(1, ((view.eye.x - a.x) * (b.x - a.x) + (view.eye.y - a.y) * (b.y - a.y)) / (length * length))) : 0;
+    return { line, a, b, length, depth: distance(view.eye, { x: a.x + (b.x - a.x) * closest, y: a.y + (b.y - a.y) * closest }) };
+  });
+
+  blockers.forEach(({ line, a, b, length, depth }) => {
+    if (!length) return;
+    const pieces = line.isObstacle ? [{ from: 0, to: length, bottom: 0, top: line.obstacleHeight ?? 0, style: "obstacle" }] : getWallPieces(line, length, getWallHeight({ x: line.x1, y: line.y1 }, { x: line.x2, y: line.y2 }));
+    const along = (t) => ({ x: a.x + ((b.x - a.x) * t) / length, y: a.y + ((b.y - a.y) * t) / length });
+    items.push({
+      depth,
+      draw: () =>
+        pieces.forEach(({ from, to, bottom, top, style }) => {
+          if (top <= bottom) return;
+          const [start, end] = [along(from), along(to)];
+          drawPolygon(context, view, [{ ...start, z: bottom }, { ...end, z: bottom }, { ...end, z: top }, { ...start, z: top }], PIECE_STYLES[style]);
+        }),
+    });
+  });
+
+  // A figure behind a wall is drawn before that wall so the wall hides it
+  figureDistances.forEach((figureDistance, i) => {
+    const offset = FIGURE_OFFSETS[i % FIGURE_OFFSETS.length];
+    const position = {
+      x: view.eye.x + Math.cos(view.heading) * figureDistance - Math.sin(view.heading) * offset,
+      y: view.eye.y + Math.sin(view.heading) * figureDistance + Math.cos(view.heading) * offset,
+    };
+    const depth = blockers.reduce((deepest, blocker) => (lineIntersect(view.eye, position, blocker.a, blocker.b) ? Math.max(deepest, blocker.depth + 0.01) : deepest), distance(view.eye, position));
+    items.push({ depth, draw: () => drawFigure(context, view, { position, distance: figureDistance }) });
+  });
+
+  items.sort((a, b) => b.depth - a.depth).forEach((item) => item.draw());
+  return view;
+}
+
+// Draws the preview for the camera the window was opened for and describes the view under it
+const renderOpenPreview = () => {
+  const canvasElement = document.getElementById("camera-preview-canvas");
+  const distancesInput = document.getElementById("camera-preview-distances-input");
+  const caption = document.getElementById("camera-preview-caption");
+
+  try {
+    const distances = parseFigureDistances(distancesInput?.value);
+    const view = renderCameraPreview(canvasElement, previewCamera, distances.length ? distances : DEFAULT_FIGURE_DISTANCES);
+    if (caption && view) {
+      const { cameraHeight = 3, cameraTilt = 25 } = previewCamera.coverageConfig;
+      caption.textContent = `Height ${Number(cameraHeight).toFixed(1)}m, tilt ${Math.round(cameraTilt)}°, ${Math.round(view.horizontalFov)}° × ${Math.round(view.verticalFov)}° view${view.clipped ? " (limited for preview)" : ""}`;
+    }
+  } catch (error) {
+    console.error("Error rendering camera preview:", error);
+  }
+};
+
+// Opens the preview window for a camera; the figure distances can be changed while it is open
+export function openCameraPreview(camera) {
+  const modalElement = document.getElementById("camera-preview-modal");
+  if (!modalElement || !camera?.coverageConfig || typeof bootstrap === "undefined") return;
+
+  if (camera.coverageConfig.projectionMode === "fisheye") {
+    alert("Preview view is not available for fisheye cameras");
+    return;
+  }
+
+  if (!previewModal) {
+    previewModal = new bootstrap.Modal(modalElement);
+    const distancesInput = document.getElementById("camera-preview-distances-input");
+    if (distancesInput) {
+      distancesInput.addEventListener("input", renderOpenPreview);
+      preventEventPropagation(distancesInput, ["click", "keydown", "keyup"]);
+    }
+  }
+
+  previewCamera = camera;
+  renderOpenPreview();
+  previewModal.show();
+}
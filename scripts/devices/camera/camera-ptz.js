@@ -0,0 +1,133 @@
+// ============================================================================
+// CAMERA PTZ - Preset positions and patrol tours
+// ============================================================================
+
+import { DEFAULT_PIXELS_PER_METER } from "../../sidebar/sidebar-utils.js";
+import { angleDiff, calculateCameraAngles, calculateCameraPhysics, getFocalRange, parseFocalLength, updateCameraFromSpecs, applyCameraPhysics, getSensorSize } from "./camera-calculations.js";
+
+// Outline colours handed out to new presets in turn
+export const PTZ_PRESET_COLORS = ["#f8794b", "#305CDE", "#2e8b57", "#8b0000", "#8a2be2", "#d4a017"];
+
+// Seconds a new preset holds before the tour moves on
+const DEFAULT_DWELL = 10;
+
+// Generates unique ID for presets
+const uid = () => "ptz_" + Math.random().toString(36).slice(2) + Date.now().toString(36);
+
+// Checks if a device is a PTZ camera
+export const isPtzCamera = (camera) => camera?.deviceType === "ptz-camera.png";
+
+// Gets the presets stored on a camera
+export const getPtzPresets = (camera) => (Array.isArray(camera?.coverageConfig?.ptzPresets) ? camera.coverageConfig.ptzPresets : []);
+
+// Gets the direction the camera is currently pointing
+const getPanAngle = (camera) => {
+  const { startAngle, endAngle } = camera.coverageConfig;
+  return Math.round((startAngle + angleDiff(startAngle, endAngle) / 2) % 360);
+};
+
+// Cleans up a saved preset so every field is present
+export function normalizePtzPreset(raw, index = 0) {
+  if (!raw || typeof raw !== "object") return null;
+  const num = (value, fallback) => (Number.isFinite(parseFloat(value)) ? parseFloat(value) : fallback);
+  return {
+    id: raw.id || uid(),
+    name: String(raw.name ?? "").trim() || `Preset ${index + 1}`,
+    pan: ((Math.round(num(raw.pan, 0)) % 360) + 360) % 360,
+    tilt: Math.max(0, Math.min(90, num(raw.tilt, 25))),
+    zoom: parseFocalLength(raw.zoom),
+    color: raw.color || PTZ_PRESET_COLORS[index % PTZ_PRESET_COLORS.length],
+    dwell: Math.max(1, Math.round(num(raw.dwell, DEFAULT_DWELL))),
+    inTour: raw.inTour !== false,
+  };
+}
+
+// Creates a preset from the camera's current pan, tilt and zoom
+export function createPtzPreset(camera) {
+  const presets = getPtzPresets(camera);
+  return normalizePtzPreset(
+    {
+      pan: getPanAngle(camera),
+      tilt: camera.coverageConfig.cameraTilt ?? 25,
+      zoom: camera.focalLength,
+    },
+    presets.length
+  );
+}
+
+// Works out the coverage wedge for a preset without moving the camera
+export function calculatePresetView(camera, preset) {
+  if (!camera?.coverageConfig || !preset) return null;
+
+  const { aspectRatioMode, maxRange = 50, sideFOV, startAngle, endAngle } = camera.coverageConfig;
+  const pixelsPerMeter = camera.canvas?.pixelsPerMeter || DEFAULT_PIXELS_PER_METER;
+
+  // Fall back to the live lens when the preset has no zoom or the sensor is unknown
+  const angles = calculateCameraAngles(preset.zoom || camera.focalLength, getSensorSize(camera), aspectRatioMode || false);
+  const planAngle = angles ? angles.planAngle : angleDiff(startAngle, endAngle);
+  const sideAngle = angles ? angles.sideAngle : sideFOV;
+
+  const physics = calculateCameraPhysics(camera, sideAngle, preset.tilt);
+  const rangeMeters = Math.min(physics ? physics.maxDistMeters : maxRange, maxRange);
+  const isFullCircle = planAngle >= 359;
+
+  return {
+    planAngle,
+    startAngle: isFullCircle ? 0 : (preset.pan - planAngle / 2 + 360) % 360,
+    endAngle: isFullCircle ? 360 : (preset.pan + planAngle / 2) % 360,
+    rangeMeters,
+    radius: rangeMeters * pixelsPerMeter,
+  };
+}
+
+// Works out how far the camera can see when panned all the way round at maximum zoom
+export function calculatePanEnvelope(camera) {
+  if (!camera?.coverageConfig) return null;
+
+  const focalLength = getFocalRange(camera)?.max ?? parseFocalLength(camera.focalLength);
+  const angles = focalLength ? calculateCameraAngles(focalLength, getSensorSize(camera), camera.coverageConfig.aspectRatioMode || false) : null;
+  const maxRange = camera.coverageConfig.maxRange || 50;
+  const pixelsPerMeter = camera.canvas?.pixelsPerMeter || DEFAULT_PIXELS_PER_METER;
+
+  const physics = calculateCameraPhysics(camera, angles?.sideAngle);
+  const rangeMeters = Math.min(physics ? physics.maxDistMeters : maxRange, maxRange);
+  return { focalLength, rangeMeters, radius: rangeMeters * pixelsPerMeter };
+}
+
+// Points the camera's live view at a preset
+export function applyPtzPreset(camera, preset) {
+  if (!camera?.coverageConfig || !preset) return;
+
+  const config = camera.coverageConfig;
+  const span = angleDiff(config.startAngle, config.endAngle);
+  config.startAngle = (preset.pan - span / 2 + 360) % 360;
+  config.endAngle = (preset.pan + span / 2) % 360;
+  config.cameraTilt = preset.tilt;
+  config.isInitialized = true;
+
+  if (preset.zoom) {
+    camera.focalLength = `${preset.zoom}mm`;
+    updateCameraFromSpecs(camera);
+  }
+
+  applyCameraPhysics(camera);
+  if (camera.createOrUpdateCoverageArea) camera.createOrUpdateCoverageArea();
+}
+
+// Summarises the patrol tour made from the presets marked for touring
+export function getPatrolTour(camera) {
+  const stops = getPtzPresets(camera).filter((preset) => preset.inTour !== false);
+  return {
+    stops,
+    cycleSeconds: stops.reduce((total, preset) => total + (preset.dwell || DEFAULT_DWELL), 0),
+  };
+}
+
+// Formats a camera's presets for the takeoff, e.g. "Gate (90°, 12mm); Door (180°)"
+export function formatPtzPresets(camera) {
+  const presets = getPtzPresets(camera);
+  if (!presets.length) return "";
+  const list = presets.map((preset) => `${preset.name} (${[`${preset.pan}°`, preset.zoom ? `${preset.zoom}mm` : ""].filter(Boolean).join(", ")})`).join("; ");
+  const { stops, cycleSeconds } = getPatrolTour(camera);
+  return stops.length > 1 ? `${list}; Tour: ${stops.length} stops, ${cycleSeconds}s` : list;
+}
@@ -0,0 +1,112 @@
+// ============================================================================
+// CAMERA RECORDING - Bitrate, storage and recorder load
+// ============================================================================
+// Estimates each camera's stream from its resolution and recording settings,
+// then totals cameras per NVR/DVR by following topology connections.
+
+import { parseResolution } from "./camera-calculations.js";
+import { getSensorCount } from "./camera-sensor-heads.js";
+
+// Settings used until a camera's own are entered
+export const RECORDING_DEFAULTS = {
+  recordingFps: 25,
+  recordingCodec: "H.265",
+  bitrateMode: "VBR",
+  motionPercent: 50,
+  retentionDays: 30,
+};
+
+// Compressed bits per pixel per frame at typical surveillance quality
+export const CODEC_BITS_PER_PIXEL = {
+  "H.264": 0.07,
+  "H.265": 0.035,
+};
+
+// Share of the peak bitrate a VBR stream uses when nothing in the scene moves
+const VBR_IDLE_RATIO = 0.25;
+
+// Device types that record camera streams
+const RECORDER_TYPES = ["nvr.png", "dvr.png"];
+
+// Checks if a device is an NVR or DVR
+export const isRecorder = (device) => RECORDER_TYPES.includes(String(device?.deviceType ?? "").split(/[/\\]/).pop().toLowerCase());
+
+// Gets a camera's recording settings as numbers, filling gaps with the defaults
+export function getRecordingSettings(camera) {
+  const num = (key, min, max) => {
+    const value = parseFloat(camera?.[key]);
+    return Number.isFinite(value) ? Math.max(min, Math.min(max, value)) : RECORDING_DEFAULTS[key];
+  };
+  return {
+    recordingFps: num("recordingFps", 1, 120),
+    recordingCodec: CODEC_BITS_PER_PIXEL[camera?.recordingCodec] ? camera.recordingCodec : RECORDING_DEFAULTS.recordingCodec,
+    bitrateMode: camera?.bitrateMode === "CBR" ? "CBR" : RECORDING_DEFAULTS.bitrateMode,
+    motionPercent: num("motionPercent", 0, 100),
+    retentionDays: num("retentionDays", 0, 3650),
+  };
+}
+
+// Converts an average bitrate in Mbps to the storage needed for a number of days, in TB
+export const calculateStorageTB = (averageMbps, days) => (averageMbps * 86400 * days) / 8 / 1e6;
+
+// Estimates a camera's bitrate and storage, counting every sensor as its own stream
+// VBR streams fall towards VBR_IDLE_RATIO of the peak when there is no motion; CBR streams never do
+export function calculateCameraRecording(camera) {
+  const resolution = parseResolution(camera?.resolution);
+  if (!resolution) return null;
+
+  const settings = getRecordingSettings(camera);
+  const streams = getSensorCount(camera);
+  const peakMbps = (resolution.width * resolution.height * settings.recordingFps * CODEC_BITS_PER_PIXEL[settings.recordingCodec] * streams) / 1e6;
+  const averageMbps = settings.bitrateMode === "CBR" ? peakMbps : peakMbps * (VBR_IDLE_RATIO + (1 - VBR_IDLE_RATIO) * (settings.motionPercent / 100));
+
+  return { ...settings, streams, peakMbps, averageMbps, storageTB: calculateStorageTB(averageMbps, settings.retentionDays) };
+}
+
+// Totals the cameras recorded by each NVR/DVR on a canvas and checks them against its disk and channels
+export function calculateRecorderLoads(fabricCanvas, topologyManager = window.topologyManager) {
+  const devices = fabricCanvas.getObjects().filter((obj) => obj.type === "group" && obj.deviceType);
+  const loads = new Map(devices.filter(isRecorder).map((recorder) => [recorder, { recorder, cameras: [], channels: 0, averageMbps: 0, peakMbps: 0, storageTB: 0 }]));
+
+  devices
+    .filter((device) => device.coverageConfig)
+    .forEach((camera) => {
+      // Streams pass through switches and other network kit, but never through another camera
+      const recorder = topologyManager?.findNearestConnectedDevice?.(camera, isRecorder, (device) => !device.coverageConfig);
+      const load = loads.get(recorder);
+      if (!load) return;
+      const recording = calculateCameraRecording(camera);
+      load.cameras.push({ camera, recording });
+      load.channels += getSensorCount(camera);
+      if (!recording) return;
+      load.averageMbps += recording.averageMbps;
+      load.peakMbps += recording.peakMbps;
+      load.storageTB += recording.storageTB;
+    });
+
+  return [...loads.values()].map((load) => {
+    const capacityTB = parseFloat(load.recorder.recorderStorage);
+    const channelLimit = parseInt(load.recorder.recorderChannels);
+    return {
+      ...load,
+      capacityTB: capacityTB > 0 ? capacityTB : null,
+      channelLimit: channelLimit > 0 ? channelLimit : null,
+      overCapacity: capacityTB > 0 && load.storageTB > capacityTB,
+      overChannels: channelLimit > 0 && load.channels > channelLimit,
+    };
+  });
+}
+
+// Finds the load of the recorder a camera streams to, or the load of a recorder itself
+export function getRecorderLoadFor(device) {
+  if (!device?.canvas) return null;
+  return calculateRecorderLoads(device.canvas).find((load) => load.recorder === device || load.cameras.some((entry) => entry.camera === device)) || null;
+}
+
+// Describes what a recorder has exceeded, if anything
+export function getRecorderWarnings(load) {
+  const warnings = [];
+  if (load?.overChannels) warnings.push(`${load.channels} channels needed but only ${load.channelLimit} available`);
+  if (load?.overCapacity) warnings.push(`${load.storageTB.toFixed(2)} TB needed but only ${load.capacityTB} TB installed`);
+  return warnings;
+}
@@ -0,0 +1,86 @@
+// ============================================================================
+// CAMERA SENSOR HEADS - Extra heads on multi-sensor cameras
+// ============================================================================
+// Head 1 is the camera's own view; any further heads are stored in
+// coverageConfig.sensorHeads, each with its own pan, angle, lens and tilt.
+
+import { DEFAULT_PIXELS_PER_METER } from "../../sidebar/sidebar-utils.js";
+import { angleDiff, calculateCameraAngles, calculateCameraPhysics, parseFocalLength, getSensorSize } from "./camera-calculations.js";
+
+// Most sensors one multi-sensor housing holds, including head 1
+export const MAX_SENSOR_COUNT = 4;
+
+// Generates unique ID for sensor heads
+const uid = () => "head_" + Math.random().toString(36).slice(2) + Date.now().toString(36);
+
+// Gets the extra sensor heads stored on a camera
+export const getSensorHeads = (camera) => (Array.isArray(camera?.coverageConfig?.sensorHeads) ? camera.coverageConfig.sensorHeads : []);
+
+// Counts every sensor on the camera, including head 1
+export const getSensorCount = (camera) => 1 + getSensorHeads(camera).length;
+
+// Cleans up a saved sensor head so every field is present
+// index is the head's position in the extra heads list, so the first extra head is "Head 2"
+export function normalizeSensorHead(raw, index = 0) {
+  if (!raw || typeof raw !== "object") return null;
+  const num = (value, fallback) => (Number.isFinite(parseFloat(value)) ? parseFloat(value) : fallback);
+  return {
+    id: raw.id || uid(),
+    name: String(raw.name ?? "").trim() || `Head ${index + 2}`,
+    pan: ((Math.round(num(raw.pan, 0)) % 360) + 360) % 360,
+    angle: Math.max(1, Math.min(360, Math.round(num(raw.angle, 90)))),
+    focalLength: parseFocalLength(raw.focalLength),
+    tilt: Math.max(0, Math.min(90, num(raw.tilt, 25))),
+  };
+}
+
+// Cleans up a camera's saved extra heads, dropping any beyond the housing's sensor limit
+export const normalizeSensorHeads = (heads) => heads.map(normalizeSensorHead).filter(Boolean).slice(0, MAX_SENSOR_COUNT - 1);
+
+// Works out a head's plan angle from its lens, falling back to the angle typed in
+const getHeadAngles = (camera, head) => {
+  const angles = head.focalLength ? calculateCameraAngles(head.focalLength, getSensorSize(camera), camera.coverageConfig.aspectRatioMode || false) : null;
+  return angles ? { planAngle: angles.planAngle, sideAngle: angles.sideAngle } : { planAngle: head.angle, sideAngle: head.angle };
+};
+
+// Applies edits to a head, keeping its angle in step with its lens
+export function updateSensorHead(camera, head, changes, index = 0) {
+  const updated = normalizeSensorHead({ ...head, ...changes }, index);
+  if (updated.focalLength) updated.angle = getHeadAngles(camera, updated).planAngle;
+  return updated;
+}
+
+// Creates a new head turned away from the existing ones, copying the camera's lens and tilt
+export function createSensorHead(camera) {
+  const heads = getSensorHeads(camera);
+  const { startAngle, endAngle, cameraTilt } = camera.coverageConfig;
+  const span = angleDiff(startAngle, endAngle);
+  const pan = (startAngle + span / 2 + (heads.length + 1) * (360 / (heads.length + 2))) % 360;
+  return updateSensorHead(camera, {}, { pan, angle: Math.min(span, 180), focalLength: camera.focalLength, tilt: cameraTilt ?? 25 }, heads.length);
+}
+
+// Works out a head's coverage wedge, range and dead zone
+export function calculateHeadView(camera, head) {
+  if (!camera?.coverageConfig || !head) return null;
+
+  const { maxRange = 50 } = camera.coverageConfig;
+  const pixelsPerMeter = camera.canvas?.pixelsPerMeter || DEFAULT_PIXELS_PER_METER;
+  const { planAngle, sideAngle } = getHeadAngles(camera, head);
+
+  const physics = calculateCameraPhysics(camera, sideAngle, head.tilt);
+  const rangeMeters = Math.min(physics ? physics.maxDistMeters : maxRange, maxRange);
+  // Clamp the dead zone when the head faces straight down, as applyCameraPhysics does
+  const minRangeMeters = physics && head.tilt + sideAngle / 2 < 90 ? physics.minRangeMeters : 0;
+  const isFullCircle = planAngle >= 359;
+
+  return {
+    planAngle,
+    sideAngle,
+    tilt: head.tilt,
+    startAngle: isFullCircle ? 0 : (head.pan - planAngle / 2 + 360) % 360,
+    endAngle: isFullCircle ? 360 : (head.pan + planAngle / 2) % 360,
+    rangeMeters,
+    radius: rangeMeters * pixelsPerMeter,
+    minRange: minRangeMeters * pixelsPerMeter,
+  };
+}
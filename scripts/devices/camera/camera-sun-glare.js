@@ -0,0 +1,227 @@
+// ============================================================================
+// CAMERA SUN GLARE - Low dawn and dusk sun in outdoor camera views
+// ============================================================================
+// Traces the sun's path over a year at the site's latitude with the standard
+// declination and hour angle formulas, so the check runs without any network.
+
+import { angleDiff } from "./camera-calculations.js";
+import { getSensorHeads, calculateHeadView } from "./camera-sensor-heads.js";
+import { getSiteLocation, getNorthAngle } from "../../background/site-location.js";
+import { initOverlayLayer } from "./camera-overlay-layer.js";
+
+// Highest sun (degrees above the horizon) treated as low enough to shine into a lens
+export const LOW_SUN_ELEVATION = 15;
+// Sampling steps through the year (days) and through the day (degrees of hour angle)
+const DAY_STEP = 3;
+const HOUR_ANGLE_STEP = 1;
+
+const GLARE_FILL = "rgba(255, 140, 0, 0.45)";
+const GLARE_STROKE = "#ff8c00";
+const MONTH_NAMES = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+const toRad = (deg) => (deg * Math.PI) / 180;
+const toDeg = (rad) => (rad * 180) / Math.PI;
+
+// Low sun paths already traced, keyed by latitude to a tenth of a degree
+const pathCache = new Map();
+
+// ============================================================================
+// SOLAR POSITION
+// ============================================================================
+
+// Gets the sun's declination in degrees for a day of the year (NOAA fractional-year series)
+export function getSolarDeclination(dayOfYear) {
+  const g = ((2 * Math.PI) / 365) * (dayOfYear - 1);
+  return toDeg(0.006918 - 0.399912 * Math.cos(g) + 0.070257 * Math.sin(g) - 0.006758 * Math.cos(2 * g) + 0.000907 * Math.sin(2 * g) - 0.002697 * Math.cos(3 * g) + 0.00148 * Math.sin(3 * g));
+}
+
+// Gets the sun's elevation and compass azimuth (degrees clockwise from north) for a latitude, declination and hour angle
+// Hour angle is zero at solar noon, negative in the morning and positive in the afternoon
+export function getSunPosition(latitude, declination, hourAngle) {
+  const lat = toRad(latitude);
+  const dec = toRad(declination);
+  const hour = toRad(hourAngle);
+  const elevation = toDeg(Math.asin(Math.sin(lat) * Math.sin(dec) + Math.cos(lat) * Math.cos(dec) * Math.cos(hour)));
+  const azimuth = (toDeg(Math.atan2(Math.sin(hour), Math.cos(hour) * Math.sin(lat) - Math.tan(dec) * Math.cos(lat))) + 540) % 360;
+  return { elevation, azimuth };
+}
+
+// Lists every low sun position over a year at a latitude, tagged dawn or dusk and by month
+export function getLowSunPath(latitude) {
+  const key = Math.round(latitude * 10) / 10;
+  if (pathCache.has(key)) return pathCache.get(key);
+
+  const path = [];
+  for (let day = 1; day <= 365; day += DAY_STEP) {
+    const declination = getSolarDeclination(day);
+    const month = new Date(2001, 0, day).getMonth();
+    for (let hourAngle = -180; hourAngle <= 180; hourAngle += HOUR_ANGLE_STEP) {
+      const { elevation, azimuth } = getSunPosition(key, declination, hourAngle);
+      if (elevation <= 0 || elevation > LOW_SUN_ELEVATION) continue;
+      path.push({ azimuth, elevation, month, period: hourAngle < 0 ? "dawn" : "dusk" });
+    }
+  }
+
+  pathCache.set(key, path);
+  return path;
+}
+
+// ============================================================================
+// GLARE CHECK
+// ============================================================================
+
+// Converts a compass bearing to a canvas angle, given which way north points on the plan
+const bearingToCanvasAngle = (bearing, northAngle) => (((bearing - 90 + northAngle) % 360) + 360) % 360;
+const canvasAngleToBearing = (angle, northAngle) => (((angle + 90 - northAngle) % 360) + 360) % 360;
+
+// Gets the spans a camera looks across: its main view and any extra sensor heads
+// Each span also has the elevations (degrees above the horizon) at the top and bottom of its view
+const getViewSpans = (camera) => {
+  const { startAngle, endAngle, cameraTilt = 25, sideFOV } = camera.coverageConfig;
+  const createSpan = (start, end, tilt, verticalFov) => ({ startAngle: start, endAngle: end, topElevation: verticalFov / 2 - tilt, bottomElevation: -verticalFov / 2 - tilt });
+  const spans = [createSpan(startAngle, endAngle, cameraTilt, sideFOV || angleDiff(startAngle, endAngle))];
+  getSensorHeads(camera).forEach((head) => {
+    const view = calculateHeadView(camera, head);
+    if (view) spans.push(createSpan(view.startAngle, view.endAngle, view.tilt, view.sideAngle));
+  });
+  return spans;
+};
+
+// Checks an outdoor camera against the low dawn and dusk sun over a year
+// Returns null when the camera can't be checked, otherwise the months and bearings it faces into the sun
+export function checkSunGlare(camera, fabricCanvas = camera?.canvas) {
+  const config = camera?.coverageConfig;
+  if (!config || !camera.isOutdoor || config.projectionMode === "fisheye") return null;
+  const location = getSiteLocation(fabricCanvas);
+  if (!location) return null;
+
+  const northAngle = getNorthAngle(fabricCanvas);
+  const spans = getViewSpans(camera);
+  const hits = { dawn: new Map(), dusk: new Map() };
+
+  getLowSunPath(location.lat).forEach(({ azimuth, elevation, month, period }) => {
+    const angle = bearingToCanvasAngle(azimuth, northAngle);
+    spans.forEach((span, index) => {
+      // A view tilted down far enough never sees the sun above its top edge
+      if (elevation > span.topElevation || elevation < span.bottomElevation) return;
+      const offset = (angle - span.startAngle + 360) % 360;
+      if (offset > angleDiff(span.startAngle, span.endAngle)) return;
+      const hit = hits[period].get(index) || { months: new Set(), minOffset: offset, maxOffset: offset };
+      hit.months.add(month);
+      hit.minOffset = Math.min(hit.minOffset, offset);
+      hit.maxOffset = Math.max(hit.maxOffset, offset);
+      hits[period].set(index, hit);
+    });
+  });
+
+  // Measures each view's arc from its edge so bearings that cross north stay in one range
+  // Every head facing the sun gets its own arc and bearings
+  const summarise = (periodHits) => {
+    if (!periodHits.size) return null;
+    const arcs = [...periodHits.entries()].map(([index, hit]) => {
+      const startAngle = (spans[index].startAngle + hit.minOffset) % 360;
+      const endAngle = (spans[index].startAngle + hit.maxOffset) % 360;
+      return {
+        startAngle,
+        endAngle,
+        fromBearing: Math.round(canvasAngleToBearing(startAngle, northAngle)),
+        toBearing: Math.round(canvasAngleToBearing(endAngle, northAngle)),
+      };
+    });
+    const months = [...new Set([...periodHits.values()].flatMap((hit) => [...hit.months]))].sort((a, b) => a - b);
+    return { months, arcs };
+  };
+
+  return { dawn: summarise(hits.dawn), dusk: summarise(hits.dusk) };
+}
+
+// Checks if a glare result found the sun in view at dawn or dusk
+export const hasSunGlare = (result) => !!(result?.dawn || result?.dusk);
+
+// Formats a list of months as ranges, wrapping round the new year (e.g. "Nov–Feb, Jun")
+export function formatMonthRanges(months) {
+  if (months.length >= 12) return "all year";
+  const inList = new Set(months);
+  // Start each run at a month whose previous month isn't in the list
+  return months
+    .filter((month) => !inList.has((month + 11) % 12))
+    .map((first) => {
+      let last = first;
+      while (inList.has((last + 1) % 12) && (last + 1) % 12 !== first) last = (last + 1) % 12;
+      return last === first ? MONTH_NAMES[first] : `${MONTH_NAMES[first]}–${MONTH_NAMES[last]}`;
+    })
+    .join(", ");
+}
+
+// Describes when and from which bearing the sun shines into a camera
+export function describeSunGlare(result) {
+  if (!hasSunGlare(result)) return "";
+  const describe = (label, period) => `${label} ${formatMonthRanges(period.months)} (sun at ${period.arcs.map((arc) => `${arc.fromBearing}°–${arc.toBearing}°`).join(", ")})`;
+  const parts = [];
+  if (result.dawn) parts.push(describe("dawn", result.dawn));
+  if (result.dusk) parts.push(describe("dusk", result.dusk));
+  return `Faces the low sun at ${parts.join(" and ")}`;
+}
+
+// ============================================================================
+// GLARE OVERLAY
+// ============================================================================
+
+// Builds a wedge from a camera out to its coverage radius between two canvas angles
+const createGlareWedge = (center, radius, startAngle, endAngle) => {
+  const span = angleDiff(startAngle, endAngle) % 360 || 1;
+  const start = { x: center.x + radius * Math.cos(toRad(startAngle)), y: center.y + radius * Math.sin(toRad(startAngle)) };
+  const end = { x: center.x + radius * Math.cos(toRad(startAngle + span)), y: center.y + radius * Math.sin(toRad(startAngle + span)) };
+  return new fabric.Path(`M ${center.x} ${center.y} L ${start.x} ${start.y} A ${radius} ${radius} 0 ${span > 180 ? 1 : 0} 1 ${end.x} ${end.y} Z`, {
+    fill: GLARE_FILL,
+    stroke: GLARE_STROKE,
+    strokeWidth: 1,
+    strokeDashArray: [4, 4],
+  });
+};
+
+// Sets up the sun glare layer toggle and keeps its wedges in step with outdoor cameras and the site location
+export function initSunGlare(fabricCanvas) {
+  const status = document.getElementById("sun-glare-status");
+
+  // Lists the outdoor cameras that face into the low sun
+  const updateStatus = (flagged) => {
+    if (!status) return;
+    if (!getSiteLocation(fabricCanvas)) {
+      status.textContent = "Capture a map background to locate the site.";
+      return;
+    }
+    status.textContent = flagged.length ? `Sun glare: ${flagged.map((camera) => camera.textObject?.text || "Camera").join(", ")}` : "No outdoor camera faces the low sun.";
+  };
+
+  // Checks every outdoor camera, keeping the status current even while the wedges are hidden
+  const layer = initOverlayLayer(fabricCanvas, {
+    toggle: document.getElementById("sun-glare-toggle"),
+    alwaysBuild: true,
+    errorMessage: "Error checking sun glare:",
+    isRelevant: (obj) => obj.type === "group" && obj.coverageConfig,
+    build: ({ visible }) => {
+      const cameras = fabricCanvas.getObjects().filter((obj) => obj.type === "group" && obj.coverageConfig && obj.isOutdoor);
+      const flagged = [];
+      const wedges = [];
+      cameras.forEach((camera) => {
+        const result = checkSunGlare(camera, fabricCanvas);
+        if (!hasSunGlare(result)) return;
+        flagged.push(camera);
+        const center = camera.getCenterPoint();
+        const radius = camera.coverageConfig.radius || 100;
+        [result.dawn, result.dusk].filter(Boolean).forEach((period) => {
+          period.arcs.forEach((arc) => wedges.push(createGlareWedge(center, radius, arc.startAngle, arc.endAngle)));
+        });
+      });
+      updateStatus(flagged);
+      return visible && wedges.length ? new fabric.Group(wedges, { selectable: false, evented: false, hasControls: false, isSunGlareWarning: true }) : null;
+    },
+  });
+
+  document.addEventListener("site-location-changed", layer.scheduleUpdate);
+
+  updateStatus([]);
+  window.scheduleSunGlareUpdate = layer.scheduleUpdate;
+  return layer;
+}
@@ -0,0 +1,41 @@
+// ============================================================================
+// CAMERA THERMAL - Johnson criteria ranges for thermal cameras
+// ============================================================================
+// Thermal detectors are judged by how many pixels land across a target, not
+// by visible-light pixels per metre, so they get their own D/R/I ranges.
+
+import { parseFocalLength } from "./camera-calculations.js";
+
+// Johnson criteria: line pairs (two pixels each) needed across the target's critical dimension
+export const JOHNSON_CYCLES = {
+  detection: 1,
+  recognition: 4,
+  identification: 6.4,
+};
+
+// Standard targets and their critical dimension in metres
+export const THERMAL_TARGETS = {
+  human: { label: "Human", criticalSize: 0.75 },
+  vehicle: { label: "Vehicle", criticalSize: 2.3 },
+};
+
+// Gets the target a thermal camera's zones are drawn for
+export const getThermalTarget = (camera) => (THERMAL_TARGETS[camera?.coverageConfig?.thermalTarget] ? camera.coverageConfig.thermalTarget : "human");
+
+// Calculates line-of-sight Detection, Recognition and Identification ranges in metres for a target
+// Each pixel sees pitch / focal length radians, so a target fills size / (range * that) pixels
+export function calculateThermalDistances(camera, target = getThermalTarget(camera)) {
+  const pitch = parseFloat(camera?.pixelPitch);
+  const focal = parseFocalLength(camera?.focalLength);
+  const size = THERMAL_TARGETS[target]?.criticalSize;
+  if (!(pitch > 0) || !focal || !size) return null;
+
+  const pixelAngle = pitch / 1000 / focal;
+  return Object.fromEntries(Object.entries(JOHNSON_CYCLES).map(([level, cycles]) => [level, size / (cycles * 2 * pixelAngle)]));
+}
+
+// Calculates the ranges for every standard target, keyed by target
+export function calculateAllThermalDistances(camera) {
+  const ranges = Object.fromEntries(Object.keys(THERMAL_TARGETS).map((target) => [target, calculateThermalDistances(camera, target)]));
+  return Object.values(ranges).some(Boolean) ? ranges : null;
+}
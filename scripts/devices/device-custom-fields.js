@@ -0,0 +1,182 @@
+// Custom device fields: project-defined extras such as asset tag, cable ID or warranty date
+// The schema lives in window.customFieldSchema; each device keeps its values in group.customFields by field id
+
+// Field types the schema editor offers
+export const CUSTOM_FIELD_TYPES = {
+  text: "Text",
+  number: "Number",
+  date: "Date",
+  dropdown: "Dropdown",
+};
+
+// Gets every field in the project's schema
+export const getCustomFieldSchema = () => (Array.isArray(window.customFieldSchema) ? window.customFieldSchema : []);
+
+// Gets the fields that apply to a device category; fields without a category apply to all
+export const getFieldsForCategory = (category) => getCustomFieldSchema().filter((field) => !field.category || field.category === category);
+
+// Gets the fields shown as takeoff table and CSV columns
+export const getTakeoffFields = () => getCustomFieldSchema().filter((field) => field.showInTakeoff);
+
+// Tells open panels and the takeoff that the schema changed
+const notifySchemaChanged = () => document.dispatchEvent(new CustomEvent("custom-fields-changed", { detail: { schema: getCustomFieldSchema() } }));
+
+// Adds a field to the schema, returning null if it has no name or the name is taken within its category
+export function addCustomField({ label, type = "text", options = [], category = "", showInTakeoff = true }) {
+  const name = String(label || "").trim();
+  if (!name || !CUSTOM_FIELD_TYPES[type]) return null;
+  const clash = getCustomFieldSchema().some((field) => field.label.toLowerCase() === name.toLowerCase() && (!field.category || !category || field.category === category));
+  if (clash) return null;
+
+  const field = {
+    id: `field_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`,
+    label: name,
+    type,
+    options: type === "dropdown" ? options.map((option) => String(option).trim()).filter(Boolean) : [],
+    category,
+    showInTakeoff: !!showInTakeoff,
+  };
+  window.customFieldSchema = [...getCustomFieldSchema(), field];
+  notifySchemaChanged();
+  return field;
+}
+
+// Updates a field's settings in the schema
+export function updateCustomField(id, changes) {
+  window.customFieldSchema = getCustomFieldSchema().map((field) => (field.id === id ? { ...field, ...changes } : field));
+  notifySchemaChanged();
+}
+
+// Removes a field from the schema; values already on devices are kept, so adding the field back is harmless
+export function removeCustomField(id) {
+  const schema = getCustomFieldSchema().filter((field) => field.id !== id);
+  window.customFieldSchema = schema.length ? schema : null;
+  notifySchemaChanged();
+}
+
+// Gets a device's value for a field, reading either a canvas device or saved device properties
+export const getCustomFieldValue = (source, field) => source?.customFields?.[field.id] ?? "";
+
+// Sets a device's value for a field; blank values are removed rather than stored
+export function setCustomFieldValue(group, field, rawValue) {
+  const values = { ...(group.customFields || {}) };
+  let value = typeof rawValue === "string" ? rawValue.trim() : rawValue;
+  if (field.type === "number") value = value === "" ? "" : Number.isFinite(parseFloat(value)) ? parseFloat(value) : "";
+  if (value === "" || value === null || value === undefined) delete values[field.id];
+  else values[field.id] = value;
+  group.customFields = Object.keys(values).length ? values : undefined;
+}
+
+// Builds the input for one field, filled with a device's current value
+export function createCustomFieldInput(field, value) {
+  let input;
+  if (field.type === "dropdown") {
+    input = document.createElement("select");
+    [["", "Select"], ...field.options.map((option) => [option, option])].forEach(([optionValue, text]) => {
+      const option = document.createElement("option");
+      option.value = optionValue;
+      option.textContent = text;
+      input.appendChild(option);
+    });
+    // Keep values whose option has since been removed from the schema
+    if (value !== "" && !field.options.includes(String(value))) {
+      const option = document.createElement("option");
+      option.value = option.textContent = String(value);
+      input.appendChild(option);
+    }
+  } else {
+    input = document.createElement("input");
+    input.type = field.type === "number" ? "number" : field.type === "date" ? "date" : "text";
+    if (field.type === "text") input.placeholder = `Enter ${field.label}`;
+  }
+  input.className = "form-control form-control-sm";
+  input.id = `custom-field-${field.id}`;
+  input.value = value === undefined || value === null ? "" : String(value);
+  return input;
+}
+
+// Sets up the schema editor in the settings menu
+export function initCustomFieldEditor() {
+  const section = document.getElementById("custom-fields-settings");
+  const list = document.getElementById("custom-field-list");
+  const labelInput = document.getElementById("custom-field-label-input");
+  const typeSelect = document.getElementById("custom-field-type-select");
+  const categorySelect = document.getElementById("custom-field-category-select");
+  const optionsInput = document.getElementById("custom-field-options-input");
+  const takeoffToggle = document.getElementById("custom-field-takeoff-toggle");
+  const addBtn = document.getElementById("custom-field-add-btn");
+  if (!section || !list || !labelInput || !addBtn) return;
+
+  // Gets a category's name from the category dropdown
+  const getCategoryLabel = (category) => (category ? categorySelect?.querySelector(`option[value="${category}"]`)?.textContent || category : "All categories");
+
+  // Lists the schema's fields, each with a takeoff column toggle and a remove button
+  const renderList = () => {
+    list.innerHTML = "";
+    const schema = getCustomFieldSchema();
+    if (!schema.length) {
+      list.innerHTML = '<small class="form-text">No custom fields yet.</small>';
+      return;
+    }
+    schema.forEach((field) => {
+      const row = document.createElement("div");
+      row.className = "d-flex align-items-center gap-2 mb-1";
+
+      const text = document.createElement("div");
+      text.className = "flex-grow-1 small";
+      text.textContent = `${field.label} (${CUSTOM_FIELD_TYPES[field.type] || field.type}, ${getCategoryLabel(field.category)})`;
+
+      const takeoff = document.createElement("input");
+      takeoff.type = "checkbox";
+      takeoff.className = "form-check-input mt-0";
+      takeoff.checked = !!field.showInTakeoff;
+      takeoff.title = "Show as a takeoff column";
+      takeoff.addEventListener("change", () => updateCustomField(field.id, { showInTakeoff: takeoff.checked }));
+
+      const remove = document.createElement("button");
+      remove.type = "button";
+      remove.className = "btn btn-sm btn-outline-danger py-0 px-2";
+      remove.textContent = "×";
+      remove.title = `Remove ${field.label}`;
+      remove.addEventListener("click", (e) => {
+        e.stopPropagation();
+        if (confirm(`Remove the "${field.label}" field? Values already entered stay on the devices.`)) removeCustomField(field.id);
+      });
+
+      row.append(text, takeoff, remove);
+      list.appendChild(row);
+    });
+  };
+
+  // Only dropdown fields need a list of options
+  const updateOptionsVisibility = () => {
+    if (optionsInput) optionsInput.style.display = typeSelect?.value === "dropdown" ? "" : "none";
+  };
+
+  addBtn.addEventListener("click", (e) => {
+    e.stopPropagation();
+    const type = typeSelect?.value || "text";
+    const options = (optionsInput?.value || "").split(",");
+    if (type === "dropdown" && !options.some((option) => option.trim())) {
+      alert("Enter the dropdown options, separated by commas.");
+      return;
+    }
+    const field = addCustomField({ label: labelInput.value, type, options, category: categorySelect?.value || "", showInTakeoff: takeoffToggle ? takeoffToggle.checked : true });
+    if (!field) {
+      alert(labelInput.value.trim() ? "A field with that name already exists for this category." : "Enter a name for the field.");
+      return;
+    }
+    labelInput.value = "";
+    if (optionsInput) optionsInput.value = "";
+  });
+
+  [labelInput, optionsInput].forEach((input) => input?.addEventListener("keydown", (e) => e.stopPropagation()));
+  typeSelect?.addEventListener("change", updateOptionsVisibility);
+  document.addEventListener("custom-fields-changed", renderList);
+  // A loaded project or floor brings its own schema, so refresh whenever the section is used
+  section.addEventListener("mouseenter", renderList);
+  section.addEventListener("focusin", (e) => list.contains(e.target) || renderList());
+
+  updateOptionsVisibility();
+  renderList();
+}
@@ -0,0 +1,280 @@
+import { DeviceTakeoffGenerator } from "./device-takeoff.js";
+import { isPointInPolygon } from "../sidebar/sidebar-utils.js";
+import { NotificationSystem } from "../save/utils-save.js";
+
+// Templates used until a project sets its own; these match the original "Camera 1" / "Device 1" labels
+export const DEFAULT_NAMING_TEMPLATES = {
+  cctv: "Camera {seq}",
+  access: "Device {seq}",
+  intruder: "Device {seq}",
+  fire: "Device {seq}",
+  networks: "Device {seq}",
+  custom: "Device {seq}",
+};
+
+// Spatial orders the renumber command can follow
+export const RENUMBER_ORDERS = {
+  "left-to-right": "Left to right, row by row",
+  serpentine: "Serpentine (rows alternate direction)",
+  nearest: "Nearest neighbour path",
+};
+
+// Matches template tokens such as {seq}, {seq:000}, {floor}, {zone} and {room}
+const TOKEN_PATTERN = /\{(\w+)(?::(0+))?\}/g;
+// Stands in for the number when working out a name's stem
+const SEQ_MARKER = "\u0000";
+
+// Checks if a device gets a generated name; placeholder text and title blocks keep their own text
+const isNameable = (obj) => obj?.type === "group" && obj.deviceType && obj.textObject && obj.deviceType !== "text-device" && obj.deviceType !== "title-block";
+
+// Gets the naming category of a device, or of a device type about to be placed
+export const getNamingCategory = ({ deviceType, coverageConfig, isCamera }) =>
+  DeviceTakeoffGenerator.getCategoryForDevice(String(deviceType || "").split(/[/\\]/).pop(), !!(coverageConfig || isCamera));
+
+// Gets the naming template for a category
+export const getNamingTemplate = (category) => window.namingTemplates?.[category] || DEFAULT_NAMING_TEMPLATES[category] || DEFAULT_NAMING_TEMPLATES.custom;
+
+// Sets the naming template for a category; a blank template goes back to the default
+export function setNamingTemplate(category, template) {
+  const templates = { ...(window.namingTemplates || {}) };
+  if (template && template.trim()) templates[category] = template.trim();
+  else delete templates[category];
+  window.namingTemplates = Object.keys(templates).length ? templates : null;
+}
+
+// Gets the names of the zone and room a point sits in
+const getAreaNames = (point) => {
+  const zone = (window.zones || []).find((entry) => entry.polygon?.points && isPointInPolygon(point, entry.polygon));
+  const room = (window.rooms || []).find((entry) => entry.polygon?.points && isPointInPolygon(point, entry.polygon));
+  return {
+    zone: zone ? zone.polygon.zoneName || zone.text?.text || "Zone" : "",
+    room: room ? room.polygon.roomName || room.roomName || "Room" : "",
+  };
+};
+
+// Gets the template values for a device at a point on the current floor
+const getNamingContext = (point) => ({ floor: window.floorManager?.currentFloor ?? 1, ...getAreaNames(point) });
+
+// Fills a template's tokens; {seq:000} pads the number to three digits
+// Separators left doubled or dangling by an empty zone or room are tidied away
+export function fillNamingTemplate(template, values) {
+  const filled = template.replace(TOKEN_PATTERN, (token, key, padding) => {
+    if (key === "seq") return String(values.seq ?? "").padStart(padding ? padding.length : 0, "0");
+    return key in values ? String(values[key] ?? "") : token;
+  });
+  return filled.replace(/([-_.])\1+/g, "$1").replace(/\s{2,}/g, " ").replace(/^[-_.\s]+|[-_.\s]+$/g, "");
+}
+
+// Gets the stem of a name: the filled template with its number left as a marker
+// Devices whose names share a stem share one number sequence, whatever their category
+const getNameStem = (template, context) => fillNamingTemplate(template.replace(TOKEN_PATTERN, (token, key) => (key === "seq" ? SEQ_MARKER : token)), context);
+
+// Gets the number in a name made from a stem, or 0 if the name doesn't fit the stem
+const getNameNumber = (name, stem) => {
+  const markerIndex = stem.indexOf(SEQ_MARKER);
+  if (markerIndex < 0) return 0;
+  const before = stem.slice(0, markerIndex);
+  const after = stem.slice(markerIndex + SEQ_MARKER.length);
+  if (name.length <= before.length + after.length || !name.startsWith(before) || !name.endsWith(after)) return 0;
+  const digits = name.slice(before.length, name.length - after.length);
+  return /^\d+$/.test(digits) ? parseInt(digits, 10) : 0;
+};
+
+// Gets the highest number any of the devices already uses with a stem
+const getHighestNumber = (devices, stem) => devices.reduce((highest, device) => Math.max(highest, getNameNumber(device.textObject.text || "", stem)), 0);
+
+// Creates the name for a device being placed, numbered on from the highest name with the same stem on the floor
+// Placement and renumbering both number by stem, so they agree and categories sharing a template never collide
+// Nothing outside the floor's names is kept, so deleting the highest-numbered device frees its number for the next one placed; gaps lower down stay gaps
+export function createDeviceName(fabricCanvas, { deviceType, isCamera, point }) {
+  const template = getNamingTemplate(getNamingCategory({ deviceType, isCamera }));
+  const context = getNamingContext(point || { x: 0, y: 0 });
+  const devices = fabricCanvas.getObjects().filter(isNameable);
+  return fillNamingTemplate(template, { ...context, seq: getHighestNumber(devices, getNameStem(template, context)) + 1 });
+}
+
+// ============================================================================
+// SPATIAL ORDERING
+// ============================================================================
+
+// Splits devices into rows, top to bottom, each sorted left to right
+const groupIntoRows = (entries) => {
+  const heights = entries.map((entry) => entry.device.getBoundingRect?.(true).height || 40);
+  const rowHeight = (heights.reduce((sum, height) => sum + height, 0) / heights.length) * 1.5;
+  const rows = [];
+  [...entries]
+    .sort((a, b) => a.point.y - b.point.y)
+    .forEach((entry) => {
+      const row = rows[rows.length - 1];
+      if (row && entry.point.y - row.top <= rowHeight) row.entries.push(entry);
+      else rows.push({ top: entry.point.y, entries: [entry] });
+    });
+  return rows.map((row) => row.entries.sort((a, b) => a.point.x - b.point.x));
+};
+
+// Walks from the top-left device to whichever unvisited device is closest each time
+const nearestNeighbourPath = (entries) => {
+  const remaining = [...entries];
+  const start = remaining.reduce((best, entry) => (entry.point.x + entry.point.y < best.point.x + best.point.y ? entry : best));
+  const path = [start];
+  remaining.splice(remaining.indexOf(start), 1);
+  while (remaining.length) {
+    const last = path[path.length - 1].point;
+    let nearestIndex = 0;
+    remaining.forEach((entry, index) => {
+      if (Math.hypot(entry.point.x - last.x, entry.point.y - last.y) < Math.hypot(remaining[nearestIndex].point.x - last.x, remaining[nearestIndex].point.y - last.y)) nearestIndex = index;
+    });
+    path.push(remaining.splice(nearestIndex, 1)[0]);
+  }
+  return path;
+};
+
+// Puts devices in a spatial order
+export function orderDevicesSpatially(devices, order = "left-to-right") {
+  if (devices.length < 2) return [...devices];
+  const entries = devices.map((device) => ({ device, point: device.getCenterPoint() }));
+  if (order === "nearest") return nearestNeighbourPath(entries).map((entry) => entry.device);
+  const rows = groupIntoRows(entries);
+  if (order === "serpentine") rows.forEach((row, index) => index % 2 && row.reverse());
+  return rows.flat().map((entry) => entry.device);
+}
+
+// ============================================================================
+// RENUMBERING
+// ============================================================================
+
+// Lists the areas a renumber can cover: the whole floor, then each zone and room
+export function getRenumberScopes() {
+  const scopes = [{ value: "floor", label: "Whole floor", polygon: null }];
+  (window.zones || []).forEach((zone, index) => zone.polygon && scopes.push({ value: `zone:${index}`, label: `Zone: ${zone.polygon.zoneName || zone.text?.text || index + 1}`, polygon: zone.polygon }));
+  (window.rooms || []).forEach((room, index) => room.polygon && scopes.push({ value: `room:${index}`, label: `Room: ${room.polygon.roomName || room.roomName || index + 1}`, polygon: room.polygon }));
+  return scopes;
+}
+
+// Writes a name onto a device label, keeping the copy undo uses to rebuild a deleted label
+// The topology manager's entry carries the channel numbers of the panels the renamed devices are wired to
+const applyRenumberValues = (object, values) => {
+  if (values.panelChannels) {
+    object.applyPanelChannelState(values.panelChannels);
+    return;
+  }
+  object.textObject?.set({ text: values.name });
+  object.initialLabelText = values.name;
+  if (typeof window.updateDeviceCompleteIndicator === "function") window.updateDeviceCompleteIndicator(object);
+};
+
+// Renames devices in spatial order from their category templates, as one undo step
+// Devices whose templates give the same stem share one sequence, which starts past any number the stem already uses outside the scope
+export function renumberDevices(fabricCanvas, { polygon = null, order = "left-to-right", start = 1 } = {}) {
+  const allDevices = fabricCanvas.getObjects().filter(isNameable);
+  const devices = polygon ? allDevices.filter((obj) => isPointInPolygon(obj.getCenterPoint(), polygon)) : allDevices;
+  const outside = allDevices.filter((obj) => !devices.includes(obj));
+  const sequences = new Map();
+
+  const changes = orderDevicesSpatially(devices, order)
+    .map((device) => {
+      const template = getNamingTemplate(getNamingCategory(device));
+      const context = getNamingContext(device.getCenterPoint());
+      const stem = getNameStem(template, context);
+      const seq = sequences.get(stem) ?? Math.max(start, getHighestNumber(outside, stem) + 1);
+      sequences.set(stem, seq + 1);
+      return { object: device, before: { name: device.textObject.text }, after: { name: fillNamingTemplate(template, { ...context, seq }) } };
+    })
+    .filter((change) => change.before.name !== change.after.name);
+
+  if (!changes.length) return 0;
+  const renamed = changes.length;
+
+  // Panels wired to renamed devices renumber their channels to follow the new names; other panels keep their wiring order
+  const topology = window.topologyManager;
+  const panelIds = topology?.getPanelsWiredTo ? topology.getPanelsWiredTo(changes.map((change) => change.object)) : [];
+  if (panelIds.length) {
+    const newNames = new Map(changes.map((change) => [change.object, change.after.name]));
+    changes.push({
+      object: topology,
+      before: { panelChannels: topology.getPanelChannelState(panelIds) },
+      after: { panelChannels: topology.getPanelChannelStateByName(panelIds, (device) => newNames.get(device) ?? device?.textObject?.text ?? "") },
+    });
+  }
+
+  const PropertyCommand = window.UndoCommands?.PropertyCommand;
+  if (PropertyCommand && window.undoSystem) {
+    window.undoSystem.executeCommand(new PropertyCommand(fabricCanvas, changes, applyRenumberValues));
+  } else {
+    changes.forEach((change) => applyRenumberValues(change.object, change.after));
+    fabricCanvas.requestRenderAll();
+  }
+  return renamed;
+}
+
+// Sets up the naming template editor and renumber controls in the settings panel
+export function initDeviceNaming(fabricCanvas) {
+  const section = document.getElementById("device-naming-settings");
+  const categorySelect = document.getElementById("naming-category-select");
+  const templateInput = document.getElementById("naming-template-input");
+  const preview = document.getElementById("naming-template-preview");
+  const scopeSelect = document.getElementById("renumber-scope-select");
+  const orderSelect = document.getElementById("renumber-order-select");
+  const startInput = document.getElementById("renumber-start-input");
+  const renumberBtn = document.getElementById("renumber-devices-btn");
+  if (!section || !categorySelect || !templateInput) return;
+
+  // Shows an example name for the template being edited
+  const updatePreview = () => {
+    if (!preview) return;
+    const template = templateInput.value.trim() || DEFAULT_NAMING_TEMPLATES[categorySelect.value];
+    preview.textContent = `e.g. ${fillNamingTemplate(template, { seq: 1, floor: window.floorManager?.currentFloor ?? 1, zone: "Z1", room: "Lobby" })}`;
+  };
+
+  // Loads the selected category's template into the input
+  const showTemplate = () => {
+    templateInput.value = getNamingTemplate(categorySelect.value);
+    updatePreview();
+  };
+
+  // Fills the scope list with the zones and rooms currently on the floor
+  const refreshScopes = () => {
+    if (!scopeSelect) return;
+    const selected = scopeSelect.value;
+    scopeSelect.innerHTML = getRenumberScopes()
+      .map((scope) => `<option value="${scope.value}">${String(scope.label).replace(/</g, "&lt;")}</option>`)
+      .join("");
+    scopeSelect.value = [...scopeSelect.options].some((option) => option.value === selected) ? selected : "floor";
+  };
+
+  if (orderSelect && !orderSelect.options.length) {
+    orderSelect.innerHTML = Object.entries(RENUMBER_ORDERS)
+      .map(([value, label]) => `<option value="${value}">${label}</option>`)
+      .join("");
+  }
+
+  categorySelect.addEventListener("change", showTemplate);
+  templateInput.addEventListener("input", () => {
+    setNamingTemplate(categorySelect.value, templateInput.value);
+    updatePreview();
+  });
+  [templateInput, startInput].forEach((input) => input?.addEventListener("keydown", (e) => e.stopPropagation()));
+
+  // Templates may have changed with a loaded project or floor, so refresh whenever the section is used
+  section.addEventListener("focusin", (e) => {
+    if (e.target !== templateInput) showTemplate();
+    refreshScopes();
+  });
+  scopeSelect?.addEventListener("mousedown", refreshScopes);
+
+  renumberBtn?.addEventListener("click", () => {
+    try {
+      refreshScopes();
+      const scope = getRenumberScopes().find((entry) => entry.value === scopeSelect?.value);
+      const start = Math.max(0, parseInt(startInput?.value, 10) || 1);
+      const count = renumberDevices(fabricCanvas, { polygon: scope?.polygon || null, order: orderSelect?.value || "left-to-right", start });
+      NotificationSystem.show(count ? `Renamed ${count} device${count === 1 ? "" : "s"}` : "Device names already match their order", true);
+    } catch (error) {
+      console.error("Error renumbering devices:", error);
+      alert("Error renumbering devices. Please try again.");
+    }
+  });
+
+  showTemplate();
+  refreshScopes();
+}
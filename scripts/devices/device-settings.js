@@ -1,6 +1,7 @@
 // Handles global device settings and zoom controls
 import { setTextVisibility } from "../sidebar/sidebar-utils.js";
 import { applyLabelPosition, attachLabelBehavior, setGroupLabelDragState } from "./device-label-utils.js";
+import { applyCameraPhysics } from "./camera/camera-calculations.js";
 
 export function initGlobalSettings(fabricCanvas) {
   // Global settings state
@@ -13,6 +14,7 @@ export function initGlobalSettings(fabricCanvas) {
   let globalBoldText = false;
   let globalCompleteDeviceIndicator = true;
   let globalLabelDragEnabled = false;
+  let globalTargetHeight = 0;
 
   // Set initial global defaults
   const globalDefaults = {
@@ -25,6 +27,7 @@ export function initGlobalSettings(fabricCanvas) {
     globalBoldText,
     globalCompleteDeviceIndicator,
     globalLabelDragEnabled,
+    globalTargetHeight,
   };
   Object.assign(window, globalDefaults);
 
@@ -239,6 +242,18 @@ export function initGlobalSettings(fabricCanvas) {
     fabricCanvas.renderAll();
   };
 
+  // Remeasures every camera that follows the project target height
+  const updateAllTargetHeights = (height) => {
+    globalTargetHeight = height;
+    window.globalTargetHeight = height;
+    getAllDeviceGroups().forEach((group) => {
+      if (!group.coverageConfig || group.coverageConfig.targetHeight !== undefined) return;
+      applyCameraPhysics(group);
+      if (group.createOrUpdateCoverageArea) group.createOrUpdateCoverageArea();
+    });
+    fabricCanvas.renderAll();
+  };
+
   const updateAllCompleteIndicators = () => {
     getAllDeviceGroups().forEach((group) => updateDeviceCompleteIndicator(group));
   };
@@ -305,6 +320,7 @@ export function initGlobalSettings(fabricCanvas) {
       globalBoldTextToggle: document.getElementById("global-bold-text-toggle"),
       globalCompleteDeviceIndicatorToggle: document.getElementById("global-complete-device-indicator-toggle"),
       globalLabelDragToggle: document.getElementById("global-label-drag-toggle"),
+      globalTargetHeightInput: document.getElementById("global-target-height-input"),
     };
 
     // Icon size slider
@@ -391,6 +407,15 @@ export function initGlobalSettings(fabricCanvas) {
       });
     }
 
+    if (elements.globalTargetHeightInput) {
+      elements.globalTargetHeightInput.addEventListener("change", (e) => {
+        const height = Math.max(0, parseFloat(e.target.value) || 0);
+        e.target.value = height;
+        updateAllTargetHeights(height);
+      });
+      elements.globalTargetHeightInput.addEventListener("keydown", (e) => e.stopPropagation());
+    }
+
     // Set initial values
     if (elements.globalIconSizeSlider) {
       elements.globalIconSizeSlider.value = globalIconSize;
@@ -408,6 +433,7 @@ export function initGlobalSettings(fabricCanvas) {
     if (elements.globalBoldTextToggle) elements.globalBoldTextToggle.checked = globalBoldText;
     if (elements.globalCompleteDeviceIndicatorToggle) elements.globalCompleteDeviceIndicatorToggle.checked = globalCompleteDeviceIndicator;
     if (elements.globalLabelDragToggle) elements.globalLabelDragToggle.checked = globalLabelDragEnabled;
+    if (elements.globalTargetHeightInput) elements.globalTargetHeightInput.value = globalTargetHeight;
   };
 
   const applySettingsFromSave = (savedSettings = {}) => {
@@ -416,7 +442,7 @@ export function initGlobalSettings(fabricCanvas) {
       return;
     }
 
-    const { defaultDeviceIconSize, globalIconTextVisible: savedTextVisible, globalDeviceColor: savedDeviceColor, globalTextColor: savedTextColor, globalFont: savedFont, globalTextBackground: savedTextBackground, globalBoldText: savedBoldText, globalCompleteDeviceIndicator: savedCompleteIndicator, globalLabelDragEnabled: savedLabelDragEnabled } = savedSettings;
+    const { defaultDeviceIconSize, globalIconTextVisible: savedTextVisible, globalDeviceColor: savedDeviceColor, globalTextColor: savedTextColor, globalFont: savedFont, globalTextBackground: savedTextBackground, globalBoldText: savedBoldText, globalCompleteDeviceIndicator: savedCompleteIndicator, globalLabelDragEnabled: savedLabelDragEnabled, globalTargetHeight: savedTargetHeight } = savedSettings;
 
     const elements = {
       slider: document.getElementById("global-icon-size-slider"),
@@ -429,6 +455,7 @@ export function initGlobalSettings(fabricCanvas) {
       boldToggle: document.getElementById("global-bold-text-toggle"),
       completeIndicatorToggle: document.getElementById("global-complete-device-indicator-toggle"),
       labelDragToggle: document.getElementById("global-label-drag-toggle"),
+      targetHeightInput: document.getElementById("global-target-height-input"),
     };
 
     if (typeof defaultDeviceIconSize === "number" && !Number.isNaN(defaultDeviceIconSize)) {
@@ -487,6 +514,11 @@ export function initGlobalSettings(fabricCanvas) {
       updateAllLabelDrag(savedLabelDragEnabled);
       if (elements.labelDragToggle) elements.labelDragToggle.checked = savedLabelDragEnabled;
     }
+
+    if (typeof savedTargetHeight === "number" && !Number.isNaN(savedTargetHeight)) {
+      updateAllTargetHeights(savedTargetHeight);
+      if (elements.targetHeightInput) elements.targetHeightInput.value = savedTargetHeight;
+    }
   };
 
   // Setup device hover events
@@ -530,6 +562,7 @@ export function initGlobalSettings(fabricCanvas) {
     updateAllTextBackgrounds,
     updateAllBoldText,
     updateAllLabelDrag,
+    updateAllTargetHeights,
     updateAllCompleteIndicators,
     getGlobalIconSize: () => globalIconSize,
     getGlobalIconTextVisible: () => globalIconTextVisible,
@@ -540,6 +573,7 @@ export function initGlobalSettings(fabricCanvas) {
     getGlobalBoldText: () => globalBoldText,
     getGlobalCompleteDeviceIndicator: () => globalCompleteDeviceIndicator,
     getGlobalLabelDragEnabled: () => globalLabelDragEnabled,
+    getGlobalTargetHeight: () => globalTargetHeight,
     applySettingsFromSave,
   };
 
@@ -0,0 +1,148 @@
+// Device lifecycle status: a badge on each device showing where it is between proposal and removal
+import { setHiddenDeviceStatuses } from "../canvas/canvas-layers.js";
+
+// Statuses in lifecycle order, with the badge colour and glyph used until a project sets its own
+export const DEVICE_STATUSES = {
+  proposed: { label: "Proposed", color: "#6c757d", badge: "P" },
+  approved: { label: "Approved", color: "#0d6efd", badge: "A" },
+  installed: { label: "Installed", color: "#fd7e14", badge: "I" },
+  commissioned: { label: "Commissioned", color: "#198754", badge: "✓" },
+  faulty: { label: "Faulty", color: "#dc3545", badge: "!" },
+  remove: { label: "To Be Removed", color: "#6f42c1", badge: "✕" },
+};
+
+// Badge size at the default icon scale
+const BADGE_RADIUS = 7;
+
+// Gets a status's label, colour and badge, with any project overrides applied
+export const getStatusStyle = (status) => (DEVICE_STATUSES[status] ? { ...DEVICE_STATUSES[status], ...(window.deviceStatusStyles?.[status] || {}) } : null);
+
+// Gets a status's label, or an empty string for devices without one
+export const getStatusLabel = (status) => DEVICE_STATUSES[status]?.label || "";
+
+// Sets a project override for a status's colour or badge; values matching the default are dropped
+export function setStatusStyle(status, changes) {
+  if (!DEVICE_STATUSES[status]) return;
+  const styles = { ...(window.deviceStatusStyles || {}) };
+  const override = { ...(styles[status] || {}), ...changes };
+  Object.keys(override).forEach((key) => {
+    if (!override[key] || override[key] === DEVICE_STATUSES[status][key]) delete override[key];
+  });
+  if (Object.keys(override).length) styles[status] = override;
+  else delete styles[status];
+  window.deviceStatusStyles = Object.keys(styles).length ? styles : null;
+}
+
+// Sets a device's status and redraws its badge and the status filter
+export function setDeviceStatus(group, status) {
+  if (!group) return;
+  group.deviceStatus = DEVICE_STATUSES[status] ? status : "";
+  setHiddenDeviceStatuses();
+  group.canvas?.requestRenderAll();
+}
+
+// Gets a device's centre on the canvas, even while it sits inside a multi-selection
+const getCanvasCenter = (obj) => {
+  const center = obj.getCenterPoint();
+  return obj.group ? fabric.util.transformPoint(center, obj.group.calcTransformMatrix()) : center;
+};
+
+// Draws a status badge at the top right of every visible device with a status
+// Badges are painted after each render rather than added as objects, so they never end up in saves or layers
+const drawStatusBadges = (fabricCanvas, ctx) => {
+  const devices = fabricCanvas.getObjects().filter((obj) => obj.type === "group" && obj.deviceStatus && obj.visible !== false && obj.opacity > 0);
+  if (!devices.length) return;
+
+  const vpt = fabricCanvas.viewportTransform;
+  ctx.save();
+  ctx.transform(vpt[0], vpt[1], vpt[2], vpt[3], vpt[4], vpt[5]);
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+
+  devices.forEach((device) => {
+    const style = getStatusStyle(device.deviceStatus);
+    if (!style) return;
+    const scale = device.scaleFactor || 1;
+    const radius = BADGE_RADIUS * scale;
+    const center = getCanvasCenter(device);
+    const offset = (device.getScaledWidth() / 2) * 0.8;
+    const x = center.x + offset;
+    const y = center.y - offset;
+
+    ctx.globalAlpha = device.opacity ?? 1;
+    ctx.beginPath();
+    ctx.arc(x, y, radius, 0, Math.PI * 2);
+    ctx.fillStyle = style.color;
+    ctx.fill();
+    ctx.lineWidth = 1.5 * scale;
+    ctx.strokeStyle = "#FFFFFF";
+    ctx.stroke();
+
+    if (style.badge) {
+      ctx.fillStyle = "#FFFFFF";
+      ctx.font = `bold ${Math.round(radius * 1.3)}px Poppins, sans-serif`;
+      ctx.fillText(style.badge, x, y + radius * 0.05);
+    }
+  });
+  ctx.restore();
+};
+
+// Sets up status badges, the layer status filter and the badge style settings
+export function initDeviceStatus(fabricCanvas) {
+  fabricCanvas.on("after:render", (e) => e.ctx && drawStatusBadges(fabricCanvas, e.ctx));
+
+  // Builds a checkbox per status in the layer menu; unticking one hides devices with that status
+  const filterContainer = document.getElementById("device-status-filters");
+  if (filterContainer) {
+    const options = [...Object.entries(DEVICE_STATUSES).map(([key, { label }]) => [key, label]), ["", "No Status"]];
+    filterContainer.innerHTML = options
+      .map(
+        ([key, label]) => `
+        <div class="form-check">
+          <input class="form-check-input" type="checkbox" id="status-filter-${key || "none"}" data-status="${key}" checked />
+          <label class="form-check-label" for="status-filter-${key || "none"}">${label}</label>
+        </div>`
+      )
+      .join("");
+    filterContainer.addEventListener("change", () => {
+      const hidden = [...filterContainer.querySelectorAll("input[data-status]")].filter((input) => !input.checked).map((input) => input.dataset.status);
+      setHiddenDeviceStatuses(hidden);
+    });
+  }
+
+  // Builds a colour and badge editor per status in the settings menu
+  const stylesContainer = document.getElementById("device-status-styles");
+  if (stylesContainer) {
+    stylesContainer.innerHTML = Object.entries(DEVICE_STATUSES)
+      .map(
+        ([key, { label }]) => `
+        <div class="d-flex align-items-center gap-2 mb-1">
+          <input type="color" class="form-control form-control-sm form-control-color" id="status-color-${key}" data-status="${key}" title="${label} colour" />
+          <input type="text" class="form-control form-control-sm text-center" style="width: 3rem" id="status-badge-${key}" data-status="${key}" maxlength="2" title="${label} badge" />
+          <span class="small">${label}</span>
+        </div>`
+      )
+      .join("");
+
+    // Shows the current styles, which change when a project or floor loads
+    const showStyles = () => {
+      Object.keys(DEVICE_STATUSES).forEach((key) => {
+        const style = getStatusStyle(key);
+        const colorInput = document.getElementById(`status-color-${key}`);
+        const badgeInput = document.getElementById(`status-badge-${key}`);
+        if (colorInput) colorInput.value = style.color;
+        if (badgeInput && document.activeElement !== badgeInput) badgeInput.value = style.badge;
+      });
+    };
+
+    stylesContainer.addEventListener("input", (e) => {
+      const status = e.target.dataset.status;
+      if (!status) return;
+      setStatusStyle(status, e.target.type === "color" ? { color: e.target.value } : { badge: e.target.value.trim() });
+      fabricCanvas.requestRenderAll();
+    });
+    stylesContainer.addEventListener("keydown", (e) => e.stopPropagation());
+    stylesContainer.addEventListener("focusin", showStyles);
+    showStyles();
+  }
+}
@@ -1,9 +1,15 @@
+import { formatPtzPresets } from "./camera/camera-ptz.js";
+import { getSensorCount } from "./camera/camera-sensor-heads.js";
+import { calculatePowerBudgets, calculateSavedPowerBudgets, isOverBudget, getPowerWarnings, generatePowerBudgetCSV } from "../network/power-budget.js";
+import { DEVICE_STATUSES, getStatusLabel } from "./device-status.js";
+import { getTakeoffFields, getCustomFieldValue } from "./device-custom-fields.js";
+
 // Device takeoff list generator
 export class DeviceTakeoffGenerator {
   constructor(fabricCanvas, floorManager) {
     this.fabricCanvas = fabricCanvas;
     this.floorManager = floorManager;
-    this.filters = { floors: [], deviceTypes: [], zones: [], rooms: [] };
+    this.filters = { floors: [], deviceTypes: [], zones: [], rooms: [], statuses: [] };
     this.surveyInfo = { grading: "", monitoring: "", generalDescription: "", equipmentRequired: "" };
   }
 
@@ -16,6 +22,8 @@ export class DeviceTakeoffGenerator {
     custom: ["custom-device-icon.png", "text-device", "interface-unit", "access-panel", "sensor"]
   };
 
+  static CSV_HEADERS = ["#", "Floor", "Device Name", "Model", "Sensors", "IR Range (m)", "Location", "Mounted", "Zone", "Room", "Part No.", "Stock No.", "PTZ Presets", "Qty"];
+
   static CATEGORY_LABELS = {
     cctv: "CCTV", access: "Access Control", intruder: "Intruder Detection", 
     fire: "Fire Evacuation", networks: "Networks", custom: "Custom"
@@ -90,10 +98,16 @@ export class DeviceTakeoffGenerator {
 
     return {
       name: obj.textObject.text || "Unnamed Device",
+      model: [obj.cameraManufacturer, obj.cameraModel].filter(Boolean).join(" "),
+      presets: formatPtzPresets(obj),
+      sensors: obj.coverageConfig ? getSensorCount(obj) : "",
+      irRange: obj.coverageConfig ? obj.irRange || "" : "",
       location: obj.location || "",
       fittingPosition: obj.mountedPosition || "",
       partNumber: obj.partNumber || "",
       stockNumber: obj.stockNumber || "",
+      status: obj.deviceStatus || "",
+      customFields: { ...(obj.customFields || {}) },
       deviceType: obj.deviceType,
       systemCategory: category,
       systemCategoryLabel: DeviceTakeoffGenerator.CATEGORY_LABELS[category] || category,
@@ -111,10 +125,16 @@ export class DeviceTakeoffGenerator {
 
     return {
       name: deviceData.textLabel?.text || "Unnamed Device",
+      model: [deviceData.deviceProperties?.cameraManufacturer, deviceData.deviceProperties?.cameraModel].filter(Boolean).join(" "),
+      presets: formatPtzPresets({ coverageConfig: deviceData.coverageConfig }),
+      sensors: deviceData.coverageConfig ? getSensorCount({ coverageConfig: deviceData.coverageConfig }) : "",
+      irRange: deviceData.coverageConfig ? deviceData.deviceProperties?.irRange || "" : "",
       location: deviceData.deviceProperties?.location || "",
       fittingPosition: deviceData.deviceProperties?.mountedPosition || "",
       partNumber: deviceData.deviceProperties?.partNumber || "",
       stockNumber: deviceData.deviceProperties?.stockNumber || "",
+      status: deviceData.deviceProperties?.deviceStatus || "",
+      customFields: { ...(deviceData.deviceProperties?.customFields || {}) },
       deviceType: deviceData.deviceType,
       systemCategory: category,
       systemCategoryLabel: DeviceTakeoffGenerator.CATEGORY_LABELS[category] || category,
@@ -159,9 +179,11 @@ export class DeviceTakeoffGenerator {
   // Groups devices by floor and consolidates duplicates
   consolidateDevicesByFloor(devices) {
     const globalConsolidationMap = new Map();
+    const customColumns = getTakeoffFields();
 
     devices.forEach(device => {
-      const key = `${device.name}|${device.location}|${device.fittingPosition}|${device.partNumber}|${device.stockNumber}|${device.zoneInfo}|${device.roomInfo}`;
+      const customKey = customColumns.map(field => getCustomFieldValue(device, field)).join("|");
+      const key = `${device.name}|${device.model}|${device.sensors}|${device.irRange}|${device.location}|${device.fittingPosition}|${device.partNumber}|${device.stockNumber}|${device.zoneInfo}|${device.roomInfo}|${device.presets}|${customKey}`;
 
       if (globalConsolidationMap.has(key)) {
         const existing = globalConsolidationMap.get(key);
@@ -202,7 +224,7 @@ export class DeviceTakeoffGenerator {
     });
 
     Object.values(floorGroups).forEach(group => {
-      group.devices.sort((a, b) => a.name.localeCompare(b.name));
+      group.devices.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
     });
 
     return Object.values(floorGroups).sort((a, b) => a.floorNumber - b.floorNumber);
@@ -214,7 +236,8 @@ export class DeviceTakeoffGenerator {
       floors: Array.isArray(filters?.floors) ? filters.floors : [],
       deviceTypes: Array.isArray(filters?.deviceTypes) ? filters.deviceTypes : [],
       zones: Array.isArray(filters?.zones) ? filters.zones : [],
-      rooms: Array.isArray(filters?.rooms) ? filters.rooms : []
+      rooms: Array.isArray(filters?.rooms) ? filters.rooms : [],
+      statuses: Array.isArray(filters?.statuses) ? filters.statuses : []
     };
   }
 
@@ -256,12 +279,14 @@ export class DeviceTakeoffGenerator {
     const systemCategories = new Set();
     const zones = new Set();
     const rooms = new Set();
+    const statuses = new Set();
 
     devices.forEach(d => {
       if (d.floorName) floors.add(d.floorName);
       if (d.systemCategory) systemCategories.add(d.systemCategory);
       zones.add(d.zoneInfo?.trim() || "(None)");
       rooms.add(d.roomInfo?.trim() || "(None)");
+      statuses.add(d.status || "(None)");
     });
 
     return {
@@ -270,7 +295,11 @@ export class DeviceTakeoffGenerator {
         .sort((a, b) => a.localeCompare(b))
         .map(key => ({ value: key, label: DeviceTakeoffGenerator.CATEGORY_LABELS[key] || key })),
       zones: Array.from(zones).sort((a, b) => a.localeCompare(b, undefined, { numeric: true })),
-      rooms: Array.from(rooms).sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+      rooms: Array.from(rooms).sort((a, b) => a.localeCompare(b, undefined, { numeric: true })),
+      // Statuses keep their lifecycle order, with devices that have none last
+      statuses: [...Object.keys(DEVICE_STATUSES), "(None)"]
+        .filter(key => statuses.has(key))
+        .map(key => ({ value: key, label: key === "(None)" ? "(None)" : getStatusLabel(key) }))
     };
   }
 
@@ -281,8 +310,9 @@ export class DeviceTakeoffGenerator {
     const deviceTypes = f.deviceTypes || [];
     const zones = (f.zones || []).map(z => z === "(None)" ? "" : z);
     const rooms = (f.rooms || []).map(r => r === "(None)" ? "" : r);
+    const statuses = (f.statuses || []).map(s => s === "(None)" ? "" : s);
 
-    if (!floors.length && !deviceTypes.length && !zones.length && !rooms.length) return devices;
+    if (!floors.length && !deviceTypes.length && !zones.length && !rooms.length && !statuses.length) return devices;
 
     return devices.filter(d => {
       if (floors.length && !floors.includes(d.floorName)) return false;
@@ -295,6 +325,7 @@ export class DeviceTakeoffGenerator {
         const ri = d.roomInfo?.trim() || "";
         if (!rooms.includes(ri)) return false;
       }
+      if (statuses.length && !statuses.includes(d.status || "")) return false;
       return true;
     });
   }
@@ -314,6 +345,7 @@ export class DeviceTakeoffGenerator {
     }
 
     const rows = this.generateTableRows(takeoffData);
+    const customHeaders = getTakeoffFields().map(field => `<th scope="col" style="width: 10%;">${this.escapeHtml(field.label)}</th>`).join("");
     return `
       <div class="table-responsive">
         <table class="table table-hover" style="margin: 0;">
@@ -322,18 +354,76 @@ export class DeviceTakeoffGenerator {
               <th scope="col" style="width: 60px;">#</th>
               <th scope="col" style="width: 10%;">Floor</th>
               <th scope="col">Device Name</th>
+              <th scope="col" style="width: 12%;">Model</th>
               <th scope="col" style="width: 12%;">Location</th>
               <th scope="col" style="width: 12%;">Mounted</th>
               <th scope="col" style="width: 12%;">Zone</th>
               <th scope="col" style="width: 12%;">Room</th>
               <th scope="col" style="width: 12%;">Part No.</th>
               <th scope="col" style="width: 12%;">Stock No.</th>
+              ${customHeaders}
               <th scope="col" style="width: 60px;">Qty</th>
             </tr>
           </thead>
           <tbody>${rows}</tbody>
         </table>
       </div>
+      ${this.generatePowerBudgetTable()}
+    `;
+  }
+
+  // Works out power budgets floor by floor: the live topology for the current floor and saved connections for the rest
+  // Follows the floor filter the device rows use
+  getPowerBudgetsByFloor() {
+    const floorFilter = this.filters?.floors || [];
+    const floorBudgets = !this.floorManager
+      ? [{ floorName: "Floor 1", budgets: calculatePowerBudgets(this.fabricCanvas) }]
+      : this.floorManager.getFloorList().map(floorNumber => ({
+          floorName: this.getFloorName(floorNumber),
+          budgets: floorNumber === this.floorManager.getCurrentFloor() ? calculatePowerBudgets(this.fabricCanvas) : calculateSavedPowerBudgets(this.floorManager.floors.get(floorNumber)),
+        }));
+    return floorBudgets.filter(({ floorName, budgets }) => budgets.length && (!floorFilter.length || floorFilter.includes(floorName)));
+  }
+
+  // Generates HTML table of PoE and DC budgets for the supplies on every floor
+  generatePowerBudgetTable() {
+    const floorBudgets = this.getPowerBudgetsByFloor();
+    if (floorBudgets.length === 0) return "";
+
+    const rows = floorBudgets
+      .flatMap(({ floorName, budgets }) => budgets.map((budget) => ({ floorName, budget })))
+      .map(({ floorName, budget }) => {
+        const status = isOverBudget(budget) ? `<span class="text-danger">${this.escapeHtml(getPowerWarnings(budget).join("; "))}</span>` : "OK";
+        return `
+          <tr class="${isOverBudget(budget) ? "table-danger" : ""}">
+            <td>${this.escapeHtml(floorName)}</td>
+            <td style="font-weight: 500;">${this.escapeHtml(budget.name)}</td>
+            <td>${budget.poeBudget ? `${budget.poeWatts.toFixed(1)} / ${budget.poeBudget} W` : "-"}</td>
+            <td>${budget.dcBudget ? `${budget.dcAmps.toFixed(2)} / ${budget.dcBudget} A` : "-"}</td>
+            <td>${budget.loads.length}</td>
+            <td>${status}</td>
+          </tr>
+        `;
+      })
+      .join("");
+
+    return `
+      <h6 class="mt-3">Power Budget</h6>
+      <div class="table-responsive">
+        <table class="table table-hover" style="margin: 0;">
+          <thead class="table-dark">
+            <tr>
+              <th scope="col" style="width: 12%;">Floor</th>
+              <th scope="col">Supply</th>
+              <th scope="col" style="width: 15%;">PoE Load</th>
+              <th scope="col" style="width: 15%;">DC Load</th>
+              <th scope="col" style="width: 12%;">Powered Devices</th>
+              <th scope="col" style="width: 30%;">Status</th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
     `;
   }
 
@@ -341,6 +431,7 @@ export class DeviceTakeoffGenerator {
   generateTableRows(takeoffData) {
     let deviceCounter = 1;
     let rows = "";
+    const customColumns = getTakeoffFields();
 
     takeoffData.forEach(floorGroup => {
       if (floorGroup.devices.length === 0) return;
@@ -359,13 +450,22 @@ export class DeviceTakeoffGenerator {
                 ${floorNames}
               </span>
             </td>
-            <td style="font-weight: 500;">${this.escapeHtml(device.name)}</td>
+            <td style="font-weight: 500;">
+              ${this.escapeHtml(device.name)}
+              ${device.presets ? `<div class="text-muted" style="font-size: 11px; font-weight: normal;">Presets: ${this.escapeHtml(device.presets)}</div>` : ""}
+            </td>
+            <td>
+              ${device.model ? this.escapeHtml(device.model) : "-"}
+              ${device.sensors > 1 ? `<div class="text-muted" style="font-size: 11px;">${device.sensors}-sensor</div>` : ""}
+              ${device.irRange ? `<div class="text-muted" style="font-size: 11px;">IR ${this.escapeHtml(device.irRange)}m</div>` : ""}
+            </td>
             <td>${this.escapeHtml(device.location)}</td>
             <td>${this.escapeHtml(device.fittingPosition)}</td>
             <td>${zoneDisplay}</td>
             <td>${roomDisplay}</td>
             <td>${this.escapeHtml(device.partNumber)}</td>
             <td>${this.escapeHtml(device.stockNumber)}</td>
+            ${customColumns.map(field => `<td>${this.escapeHtml(getCustomFieldValue(device, field))}</td>`).join("")}
             <td>
               <span class="badge qty-badge" style="background-color: var(--orange-ip2); color: white; font-size: 12px; padding: 4px 8px;">
                 ${device.quantity}
@@ -396,7 +496,12 @@ export class DeviceTakeoffGenerator {
       csv += "\n";
     }
     
-    csv += "#,Floor,Device Name,Location,Mounted,Zone,Room,Part No.,Stock No.,Qty\n";
+    // Custom field columns go just before the quantity
+    const customColumns = getTakeoffFields();
+    const quoteCSV = value => `"${String(value ?? "").replace(/"/g, '""')}"`;
+    const headers = [...DeviceTakeoffGenerator.CSV_HEADERS];
+    headers.splice(headers.length - 1, 0, ...customColumns.map(field => quoteCSV(field.label)));
+    csv += headers.join(",") + "\n";
     let deviceCounter = 1;
 
     takeoffData.forEach(floorGroup => {
@@ -404,10 +509,13 @@ export class DeviceTakeoffGenerator {
         const floorNames = device.multiFloor ? device.allFloorNames : floorGroup.floorName;
         const zoneInfo = device.zoneInfo || "";
         const roomInfo = device.roomInfo || "";
-        csv += `${deviceCounter++},"${floorNames}","${device.name}","${device.location}","${device.fittingPosition}","${zoneInfo}","${roomInfo}","${device.partNumber}","${device.stockNumber}",${device.quantity}\n`;
+        csv += `${deviceCounter++},"${floorNames}","${device.name}","${device.model || ""}",${device.sensors},"${device.irRange}","${device.location}","${device.fittingPosition}","${zoneInfo}","${roomInfo}","${device.partNumber}","${device.stockNumber}","${(device.presets || "").replace(/"/g, '""')}",${customColumns.map(field => quoteCSV(getCustomFieldValue(device, field)) + ",").join("")}${device.quantity}\n`;
       });
     });
 
+    const powerCSV = generatePowerBudgetCSV(this.getPowerBudgetsByFloor());
+    if (powerCSV) csv += "\n" + powerCSV;
+
     return csv;
   }
 
@@ -578,6 +686,13 @@ function createFiltersPanel(takeoffGenerator) {
               ${renderStringOptions(options.rooms, active.rooms)}
             </select>
           </div>
+          <div class="col-12 col-md-3">
+            <label class="form-label mb-1">Filter by Status</label>
+            <select id="filter-statuses" class="form-select form-select-sm">
+              <option value="">All Statuses</option>
+              ${renderCategoryOptions(options.statuses, active.statuses)}
+            </select>
+          </div>
         </div>
       </div>
     </div>
@@ -613,14 +728,14 @@ function setupModalEventListeners(takeoffGenerator, { rebind = false } = {}) {
   document.getElementById("export-takeoff-csv").addEventListener("click", () => {
     takeoffGenerator.captureSurveyInfo();
     
-    const csv = takeoffGenerator.generateCSV();
-    if (!csv || csv.trim() === "" || csv.trim() === "#,Floor,Device Name,Location,Mounted,Zone,Room,Part No.,Stock No.,Qty") {
+    // Count devices rather than inspect the CSV, whose headers and extra sections vary
+    if (takeoffGenerator.getTakeoffSummary().uniqueItems === 0) {
       alert("No devices found to export");
       return;
     }
     const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, "-");
     const f = takeoffGenerator.getFilters ? takeoffGenerator.getFilters() : null;
-    const hasFilters = f && (f.floors?.length || f.deviceTypes?.length || f.zones?.length || f.rooms?.length);
+    const hasFilters = f && (f.floors?.length || f.deviceTypes?.length || f.zones?.length || f.rooms?.length || f.statuses?.length);
     const name = hasFilters ? `device-takeoff-filtered-${timestamp}.csv` : `device-takeoff-all-floors-${timestamp}.csv`;
     takeoffGenerator.exportToCSV(name);
   });
@@ -650,18 +765,20 @@ function bindFilterEvents(takeoffGenerator) {
     const floorsSel = document.getElementById("filter-floors");
     const zonesSel = document.getElementById("filter-zones");
     const roomsSel = document.getElementById("filter-rooms");
+    const statusesSel = document.getElementById("filter-statuses");
 
     const filters = {
       deviceTypes: systemsSel ? getSelected(systemsSel) : [],
       floors: floorsSel ? getSelected(floorsSel) : [],
       zones: zonesSel ? getSelected(zonesSel) : [],
-      rooms: roomsSel ? getSelected(roomsSel) : []
+      rooms: roomsSel ? getSelected(roomsSel) : [],
+      statuses: statusesSel ? getSelected(statusesSel) : []
     };
     takeoffGenerator.setFilters(filters);
     if (tableContainer) tableContainer.innerHTML = takeoffGenerator.generateTakeoffTable();
   };
 
-  ["filter-systems", "filter-floors", "filter-zones", "filter-rooms"].forEach(id => {
+  ["filter-systems", "filter-floors", "filter-zones", "filter-rooms", "filter-statuses"].forEach(id => {
     const el = document.getElementById(id);
     if (el) el.addEventListener("change", apply);
   });
@@ -774,7 +891,7 @@ function proceedWithPrint(takeoffGenerator) {
     const reportTitleElement = document.getElementById("print-report-title");
     if (reportTitleElement) {
       const filters = (window.takeoffGenerator && window.takeoffGenerator.getFilters) ? window.takeoffGenerator.getFilters() : null;
-      const hasFilters = filters && (filters.floors?.length || filters.deviceTypes?.length || filters.zones?.length || filters.rooms?.length);
+      const hasFilters = filters && (filters.floors?.length || filters.deviceTypes?.length || filters.zones?.length || filters.rooms?.length || filters.statuses?.length);
       reportTitleElement.textContent = hasFilters ? "Device Takeoff List - Filtered" : "Device Takeoff List - All Floors";
     }
 
@@ -878,14 +995,17 @@ function applyPrintTableStyles(table) {
     `;
   });
 
-  const columnWidths = ["40px", "10%", "auto", "10%", "10%", "10%", "10%", "10%", "10%", "40px"];
+  // Custom field columns sit between Stock No. and Qty
+  const customWidths = getTakeoffFields().map(() => "9%");
+  const columnWidths = ["40px", "9%", "auto", "10%", "9%", "9%", "9%", "9%", "9%", "9%", ...customWidths, "40px"];
+  const lastIndex = columnWidths.length - 1;
 
   table.querySelectorAll("tr").forEach(row => {
     const rowCells = row.querySelectorAll("th, td");
     rowCells.forEach((cell, index) => {
       if (columnWidths[index]) {
         cell.style.cssText += `width: ${columnWidths[index]} !important;`;
-        if (index === 0 || index === 9) {
+        if (index === 0 || index === lastIndex) {
           cell.style.cssText += "max-width: 40px !important;";
         }
         cell.style.cssText += "white-space: normal !important; word-wrap: break-word !important; vertical-align: top !important;";
@@ -903,7 +1023,7 @@ function applyPrintTableStyles(table) {
     `;
   });
 
-  const qtyColumns = table.querySelectorAll("td:nth-child(10)");
+  const qtyColumns = table.querySelectorAll("td:last-child");
   qtyColumns.forEach(cell => {
     const badge = cell.querySelector(".badge");
     if (badge) {
@@ -1,6 +1,7 @@
 // Drag and drop device creation system
 import { addCameraCoverage } from "./camera/camera-core.js";
 import { attachLabelBehavior } from "./device-label-utils.js";
+import { createDeviceName } from "./device-naming.js";
 
 // Device type to image path mapping
 export const DEVICE_TYPE_TO_IMAGE = {
@@ -76,17 +77,149 @@ export function setupDeviceItemDrag() {
   });
 }
 
-// Initializes drag and drop functionality for devices
-export function initDragDropDevices(fabricCanvas) {
-  window.cameraCounter = window.cameraCounter || 1;
-  window.deviceCounter = window.deviceCounter || 1;
+// Checks if icon is a camera type
+const isCameraIcon = (imgSrc, customPayload) => {
+  if (customPayload?.isCamera) return true;
+  return imgSrc.includes("camera");
+};
+
+// Creates a device at a canvas point, the same way as dropping it from the sidebar
+// configure runs before the device is added to the canvas; onPlaced runs once it and its coverage are set up
+export function placeDevice(fabricCanvas, imgSrc, canvasX, canvasY, { customPayload = null, configure, onPlaced } = {}) {
+  const isCamera = isCameraIcon(imgSrc, customPayload);
+
+  fabric.Image.fromURL(
+    imgSrc,
+    (img) => {
+      // Named once loaded, just before it is added, so devices placed together get consecutive numbers
+      const labelText = createDeviceName(fabricCanvas, { deviceType: imgSrc, isCamera, point: { x: canvasX, y: canvasY } });
+      const defaultIconSize = Math.max(1, Math.min(100, window.defaultDeviceIconSize || 30));
+      const scaleFactor = defaultIconSize / 30;
+
+      img.set({
+        scaleX: defaultIconSize / img.width,
+        scaleY: defaultIconSize / img.height,
+        originX: "center",
+        originY: "center",
+        deviceType: customPayload ? (customPayload.isCamera ? "custom-camera-icon.png" : "custom-device-icon.png") : imgSrc.split("/").pop(),
+        coverageConfig: isCamera
+          ? {
+              startAngle: 270,
+              endAngle: 0,
+              fillColor: "rgba(165, 155, 155, 0.3)",
+              visible: true,
+              radius: 175,
+              isInitialized: true,
+              opacity: 0.3,
+            }
+          : null,
+      });
+
+      const circleRadius = 20 * scaleFactor;
+      const circle = new fabric.Circle({
+        radius: circleRadius,
+        fill: window.globalDeviceColor || "#f8794b",
+        originX: "center",
+        originY: "center",
+      });
+
+      const group = new fabric.Group([circle, img], {
+        left: canvasX,
+        top: canvasY,
+        originX: "center",
+        originY: "center",
+        selectable: true,
+        hasControls: false,
+        borderColor: "#000000",
+        borderScaleFactor: 2,
+        hoverCursor: isCamera ? "move" : "default",
+        scaleFactor,
+      });
+
+      if (!group.id) {
+        group.id = `device_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+      }
 
-  // Checks if icon is a camera type
-  const isCameraIcon = (imgSrc, customPayload) => {
-    if (customPayload?.isCamera) return true;
-    return imgSrc.includes("camera");
-  };
+      group.initialLabelText = labelText;
+      group.deviceType = img.deviceType;
+      group.coverageConfig = img.coverageConfig;
+
+      // Initialize device properties
+      ["location", "mountedPosition", "partNumber", "stockNumber", "ipAddress", "subnetMask", "gatewayAddress", "macAddress", "focalLength", "sensorSize", "resolution"].forEach((prop) => (group[prop] = ""));
+
+      const fontSize = 12 * scaleFactor;
+      const text = new fabric.Text(labelText, {
+        left: canvasX,
+        top: canvasY + circleRadius + 10,
+        fontFamily: window.globalFont || "Poppins, sans-serif",
+        fontSize,
+        fontWeight: window.globalBoldText ? "bold" : "normal",
+        fill: window.globalTextColor || "#FFFFFF",
+        selectable: false,
+        backgroundColor: window.globalTextBackground !== false ? "rgba(20, 18, 18, 0.8)" : "transparent",
+        originX: "center",
+        originY: "top",
+        isDeviceLabel: true,
+        visible: window.globalIconTextVisible !== false,
+      });
+
+      group.textObject = text;
+      attachLabelBehavior(group, text, fabricCanvas);
+
+      group.isFirstSelectionAfterDrop = true;
+      group.on("selected", () => {
+        if (window.suppressDeviceProperties) return;
+        if (group.isFirstSelectionAfterDrop) {
+          group.isFirstSelectionAfterDrop = false;
+          return;
+        }
+        if (window.showDeviceProperties) {
+          window.showDeviceProperties(group.deviceType, group.textObject, group);
+        }
+        group.bringToFront();
+        if (text.visible !== false) text.bringToFront();
+        fabricCanvas.renderAll();
+      });
+
+      group.on("deselected", () => window.hideDeviceProperties());
+
+      group.on("removed", () => {
+        if (text) fabricCanvas.remove(text);
+        if (group.coverageArea) fabricCanvas.remove(group.coverageArea);
+        if (group.leftResizeIcon) fabricCanvas.remove(group.leftResizeIcon);
+        if (group.rightResizeIcon) fabricCanvas.remove(group.rightResizeIcon);
+        if (group.rotateResizeIcon) fabricCanvas.remove(group.rotateResizeIcon);
+        fabricCanvas.renderAll();
+      });
+
+      if (configure) configure(group);
+
+      fabricCanvas.add(group);
+      fabricCanvas.add(text);
+      group.bringToFront();
+      if (text.visible !== false) text.bringToFront();
+      fabricCanvas.setActiveObject(group);
+
+      if (isCamera) {
+        addCameraCoverage(fabricCanvas, group);
+      }
 
+      if (onPlaced) onPlaced(group);
+
+      setTimeout(() => {
+        if (typeof window.updateDeviceCompleteIndicator === "function") {
+          window.updateDeviceCompleteIndicator(group);
+        }
+      }, 100);
+
+      fabricCanvas.renderAll();
+    },
+    { crossOrigin: "anonymous" }
+  );
+}
+
+// Initializes drag and drop functionality for devices
+export function initDragDropDevices(fabricCanvas) {
   const canvasElement = fabricCanvas.getElement();
   const canvasContainer = canvasElement.parentElement;
 
@@ -113,131 +246,7 @@ export function initDragDropDevices(fabricCanvas) {
     const canvasX = (clientX - vpt[4]) / zoom;
     const canvasY = (clientY - vpt[5]) / zoom;
 
-    const isCamera = isCameraIcon(imgSrc, customPayload);
-    const labelText = isCamera ? `Camera ${window.cameraCounter++}` : `Device ${window.deviceCounter++}`;
-
-    fabric.Image.fromURL(
-      imgSrc,
-      (img) => {
-        const defaultIconSize = Math.max(1, Math.min(100, window.defaultDeviceIconSize || 30));
-        const scaleFactor = defaultIconSize / 30;
-
-        img.set({
-          scaleX: defaultIconSize / img.width,
-          scaleY: defaultIconSize / img.height,
-          originX: "center",
-          originY: "center",
-          deviceType: customPayload ? (customPayload.isCamera ? "custom-camera-icon.png" : "custom-device-icon.png") : imgSrc.split("/").pop(),
-          coverageConfig: isCamera
-            ? {
-                startAngle: 270,
-                endAngle: 0,
-                fillColor: "rgba(165, 155, 155, 0.3)",
-                visible: true,
-                radius: 175,
-                isInitialized: true,
-                opacity: 0.3,
-              }
-            : null,
-        });
-
-        const circleRadius = 20 * scaleFactor;
-        const circle = new fabric.Circle({
-          radius: circleRadius,
-          fill: window.globalDeviceColor || "#f8794b",
-          originX: "center",
-          originY: "center",
-        });
-
-        const group = new fabric.Group([circle, img], {
-          left: canvasX,
-          top: canvasY,
-          originX: "center",
-          originY: "center",
-          selectable: true,
-          hasControls: false,
-          borderColor: "#000000",
-          borderScaleFactor: 2,
-          hoverCursor: isCamera ? "move" : "default",
-          scaleFactor,
-        });
-
-        if (!group.id) {
-          group.id = `device_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
-        }
-
-        group.initialLabelText = labelText;
-        group.deviceType = img.deviceType;
-        group.coverageConfig = img.coverageConfig;
-
-        // Initialize device properties
-        ["location", "mountedPosition", "partNumber", "stockNumber", "ipAddress", "subnetMask", "gatewayAddress", "macAddress", "focalLength", "sensorSize", "resolution"].forEach((prop) => (group[prop] = ""));
-
-        const fontSize = 12 * scaleFactor;
-        const text = new fabric.Text(labelText, {
-          left: canvasX,
-          top: canvasY + circleRadius + 10,
-          fontFamily: window.globalFont || "Poppins, sans-serif",
-          fontSize,
-          fontWeight: window.globalBoldText ? "bold" : "normal",
-          fill: window.globalTextColor || "#FFFFFF",
-          selectable: false,
-          backgroundColor: window.globalTextBackground !== false ? "rgba(20, 18, 18, 0.8)" : "transparent",
-          originX: "center",
-          originY: "top",
-          isDeviceLabel: true,
-          visible: window.globalIconTextVisible !== false,
-        });
-
-        group.textObject = text;
-        attachLabelBehavior(group, text, fabricCanvas);
-
-        group.isFirstSelectionAfterDrop = true;
-        group.on("selected", () => {
-          if (window.suppressDeviceProperties) return;
-          if (group.isFirstSelectionAfterDrop) {
-            group.isFirstSelectionAfterDrop = false;
-            return;
-          }
-          if (window.showDeviceProperties) {
-            window.showDeviceProperties(group.deviceType, group.textObject, group);
-          }
-          group.bringToFront();
-          if (text.visible !== false) text.bringToFront();
-          fabricCanvas.renderAll();
-        });
-
-        group.on("deselected", () => window.hideDeviceProperties());
-
-        group.on("removed", () => {
-          if (text) fabricCanvas.remove(text);
-          if (group.coverageArea) fabricCanvas.remove(group.coverageArea);
-          if (group.leftResizeIcon) fabricCanvas.remove(group.leftResizeIcon);
-          if (group.rightResizeIcon) fabricCanvas.remove(group.rightResizeIcon);
-          if (group.rotateResizeIcon) fabricCanvas.remove(group.rotateResizeIcon);
-          fabricCanvas.renderAll();
-        });
-
-        fabricCanvas.add(group);
-        fabricCanvas.add(text);
-        group.bringToFront();
-        if (text.visible !== false) text.bringToFront();
-        fabricCanvas.setActiveObject(group);
-
-        if (isCamera) {
-          addCameraCoverage(fabricCanvas, group);
-        }
-
-        setTimeout(() => {
-          if (typeof window.updateDeviceCompleteIndicator === "function") {
-            window.updateDeviceCompleteIndicator(group);
-          }
-        }, 100);
-
-        fabricCanvas.renderAll();
-      },
-      { crossOrigin: "anonymous" }
-    );
+    placeDevice(fabricCanvas, imgSrc, canvasX, canvasY, { customPayload });
   });
 
   // Handles keyboard deletion
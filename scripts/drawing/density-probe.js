@@ -0,0 +1,128 @@
+import { closeSidebar, startTool, registerToolCleanup } from "./drawing-utils.js";
+import { getCameraViews, isPointCovered } from "../devices/camera/camera-heatmap.js";
+import { DORI_PPM } from "../devices/camera/camera-dori.js";
+import { createCoveragePoints, getCoverageBlockers, lineIntersect, passesThroughOpening, isThermalCamera } from "../devices/camera/camera-calculations.js";
+import { DEFAULT_PIXELS_PER_METER, isPointInPolygon } from "../sidebar/sidebar-utils.js";
+
+// Sight line colours for cameras that see the point and cameras that are blocked
+const CLEAR_COLOR = "#28a745";
+const BLOCKED_COLOR = "#dc3545";
+const MARKER_COLOR = "#305CDE";
+
+// Orders results so cameras that see the point come first, then blocked ones
+const STATUS_RANK = { visible: 2, obstacle: 1, wall: 1 };
+
+// Gets the best DORI level a pixel density reaches, or null below detection
+export const getDoriLevel = (ppm) => {
+  const level = Object.entries(DORI_PPM)
+    .sort((a, b) => b[1] - a[1])
+    .find(([, threshold]) => ppm >= threshold);
+  return level ? level[0] : null;
+};
+
+// Checks if a wall stands between two points, ignoring open or glazed doors and windows
+const isWallBetween = (blockers, from, to, pixelsPerMeter) =>
+  blockers.some((wall) => {
+    if (wall.isObstacle) return false;
+    const hit = lineIntersect(from, to, { x: wall.x1, y: wall.y1 }, { x: wall.x2, y: wall.y2 });
+    return hit && !passesThroughOpening(wall, hit, pixelsPerMeter);
+  });
+
+// Lists every camera whose view reaches a point, with distance, pixel density and DORI level
+// Cameras aimed at the point but cut off by a wall or obstacle are listed as blocked
+export function probeCamerasAt(fabricCanvas, point) {
+  const pixelsPerMeter = fabricCanvas.pixelsPerMeter || DEFAULT_PIXELS_PER_METER;
+  const blockers = getCoverageBlockers(fabricCanvas);
+  const results = new Map();
+
+  getCameraViews(fabricCanvas, { allCameras: true }).forEach((view) => {
+    let status = "visible";
+    if (!isPointCovered(point, view)) {
+      // Rebuild the view without walls to tell a blocked camera from one that never faced the point
+      const openView = { points: createCoveragePoints([], view.camera, view.startAngle, view.endAngle, view.center.x, view.center.y, view.radius, view.minRange) };
+      if (!isPointInPolygon(point, openView)) return;
+      status = isWallBetween(blockers, view.center, point, pixelsPerMeter) ? "wall" : "obstacle";
+    }
+
+    const distance = Math.hypot(point.x - view.center.x, point.y - view.center.y) / pixelsPerMeter;
+    const ppm = status === "visible" && view.density ? view.density(distance) : null;
+    const result = { camera: view.camera, center: view.center, status, distance, ppm, level: ppm === null ? null : getDoriLevel(ppm) };
+
+    // A camera with several heads reports its best one
+    const previous = results.get(view.camera);
+    if (previous && (STATUS_RANK[previous.status] > STATUS_RANK[status] || (previous.status === status && (previous.ppm ?? -1) >= (ppm ?? -1)))) return;
+    results.set(view.camera, result);
+  });
+
+  return [...results.values()].sort((a, b) => STATUS_RANK[b.status] - STATUS_RANK[a.status] || (b.ppm ?? -1) - (a.ppm ?? -1) || a.distance - b.distance);
+}
+
+// Describes one camera's view of the probed point
+const describeResult = ({ camera, status, distance, ppm, level }) => {
+  const name = camera.textObject?.text || "Camera";
+  const meters = `${distance.toFixed(1)} m`;
+  if (status === "wall") return `${name}: blocked by wall (${meters})`;
+  if (status === "obstacle") return `${name}: hidden behind obstacle (${meters})`;
+  if (ppm === null) return `${name}: ${meters}, ${isThermalCamera(camera) ? "thermal, no PPM" : "no resolution set"}`;
+  const levelText = level ? level.charAt(0).toUpperCase() + level.slice(1) : "Below detection";
+  return `${name}: ${meters}, ${Math.round(ppm)} PPM (${levelText})`;
+};
+
+// Sets up the pixel density probe, which reports every camera that sees a clicked point
+export function setupDensityProbeTool(fabricCanvas) {
+  const probeBtn = document.getElementById("density-probe-btn");
+  let probe = null;
+
+  // Removes the current probe from the canvas
+  function removeProbe() {
+    if (probe) fabricCanvas.remove(probe);
+    probe = null;
+    fabricCanvas.requestRenderAll();
+  }
+
+  // Activates the probe; each click replaces the last probe until Escape
+  probeBtn?.addEventListener("click", () => {
+    closeSidebar();
+    removeProbe();
+    registerToolCleanup(removeProbe);
+    startTool(fabricCanvas, "density-probe", handleProbeClick);
+  });
+
+  // Draws sight lines to the clicked point and lists what each camera sees there
+  function handleProbeClick(e) {
+    e.e.preventDefault();
+    e.e.stopPropagation();
+    removeProbe();
+
+    const point = fabricCanvas.getPointer(e.e);
+    const results = probeCamerasAt(fabricCanvas, point);
+
+    const sightLines = results.map(
+      (result) =>
+        new fabric.Line([result.center.x, result.center.y, point.x, point.y], {
+          stroke: result.status === "visible" ? CLEAR_COLOR : BLOCKED_COLOR,
+          strokeWidth: 2,
+          strokeDashArray: result.status === "visible" ? null : [6, 4],
+        })
+    );
+    const marker = new fabric.Circle({ left: point.x, top: point.y, radius: 6, fill: MARKER_COLOR, stroke: "#FFFFFF", strokeWidth: 2, originX: "center", originY: "center" });
+    const label = new fabric.Text(results.length ? results.map(describeResult).join("\n") : "No camera covers this point", {
+      left: point.x + 12,
+      top: point.y + 12,
+      fontSize: 14,
+      fill: "#FFFFFF",
+      backgroundColor: "rgba(20,18,18,0.8)",
+      fontFamily: "Poppins, sans-serif",
+    });
+
+    probe = new fabric.Group([...sightLines, marker, label], {
+      selectable: false,
+      evented: false,
+      hasControls: false,
+      isDensityProbe: true,
+    });
+    fabricCanvas.add(probe);
+    probe.bringToFront();
+    fabricCanvas.requestRenderAll();
+  }
+}
@@ -1,4 +1,5 @@
 import { closeSidebar, startTool, stopCurrentTool, setupDeletion, applyStandardStyling } from "./drawing-utils.js";
+import { getNorthAngle } from "../background/site-location.js";
 
 // Sets up north arrow tool
 export function setupNorthArrowTool(fabricCanvas) {
@@ -8,6 +9,24 @@ export function setupNorthArrowTool(fabricCanvas) {
     return obj.type === "image" && obj.northArrowImage;
   });
 
+  // Points an arrow at true north when the site is located, and locks its rotation while it is
+  function alignToSiteNorth(img) {
+    const northAngle = getNorthAngle(fabricCanvas);
+    if (northAngle === null) {
+      img.set({ lockRotation: false });
+      return;
+    }
+    img.set({ angle: northAngle, lockRotation: true });
+    img.setCoords();
+  }
+
+  // Keeps loaded arrows and existing arrows in step with the site's map bearing
+  fabricCanvas.on("object:added", (e) => e.target?.northArrowImage && alignToSiteNorth(e.target));
+  document.addEventListener("site-location-changed", () => {
+    fabricCanvas.getObjects().forEach((obj) => obj.northArrowImage && alignToSiteNorth(obj));
+    fabricCanvas.requestRenderAll();
+  });
+
   // Activates north arrow tool
   northArrowBtn.addEventListener("click", () => {
     closeSidebar();
@@ -0,0 +1,129 @@
+import { closeSidebar, startTool, stopCurrentTool, registerToolCleanup } from "./drawing-utils.js";
+
+// Height given to a new obstacle when none has been entered yet, in metres
+const DEFAULT_OBSTACLE_HEIGHT = 1.8;
+
+// Brown dashed lines so obstacles read differently from full-height walls
+const OBSTACLE_LINE_PROPS = {
+  stroke: "#8d6e63",
+  strokeWidth: 4,
+  strokeDashArray: [10, 4],
+  selectable: true,
+  hasControls: false,
+  borderColor: "#f8794b",
+  cornerColor: "#f8794b",
+  perPixelTargetFind: true,
+  strokeLineCap: "round",
+  isObstacle: true,
+};
+
+// Redraws every camera's coverage after an obstacle changes
+export const refreshObstacleCoverage = (fabricCanvas) => {
+  fabricCanvas.getObjects("group").forEach((obj) => obj.coverageConfig && obj.createOrUpdateCoverageArea && obj.createOrUpdateCoverageArea());
+  fabricCanvas.requestRenderAll();
+};
+
+// Asks for an obstacle height in metres, returning null if cancelled or invalid
+export const promptObstacleHeight = (current) => {
+  const value = prompt("Obstacle height (m):", current);
+  if (value === null) return null;
+  const height = parseFloat(value);
+  if (!Number.isFinite(height) || height <= 0) {
+    alert("Enter an obstacle height greater than 0 m");
+    return null;
+  }
+  return height;
+};
+
+// Sets up the obstacle tool for racking, partitions and fences that only block below their height
+export function setupObstacleTool(fabricCanvas) {
+  const obstacleBtn = document.getElementById("add-obstacle-btn");
+
+  let startPoint = null;
+  let tempObject = null;
+
+  // Cleans up temporary objects
+  function cleanupTempObjects() {
+    if (tempObject) {
+      fabricCanvas.remove(tempObject);
+      tempObject = null;
+    }
+    startPoint = null;
+    fabricCanvas.requestRenderAll();
+  }
+
+  // Activates obstacle tool
+  obstacleBtn?.addEventListener("click", () => {
+    closeSidebar();
+    cleanupTempObjects();
+    registerToolCleanup(cleanupTempObjects);
+    startTool(fabricCanvas, "obstacle", handleObstacleClick, handleObstacleMove);
+  });
+
+  // Places the start point, then finishes the obstacle and asks for its height
+  function handleObstacleClick(e) {
+    e.e.preventDefault();
+    e.e.stopPropagation();
+
+    const pointer = fabricCanvas.getPointer(e.e);
+
+    if (!startPoint) {
+      startPoint = { x: pointer.x, y: pointer.y };
+      return;
+    }
+
+    if (tempObject) fabricCanvas.remove(tempObject);
+    const start = startPoint;
+    startPoint = null;
+    tempObject = null;
+    stopCurrentTool();
+
+    const height = promptObstacleHeight(window.lastObstacleHeight || DEFAULT_OBSTACLE_HEIGHT);
+    if (height === null) return fabricCanvas.requestRenderAll();
+    window.lastObstacleHeight = height;
+
+    const line = new fabric.Line([start.x, start.y, pointer.x, pointer.y], { ...OBSTACLE_LINE_PROPS, obstacleHeight: height });
+
+    const wasExecuting = window.undoSystem ? window.undoSystem.isExecutingCommand : false;
+    if (window.undoSystem) window.undoSystem.isExecutingCommand = true;
+
+    fabricCanvas.add(line);
+    fabricCanvas.setActiveObject(line);
+
+    if (window.undoSystem) {
+      window.undoSystem.isExecutingCommand = wasExecuting;
+      const command = new window.UndoCommands.AddCommand(fabricCanvas, line, []);
+      window.undoSystem.addToStack(command);
+    }
+
+    refreshObstacleCoverage(fabricCanvas);
+  }
+
+  // Previews the obstacle during movement
+  function handleObstacleMove(e) {
+    if (!startPoint) return;
+
+    const pointer = fabricCanvas.getPointer(e.e);
+
+    if (tempObject) fabricCanvas.remove(tempObject);
+
+    tempObject = new fabric.Line([startPoint.x, startPoint.y, pointer.x, pointer.y], {
+      ...OBSTACLE_LINE_PROPS,
+      strokeWidth: 3,
+      strokeDashArray: [5, 5],
+      selectable: false,
+      evented: false,
+      isObstacle: false,
+    });
+
+    fabricCanvas.add(tempObject);
+    fabricCanvas.requestRenderAll();
+  }
+
+  // Moving, editing or deleting an obstacle changes what every camera can see
+  ["object:modified", "object:removed"].forEach((eventName) => {
+    fabricCanvas.on(eventName, (e) => {
+      if (e.target?.isObstacle) refreshObstacleCoverage(fabricCanvas);
+    });
+  });
+}
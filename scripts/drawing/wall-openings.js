@@ -0,0 +1,205 @@
+import { closeSidebar, startTool, stopCurrentTool } from "./drawing-utils.js";
+import { DEFAULT_PIXELS_PER_METER } from "../sidebar/sidebar-utils.js";
+
+// Order the state button cycles through
+export const OPENING_STATES = ["open", "closed", "glazed"];
+
+// Starting width and state for each kind of opening, in metres
+const OPENING_DEFAULTS = {
+  door: { width: 0.9, state: "open" },
+  window: { width: 1.2, state: "glazed" },
+};
+
+// How close a click must be to a wall to place an opening on it, in screen pixels
+const WALL_PICK_DISTANCE = 12;
+
+// Leaf colours for each state
+const LEAF_STYLES = {
+  open: { stroke: "#5d4037", strokeWidth: 2 },
+  closed: { stroke: "#5d4037", strokeWidth: 3 },
+  glazed: { stroke: "#42a5f5", strokeWidth: 3 },
+};
+
+// Checks if a line is part of a wall drawn with the wall tool
+const isWallLine = (obj) => obj?.type === "line" && (obj.isWallLine || obj.startCircle || obj.endCircle);
+
+// Redraws every camera's coverage after an opening changes
+const refreshCameraCoverage = (fabricCanvas) => {
+  fabricCanvas.getObjects("group").forEach((obj) => obj.coverageConfig && obj.createOrUpdateCoverageArea && obj.createOrUpdateCoverageArea());
+  fabricCanvas.requestRenderAll();
+};
+
+// Runs canvas changes without recording them as separate undo steps
+const withoutUndo = (fn) => {
+  const wasExecuting = window.undoSystem ? window.undoSystem.isExecutingCommand : false;
+  if (window.undoSystem) window.undoSystem.isExecutingCommand = true;
+  try {
+    fn();
+  } finally {
+    if (window.undoSystem) window.undoSystem.isExecutingCommand = wasExecuting;
+  }
+};
+
+// Builds the plan symbol for one opening: a gap in the wall, the leaf and its swing arc
+const createOpeningSymbol = (fabricCanvas, wall, opening) => {
+  const pixelsPerMeter = fabricCanvas.pixelsPerMeter || DEFAULT_PIXELS_PER_METER;
+  const length = Math.hypot(wall.x2 - wall.x1, wall.y2 - wall.y1);
+  if (length < 1) return null;
+
+  const unit = { x: (wall.x2 - wall.x1) / length, y: (wall.y2 - wall.y1) / length };
+  const side = opening.flip ? -1 : 1;
+  const normal = { x: -unit.y * side, y: unit.x * side };
+  const half = Math.min((opening.width * pixelsPerMeter) / 2, length / 2);
+  const center = { x: wall.x1 + unit.x * opening.position * length, y: wall.y1 + unit.y * opening.position * length };
+  const hinge = { x: center.x - unit.x * half, y: center.y - unit.y * half };
+  const jamb = { x: center.x + unit.x * half, y: center.y + unit.y * half };
+  const swung = { x: hinge.x + normal.x * half * 2, y: hinge.y + normal.y * half * 2 };
+
+  const gap = new fabric.Line([hinge.x, hinge.y, jamb.x, jamb.y], { stroke: "#ffffff", strokeWidth: (wall.strokeWidth || 2) + 3 });
+  const leafEnd = opening.state === "open" ? swung : jamb;
+  const leaf = new fabric.Line([hinge.x, hinge.y, leafEnd.x, leafEnd.y], { ...LEAF_STYLES[opening.state], strokeLineCap: "round" });
+
+  const sweep = (jamb.x - hinge.x) * (swung.y - hinge.y) - (jamb.y - hinge.y) * (swung.x - hinge.x) > 0 ? 1 : 0;
+  const arc = new fabric.Path(`M ${jamb.x} ${jamb.y} A ${half * 2} ${half * 2} 0 0 ${sweep} ${swung.x} ${swung.y}`, {
+    fill: "",
+    stroke: opening.kind === "window" ? "#42a5f5" : "#5d4037",
+    strokeWidth: 1,
+    strokeDashArray: [4, 3],
+  });
+
+  const parts = [gap, arc, leaf];
+  // Windows show the glass line across the gap whatever their state
+  if (opening.kind === "window" && opening.state !== "glazed") parts.push(new fabric.Line([hinge.x, hinge.y, jamb.x, jamb.y], { stroke: "#42a5f5", strokeWidth: 1 }));
+
+  return new fabric.Group(parts, {
+    selectable: false,
+    evented: true,
+    hasControls: false,
+    hasBorders: false,
+    lockMovementX: true,
+    lockMovementY: true,
+    perPixelTargetFind: true,
+    hoverCursor: "pointer",
+    isWallOpening: true,
+    wallLine: wall,
+    openingId: opening.id,
+  });
+};
+
+// Takes a wall's opening symbols off the canvas
+const removeOpeningSymbols = (fabricCanvas, wall) => {
+  withoutUndo(() => (wall._openingSymbols || []).forEach((symbol) => fabricCanvas.remove(symbol)));
+  wall._openingSymbols = [];
+};
+
+// Redraws the opening symbols of a wall just above it
+export function refreshWallOpenings(fabricCanvas, wall) {
+  removeOpeningSymbols(fabricCanvas, wall);
+  const index = fabricCanvas.getObjects().indexOf(wall);
+  if (index === -1 || !wall.openings?.length) return fabricCanvas.requestRenderAll();
+
+  withoutUndo(() => {
+    wall._openingSymbols = wall.openings.map((opening) => createOpeningSymbol(fabricCanvas, wall, opening)).filter(Boolean);
+    wall._openingSymbols.forEach((symbol, i) => fabricCanvas.insertAt(symbol, index + 1 + i));
+  });
+  fabricCanvas.requestRenderAll();
+}
+
+// Keeps a wall's opening symbols in step when the wall is added, removed or its ends are dragged
+export function attachWallOpenings(fabricCanvas, wall) {
+  if (wall._openingHandlersAttached) return;
+  wall._openingHandlersAttached = true;
+
+  wall.on("added", () => refreshWallOpenings(fabricCanvas, wall));
+  wall.on("removed", () => removeOpeningSymbols(fabricCanvas, wall));
+  [wall.startCircle, wall.endCircle].filter(Boolean).forEach((circle) => {
+    circle.on("moving", () => wall.openings?.length && refreshWallOpenings(fabricCanvas, wall));
+  });
+}
+
+// Finds the opening a symbol stands for
+export const getOpeningForSymbol = (symbol) => symbol?.wallLine?.openings?.find((opening) => opening.id === symbol.openingId) || null;
+
+// Changes an opening's settings and redraws it and the camera coverage
+export function updateWallOpening(fabricCanvas, symbol, changes) {
+  const opening = getOpeningForSymbol(symbol);
+  if (!opening) return;
+  Object.assign(opening, changes);
+  refreshWallOpenings(fabricCanvas, symbol.wallLine);
+  refreshCameraCoverage(fabricCanvas);
+}
+
+// Removes an opening from its wall
+export function removeWallOpening(fabricCanvas, symbol) {
+  const wall = symbol?.wallLine;
+  if (!wall?.openings) return;
+  wall.openings = wall.openings.filter((opening) => opening.id !== symbol.openingId);
+  refreshWallOpenings(fabricCanvas, wall);
+  refreshCameraCoverage(fabricCanvas);
+}
+
+// Finds the wall nearest a point and how far along it the point lies
+const findWallAt = (fabricCanvas, point) => {
+  const maxDistance = WALL_PICK_DISTANCE / (fabricCanvas.getZoom() || 1);
+  let best = null;
+
+  fabricCanvas.getObjects("line").forEach((line) => {
+    if (!isWallLine(line)) return;
+    const dx = line.x2 - line.x1;
+    const dy = line.y2 - line.y1;
+    const lengthSq = dx * dx + dy * dy;
+    if (!lengthSq) return;
+    const position = Math.max(0, Math.min(1, ((point.x - line.x1) * dx + (point.y - line.y1) * dy) / lengthSq));
+    const dist = Math.hypot(point.x - (line.x1 + dx * position), point.y - (line.y1 + dy * position));
+    if (dist <= maxDistance && (!best || dist < best.dist)) best = { wall: line, position, dist };
+  });
+
+  return best;
+};
+
+// Sets up the door and window tools that place openings on walls
+export function setupWallOpeningTools(fabricCanvas) {
+  // Places an opening of the given kind on the clicked wall
+  const placeOpening = (kind) => (e) => {
+    e.e.preventDefault();
+    e.e.stopPropagation();
+
+    const pointer = fabricCanvas.getPointer(e.e);
+    const hit = findWallAt(fabricCanvas, pointer);
+    if (!hit) return;
+
+    const { wall, position } = hit;
+    const pixelsPerMeter = fabricCanvas.pixelsPerMeter || DEFAULT_PIXELS_PER_METER;
+    const lengthMeters = Math.hypot(wall.x2 - wall.x1, wall.y2 - wall.y1) / pixelsPerMeter;
+    const width = Math.min(OPENING_DEFAULTS[kind].width, lengthMeters);
+    // Keep the opening inside the wall's ends
+    const halfRatio = lengthMeters ? width / 2 / lengthMeters : 0;
+
+    wall.openings = [
+      ...(wall.openings || []),
+      {
+        id: `opening_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+        kind,
+        position: Math.max(halfRatio, Math.min(1 - halfRatio, position)),
+        width,
+        state: OPENING_DEFAULTS[kind].state,
+        flip: false,
+      },
+    ];
+
+    attachWallOpenings(fabricCanvas, wall);
+    refreshWallOpenings(fabricCanvas, wall);
+    refreshCameraCoverage(fabricCanvas);
+    stopCurrentTool();
+  };
+
+  [
+    ["add-door-btn", "door"],
+    ["add-window-btn", "window"],
+  ].forEach(([id, kind]) => {
+    document.getElementById(id)?.addEventListener("click", () => {
+      closeSidebar();
+      startTool(fabricCanvas, kind, placeOpening(kind));
+    });
+  });
+}
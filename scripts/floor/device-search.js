@@ -0,0 +1,239 @@
+// Project-wide device search: finds devices on any floor and jumps the view to them
+import { isPointInPolygon } from "../sidebar/sidebar-utils.js";
+import { closeSidebar } from "../drawing/drawing-utils.js";
+
+// Most results listed at once
+const MAX_RESULTS = 50;
+// Zoom used when jumping to a device from further out
+const JUMP_ZOOM = 1.5;
+// Wait this long after the last keystroke before searching
+const SEARCH_DELAY = 150;
+
+// Checks if an object is a device that can be searched for
+const isSearchableDevice = (obj) => obj?.type === "group" && obj.deviceType && obj.textObject && obj.deviceType !== "title-block";
+
+// Turns an icon file name into a readable type (e.g. "ptz-camera.png" to "Ptz Camera")
+const formatDeviceType = (deviceType) =>
+  String(deviceType || "Device")
+    .split(/[/\\]/)
+    .pop()
+    .replace(/\.[a-z]+$/i, "")
+    .split(/[-_\s]+/)
+    .filter(Boolean)
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(" ");
+
+// Gets the name of the first area whose polygon holds a point
+const findAreaName = (point, areas, getName) => {
+  const area = (areas || []).find((entry) => entry?.polygon?.points && isPointInPolygon(point, entry.polygon));
+  return area ? getName(area) : "";
+};
+
+// Builds a search entry from a device on the canvas
+const createLiveEntry = (obj, floor, floorName) => {
+  const center = obj.getCenterPoint();
+  return {
+    floor,
+    floorName,
+    id: obj.id || null,
+    object: obj,
+    center: { x: center.x, y: center.y },
+    name: obj.textObject.text || "Unnamed Device",
+    type: formatDeviceType(obj.deviceType),
+    partNumber: obj.partNumber || "",
+    ipAddress: obj.ipAddress || "",
+    macAddress: obj.macAddress || "",
+    zone: findAreaName(center, window.zones, (zone) => zone.polygon.zoneName || "Zone"),
+    room: findAreaName(center, window.rooms, (room) => room.polygon.roomName || room.roomName || "Room"),
+  };
+};
+
+// Builds a search entry from a device saved on another floor
+const createSavedEntry = (deviceData, floor, floorData) => {
+  const center = { x: deviceData.position?.centerX ?? deviceData.position?.left ?? 0, y: deviceData.position?.centerY ?? deviceData.position?.top ?? 0 };
+  const props = deviceData.deviceProperties || {};
+  return {
+    floor,
+    floorName: floorData.name || `Floor ${floor}`,
+    id: deviceData.id || null,
+    object: null,
+    center,
+    name: deviceData.textLabel?.text || "Unnamed Device",
+    type: formatDeviceType(deviceData.deviceType),
+    partNumber: props.partNumber || "",
+    ipAddress: props.ipAddress || "",
+    macAddress: props.macAddress || "",
+    zone: findAreaName(center, floorData.drawing?.zones, (zone) => zone.zoneName || "Zone"),
+    room: findAreaName(center, floorData.drawing?.rooms, (room) => room.roomName || "Room"),
+  };
+};
+
+// Lists every device in the project, reading the live canvas for the current floor and saved state for the rest
+export function buildDeviceIndex(fabricCanvas, floorManager = window.floorManager) {
+  const currentFloor = floorManager?.getCurrentFloor() ?? 1;
+  const currentName = floorManager?.floors.get(currentFloor)?.name || `Floor ${currentFloor}`;
+  const entries = fabricCanvas
+    .getObjects()
+    .filter(isSearchableDevice)
+    .map((obj) => createLiveEntry(obj, currentFloor, currentName));
+
+  (floorManager?.getFloorList() || []).forEach((floor) => {
+    if (floor === currentFloor) return;
+    const floorData = floorManager.floors.get(floor);
+    (floorData?.cameras?.cameraDevices || [])
+      .filter((deviceData) => deviceData?.deviceType && deviceData.deviceType !== "title-block" && deviceData.textLabel)
+      .forEach((deviceData) => entries.push(createSavedEntry(deviceData, floor, floorData)));
+  });
+  return entries;
+}
+
+// Fields a query is matched against
+const SEARCH_FIELDS = ["name", "type", "partNumber", "ipAddress", "macAddress", "zone", "room"];
+
+// Strips MAC address separators so "00:1A:2B" also matches "001a2b"
+const compactMac = (value) => value.replace(/[:\-.\s]/g, "");
+
+// Finds devices matching every word of a query, best name matches first
+export function searchDevices(entries, query) {
+  const terms = String(query || "")
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(Boolean);
+  if (!terms.length) return [];
+
+  const matchesTerm = (entry, term) =>
+    SEARCH_FIELDS.some((field) => {
+      const value = String(entry[field] || "").toLowerCase();
+      return value.includes(term) || (field === "macAddress" && value && compactMac(value).includes(compactMac(term)));
+    });
+  const rank = (entry) => {
+    const name = entry.name.toLowerCase();
+    if (name === terms.join(" ")) return 0;
+    if (name.startsWith(terms[0])) return 1;
+    return terms.every((term) => name.includes(term)) ? 2 : 3;
+  };
+
+  return entries
+    .filter((entry) => terms.every((term) => matchesTerm(entry, term)))
+    .sort((a, b) => rank(a) - rank(b) || a.name.localeCompare(b.name, undefined, { numeric: true }) || a.floor - b.floor);
+}
+
+// Finds the canvas object for a search entry once its floor is showing
+const findDeviceObject = (fabricCanvas, entry) => {
+  const devices = fabricCanvas.getObjects().filter(isSearchableDevice);
+  if (entry.object && devices.includes(entry.object)) return entry.object;
+  if (entry.id) {
+    const byId = devices.find((obj) => obj.id === entry.id);
+    if (byId) return byId;
+  }
+  // Fall back to the same name at the same spot
+  return devices.find((obj) => {
+    const center = obj.getCenterPoint();
+    return obj.textObject.text === entry.name && Math.hypot(center.x - entry.center.x, center.y - entry.center.y) < 1;
+  });
+};
+
+// Centres the view on a point, zooming in if the view is further out than the jump zoom
+const centerViewOn = (fabricCanvas, point) => {
+  const zoom = Math.min(10, Math.max(fabricCanvas.getZoom(), JUMP_ZOOM));
+  fabricCanvas.setViewportTransform([zoom, 0, 0, zoom, fabricCanvas.getWidth() / 2 - point.x * zoom, fabricCanvas.getHeight() / 2 - point.y * zoom]);
+  if (typeof window.updateZoomDisplay === "function") window.updateZoomDisplay();
+};
+
+// Switches to a device's floor, centres the view on it, selects it and opens its popover
+export async function jumpToDevice(fabricCanvas, entry, floorManager = window.floorManager) {
+  if (floorManager && entry.floor !== floorManager.getCurrentFloor()) {
+    // Resolves once the new floor has finished loading and tidying up, so the selection below sticks
+    const switched = await floorManager.switchToFloor(entry.floor);
+    if (!switched) return false;
+  }
+
+  const device = findDeviceObject(fabricCanvas, entry);
+  if (!device) {
+    floorManager?.showNotification(`Could not find ${entry.name} on ${entry.floorName}`, false);
+    return false;
+  }
+
+  centerViewOn(fabricCanvas, device.getCenterPoint());
+  fabricCanvas.discardActiveObject();
+  // Selecting fires the device's selected handler, which opens its popover
+  fabricCanvas.setActiveObject(device);
+  fabricCanvas.requestRenderAll();
+  return true;
+}
+
+// Sets up the device search box and its results list
+export function initDeviceSearch(fabricCanvas) {
+  const input = document.getElementById("device-search-input");
+  const resultsList = document.getElementById("device-search-results");
+  const status = document.getElementById("device-search-status");
+  if (!input || !resultsList) return;
+
+  let searchTimer = null;
+
+  // Builds one clickable result row
+  const createResultItem = (entry) => {
+    const item = document.createElement("button");
+    item.type = "button";
+    item.className = "list-group-item list-group-item-action py-1 px-2";
+
+    const name = document.createElement("div");
+    name.className = "fw-semibold";
+    name.textContent = entry.name;
+
+    const details = document.createElement("small");
+    details.className = "d-block text-muted";
+    details.textContent = [entry.floorName, entry.type, entry.zone, entry.room, entry.ipAddress].filter(Boolean).join(" · ");
+
+    item.append(name, details);
+    item.addEventListener("click", async (e) => {
+      e.stopPropagation();
+      try {
+        closeSidebar();
+        await jumpToDevice(fabricCanvas, entry);
+      } catch (error) {
+        console.error("Error jumping to device:", error);
+        alert("Error jumping to device. Please try again.");
+      }
+    });
+    return item;
+  };
+
+  // Lists the devices matching the current query
+  const runSearch = () => {
+    searchTimer = null;
+    resultsList.innerHTML = "";
+    const query = input.value.trim();
+    if (!query) {
+      if (status) status.textContent = "";
+      return;
+    }
+
+    const matches = searchDevices(buildDeviceIndex(fabricCanvas), query);
+    matches.slice(0, MAX_RESULTS).forEach((entry) => resultsList.appendChild(createResultItem(entry)));
+    if (status) {
+      if (!matches.length) status.textContent = "No devices found";
+      else if (matches.length > MAX_RESULTS) status.textContent = `Showing ${MAX_RESULTS} of ${matches.length} devices`;
+      else status.textContent = `${matches.length} device${matches.length === 1 ? "" : "s"} found`;
+    }
+  };
+
+  input.addEventListener("input", () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(runSearch, SEARCH_DELAY);
+  });
+  input.addEventListener("keydown", (e) => {
+    e.stopPropagation();
+    // Enter jumps straight to the best match
+    if (e.key === "Enter") {
+      e.preventDefault();
+      if (searchTimer) {
+        clearTimeout(searchTimer);
+        runSearch();
+      }
+      resultsList.querySelector("button")?.click();
+    }
+  });
+  // Floors may have changed since the last search, so refresh the list when coming back to it
+  input.addEventListener("focus", () => input.value.trim() && runSearch());
+}
@@ -1,4 +1,6 @@
 // floor-manager.js - Optimized Multi-Floor System
+import { setSiteLocation } from "../background/site-location.js";
+
 export class FloorManager {
   constructor(fabricCanvas, enhancedSaveSystem) {
     this.fabricCanvas = fabricCanvas;
@@ -29,6 +31,9 @@ export class FloorManager {
       globalBoldText: false,
       globalCompleteDeviceIndicator: true,
       defaultDeviceIconSize: 30,
+      namingTemplates: null,
+      deviceStatusStyles: null,
+      customFieldSchema: null,
     };
     const booleanKeys = new Set(["globalIconTextVisible", "globalTextBackground", "globalBoldText", "globalCompleteDeviceIndicator"]);
     return Object.keys(defaults).reduce((settings, key) => {
@@ -44,7 +49,7 @@ export class FloorManager {
   // Pulls out only the global settings from saved data
   extractGlobalSettings(settings = {}) {
     const booleanKeys = new Set(["globalIconTextVisible", "globalTextBackground", "globalBoldText", "globalCompleteDeviceIndicator"]);
-    const validKeys = ["globalIconTextVisible", "globalDeviceColor", "globalTextColor", "globalFont", "globalTextBackground", "globalBoldText", "globalCompleteDeviceIndicator", "defaultDeviceIconSize"];
+    const validKeys = ["globalIconTextVisible", "globalDeviceColor", "globalTextColor", "globalFont", "globalTextBackground", "globalBoldText", "globalCompleteDeviceIndicator", "defaultDeviceIconSize", "globalTargetHeight", "namingTemplates", "deviceStatusStyles", "customFieldSchema"];
     return validKeys.reduce((extracted, key) => {
       if (settings[key] !== undefined) {
         extracted[key] = booleanKeys.has(key) ? !!settings[key] : settings[key];
@@ -189,8 +194,7 @@ export class FloorManager {
       cameras: cameraData,
       drawing: drawingData,
       background: backgroundData,
-      settings: { pixelsPerMeter: this.fabricCanvas.pixelsPerMeter || 17.5, zoom: this.fabricCanvas.getZoom(), viewportTransform: [...this.fabricCanvas.viewportTransform], defaultDeviceIconSize: window.defaultDeviceIconSize || 30, ...this.getCurrentGlobalSettings() },
-      counters: { cameraCounter: window.cameraCounter || 1, deviceCounter: window.deviceCounter || 1 },
+      settings: { pixelsPerMeter: this.fabricCanvas.pixelsPerMeter || 17.5, siteLocation: this.fabricCanvas.siteLocation || null, zoom: this.fabricCanvas.getZoom(), viewportTransform: [...this.fabricCanvas.viewportTransform], defaultDeviceIconSize: window.defaultDeviceIconSize || 30, ...this.getCurrentGlobalSettings() },
       globalState: { zones: window.zones || [], rooms: window.rooms || [] },
     };
   }
@@ -305,11 +309,10 @@ export class FloorManager {
   // Creates a new empty floor
   createNewFloor(floorNumber) {
     const emptyFloorState = {
-      cameras: { cameraDevices: [], counters: { cameraCounter: 1, deviceCounter: 1 }, canvasSettings: { pixelsPerMeter: 17.5, zoom: 1, viewportTransform: [1, 0, 0, 1, 0, 0] } },
+      cameras: { cameraDevices: [], canvasSettings: { pixelsPerMeter: 17.5, zoom: 1, viewportTransform: [1, 0, 0, 1, 0, 0] } },
       drawing: { drawingObjects: [], zones: [], rooms: [], walls: { circles: [], lines: [] }, titleblocks: [], canvasSettings: { pixelsPerMeter: 17.5, zoom: 1, viewportTransform: [1, 0, 0, 1, 0, 0] }, globalState: { zonesArray: [], roomsArray: [] } },
       background: null,
-      settings: { pixelsPerMeter: 17.5, zoom: 1, viewportTransform: [1, 0, 0, 1, 0, 0], defaultDeviceIconSize: 30, ...this.getCurrentGlobalSettings() },
-      counters: { cameraCounter: 1, deviceCounter: 1 },
+      settings: { pixelsPerMeter: 17.5, siteLocation: null, zoom: 1, viewportTransform: [1, 0, 0, 1, 0, 0], defaultDeviceIconSize: 30, ...this.getCurrentGlobalSettings() },
       globalState: { zones: [], rooms: [] },
       floorNumber: floorNumber,
       lastModified: Date.now(),
@@ -340,7 +343,7 @@ export class FloorManager {
     });
     this.fabricCanvas.discardActiveObject();
     this.fabricCanvas.clear();
-    Object.assign(window, { cameraCounter: 1, deviceCounter: 1, zones: [], rooms: [] });
+    Object.assign(window, { zones: [], rooms: [] });
     if (window.layers)
       Object.keys(window.layers).forEach((layerName) => {
         window.layers[layerName].objects = [];
@@ -352,7 +355,7 @@ export class FloorManager {
   async loadFloorState(floorData) {
     try {
       this.applyFloorSettings(floorData.settings);
-      this.restoreCountersAndGlobalState(floorData);
+      this.restoreGlobalState(floorData);
       await this.loadBackground(floorData.background);
       await this.delay(100);
       if (floorData.drawing) {
@@ -362,7 +365,7 @@ export class FloorManager {
       await this.loadDevicesWithCoverage(floorData.cameras);
       await this.loadTopologyConnections(floorData);
       if (window.initCanvasLayers) window.initCanvasLayers(this.fabricCanvas);
-      this.scheduleFinalCleanup(floorData);
+      await this.scheduleFinalCleanup(floorData);
     } catch (error) {
       console.error("Error loading floor state:", error);
       throw error;
@@ -374,6 +377,7 @@ export class FloorManager {
     if (!settings) return;
     const { pixelsPerMeter, zoom, viewportTransform, defaultDeviceIconSize } = settings;
     this.fabricCanvas.pixelsPerMeter = pixelsPerMeter || 17.5;
+    setSiteLocation(this.fabricCanvas, settings.siteLocation);
     window.defaultDeviceIconSize = defaultDeviceIconSize || 30;
 
     // Apply ALL global settings from the floor data
@@ -404,9 +408,8 @@ export class FloorManager {
     if (Array.isArray(viewportTransform)) this.fabricCanvas.setViewportTransform(viewportTransform);
   }
 
-  // Restores counters and global state from saved data
-  restoreCountersAndGlobalState(floorData) {
-    if (floorData.counters) Object.assign(window, floorData.counters);
+  // Restores global state from saved data
+  restoreGlobalState(floorData) {
     if (floorData.globalState) {
       window.zones = floorData.globalState.zones || [];
       window.rooms = floorData.globalState.rooms || [];
@@ -484,9 +487,9 @@ export class FloorManager {
     }
   }
 
-  // Runs cleanup tasks after loading a floor
+  // Runs cleanup tasks after loading a floor, resolving once they are done
   scheduleFinalCleanup(floorData) {
-    setTimeout(() => {
+    return this.delay(300).then(() => {
       this.cleanupOrphanedResizeIcons();
       this.forceHideAllResizeIcons();
       this.setupDeferredEventHandlers();
@@ -495,7 +498,7 @@ export class FloorManager {
       if (typeof window.updateZoomDisplay === "function") window.updateZoomDisplay();
       if (window.pendingGlobalSettings && window.globalSettingsAPI?.applySettingsFromSave) window.globalSettingsAPI.applySettingsFromSave(window.pendingGlobalSettings);
       this.fabricCanvas.requestRenderAll();
-    }, 300);
+    });
   }
 
   // Hides all resize icons on devices
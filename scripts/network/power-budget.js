@@ -0,0 +1,203 @@
+// Power budget: PoE and DC loads summed onto the switches and panels that supply them
+
+// Power a PSE port must reserve for each PoE class, in watts (IEEE 802.3af/at/bt)
+export const POE_CLASS_WATTS = {
+  0: 15.4,
+  1: 4,
+  2: 7,
+  3: 15.4,
+  4: 30,
+  5: 45,
+  6: 60,
+  7: 75,
+  8: 90,
+};
+
+// Outline drawn round a supply that is over budget
+const OVER_BUDGET_STROKE = { stroke: "#dc3545", strokeWidth: 3 };
+
+// Gets a device's PoE and DC draw; typed watts take priority over the PoE class
+export function getDevicePowerDraw(device) {
+  const watts = parseFloat(device?.poeWatts);
+  const poeWatts = watts > 0 ? watts : POE_CLASS_WATTS[device?.poeClass] || 0;
+  const dcCurrent = parseFloat(device?.dcCurrent);
+  return { poeWatts, dcAmps: dcCurrent > 0 ? dcCurrent : 0, dcVoltage: device?.dcVoltage || "" };
+}
+
+// Gets the PoE (W) and DC (A) budgets a device can supply
+const getSupplyBudget = (device) => {
+  const poe = parseFloat(device?.poeBudget);
+  const dc = parseFloat(device?.dcBudget);
+  return { poeBudget: poe > 0 ? poe : 0, dcBudget: dc > 0 ? dc : 0 };
+};
+
+// Checks if a device has a PoE or DC budget, making it a power supply
+export const isPowerSupply = (device) => {
+  const { poeBudget, dcBudget } = getSupplyBudget(device);
+  return poeBudget > 0 || dcBudget > 0;
+};
+
+// Sums each device's draw onto the nearest connected supply with a budget of that kind
+// findNearest(device, isMatch, canPassThrough) walks the connections out from a device; getName labels each supply
+const sumPowerBudgets = (devices, findNearest, getName) => {
+  const budgets = new Map(
+    devices.filter(isPowerSupply).map((supply) => [supply, { supply, name: getName(supply), ...getSupplyBudget(supply), loads: [], poeWatts: 0, dcAmps: 0 }])
+  );
+
+  // Power is carried through cabling and unbudgeted kit, never through another supply
+  const findSupply = (device, key) => findNearest(device, (other) => getSupplyBudget(other)[key] > 0, (other) => !isPowerSupply(other));
+
+  devices.forEach((device) => {
+    const draw = getDevicePowerDraw(device);
+    [
+      ["poeBudget", "poeWatts", draw.poeWatts],
+      ["dcBudget", "dcAmps", draw.dcAmps],
+    ].forEach(([budgetKey, loadKey, amount]) => {
+      if (!amount) return;
+      const budget = budgets.get(findSupply(device, budgetKey));
+      if (!budget) return;
+      budget[loadKey] += amount;
+      const load = budget.loads.find((entry) => entry.device === device);
+      if (load) load[loadKey] = amount;
+      else budget.loads.push({ device, poeWatts: 0, dcAmps: 0, dcVoltage: draw.dcVoltage, [loadKey]: amount });
+    });
+  });
+
+  return [...budgets.values()].map((budget) => ({
+    ...budget,
+    overPoe: budget.poeBudget > 0 && budget.poeWatts > budget.poeBudget,
+    overDc: budget.dcBudget > 0 && budget.dcAmps > budget.dcBudget,
+  }));
+};
+
+// Works out the budgets of every supply on the canvas from the live topology
+export function calculatePowerBudgets(fabricCanvas, topologyManager = window.topologyManager) {
+  const devices = fabricCanvas.getObjects().filter((obj) => obj.type === "group" && obj.deviceType);
+  return sumPowerBudgets(
+    devices,
+    (device, isMatch, canPassThrough) => topologyManager?.findNearestConnectedDevice?.(device, isMatch, canPassThrough),
+    (supply) => supply.textObject?.text || "Supply"
+  );
+}
+
+// Works out the budgets on a saved floor from its devices and connections, for floors not on the canvas
+// Supplies and loads are the saved device properties, each with its id and label name
+export function calculateSavedPowerBudgets(floorData) {
+  const devices = (floorData?.cameras?.cameraDevices || [])
+    .filter((deviceData) => deviceData?.deviceType)
+    .map((deviceData) => ({ ...(deviceData.deviceProperties || {}), id: deviceData.id, name: deviceData.textLabel?.text || "Supply" }));
+  const byId = new Map(devices.map((device) => [device.id, device]));
+
+  const neighbours = new Map();
+  const link = (a, b) => {
+    if (!neighbours.has(a)) neighbours.set(a, []);
+    neighbours.get(a).push(b);
+  };
+  const connections = floorData?.drawing?.topology || floorData?.topology;
+  (Array.isArray(connections) ? connections : []).forEach((connection) => {
+    const device1 = byId.get(connection?.device1Id);
+    const device2 = byId.get(connection?.device2Id);
+    if (!device1 || !device2) return;
+    link(device1, device2);
+    link(device2, device1);
+  });
+
+  // Same walk as the topology manager's, over the saved connections
+  const findNearest = (device, isMatch, canPassThrough) => {
+    const visited = new Set([device]);
+    let frontier = [device];
+    while (frontier.length) {
+      const next = [];
+      for (const current of frontier) {
+        for (const neighbour of neighbours.get(current) || []) {
+          if (visited.has(neighbour)) continue;
+          visited.add(neighbour);
+          if (isMatch(neighbour)) return neighbour;
+          if (canPassThrough(neighbour)) next.push(neighbour);
+        }
+      }
+      frontier = next;
+    }
+    return null;
+  };
+
+  return sumPowerBudgets(devices, findNearest, (supply) => supply.name);
+}
+
+// Checks if a power budget has been exceeded
+export const isOverBudget = (budget) => !!(budget?.overPoe || budget?.overDc);
+
+// Describes what a supply has exceeded, if anything
+export function getPowerWarnings(budget) {
+  const warnings = [];
+  if (budget?.overPoe) warnings.push(`PoE load ${budget.poeWatts.toFixed(1)} W exceeds the ${budget.poeBudget} W budget`);
+  if (budget?.overDc) warnings.push(`DC load ${budget.dcAmps.toFixed(2)} A exceeds the ${budget.dcBudget} A supply`);
+  return warnings;
+}
+
+// Finds the budgets a device supplies or draws from
+export function getPowerBudgetsFor(device) {
+  if (!device?.canvas) return [];
+  return calculatePowerBudgets(device.canvas).filter((budget) => budget.supply === device || budget.loads.some((load) => load.device === device));
+}
+
+// Outlines every supply that is over budget in red and clears the outline from the rest
+export function updatePowerBudgetHighlights(fabricCanvas) {
+  const overBudget = new Set(calculatePowerBudgets(fabricCanvas).filter(isOverBudget).map((budget) => budget.supply));
+
+  fabricCanvas.getObjects().forEach((obj) => {
+    if (obj.type !== "group" || !obj.deviceType) return;
+    const isOver = overBudget.has(obj);
+    if (!!obj.isOverPowerBudget === isOver) return;
+    obj.isOverPowerBudget = isOver;
+    const circle = obj.getObjects?.().find((child) => child.type === "circle");
+    if (!circle) return;
+    if (isOver) {
+      obj.powerBudgetOriginalStroke = { stroke: circle.stroke, strokeWidth: circle.strokeWidth };
+      circle.set(OVER_BUDGET_STROKE);
+    } else {
+      circle.set(obj.powerBudgetOriginalStroke || { stroke: null, strokeWidth: 1 });
+    }
+    obj.dirty = true;
+  });
+  fabricCanvas.requestRenderAll();
+}
+
+// Builds CSV rows summarising every supply's budget and load, floor by floor, under a section title
+// floorBudgets is a list of { floorName, budgets }
+export function generatePowerBudgetCSV(floorBudgets, title = "Power Budget") {
+  const rows = [];
+  const quote = (value) => `"${String(value ?? "").replace(/"/g, '""')}"`;
+  floorBudgets.forEach(({ floorName, budgets }) =>
+    budgets.forEach((budget) =>
+      rows.push(
+        [
+          quote(floorName),
+          quote(budget.name),
+          budget.poeBudget || "",
+          budget.poeWatts.toFixed(1),
+          budget.dcBudget || "",
+          budget.dcAmps.toFixed(2),
+          budget.loads.length,
+          quote(isOverBudget(budget) ? getPowerWarnings(budget).join("; ") : "OK"),
+        ].join(",")
+      )
+    )
+  );
+  if (!rows.length) return "";
+  return [quote(title), "Floor,Supply,PoE Budget (W),PoE Load (W),DC Supply (A),DC Load (A),Powered Devices,Status", ...rows].join("\n") + "\n";
+}
+
+// Keeps the over-budget outlines in step with connections and deletions
+export function initPowerBudget(fabricCanvas) {
+  let updateTimer = null;
+  const scheduleUpdate = () => {
+    clearTimeout(updateTimer);
+    updateTimer = setTimeout(() => updatePowerBudgetHighlights(fabricCanvas), 100);
+  };
+
+  ["topology:connection-created", "topology:connection-removed"].forEach((eventName) => document.addEventListener(eventName, scheduleUpdate));
+  fabricCanvas.on("object:removed", (e) => e.target?.type === "group" && e.target.deviceType && scheduleUpdate());
+
+  return { scheduleUpdate };
+}
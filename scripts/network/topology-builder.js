@@ -2,6 +2,7 @@
 // Requires Fabric.js loaded globally and window.topologyManager available
 
 import { getPrintInputs, proceedWithPrint } from "../export/canvas-print.js";
+import { updatePowerBudgetHighlights } from "./power-budget.js";
 
 // Sets up the topology builder modal and canvas
 function initTopologyBuilder(mainCanvas) {
@@ -139,6 +140,8 @@ function initTopologyBuilder(mainCanvas) {
 
     // Get all devices from the main canvas
     const allDevices = mainCanvas.getObjects().filter((o) => o.type === "group" && o.deviceType);
+    // Refresh power budget flags so over-budget supplies are outlined in the topology too
+    updatePowerBudgetHighlights(mainCanvas);
 
     // Get connections first to determine which devices have links
     const topologyMgr = window.topologyManager;
@@ -414,6 +417,7 @@ function initTopologyBuilder(mainCanvas) {
   // Creates a device clone for the topology view
   function makeNodeClone(device, x, y, margins) {
     const circle = new fabric.Circle({ radius: 18, fill: "#f8794b", originX: "center", originY: "center" });
+    if (device.isOverPowerBudget) circle.set({ stroke: "#dc3545", strokeWidth: 3 });
     const img = getGroupImage(device);
     const groupChildren = [circle];
     if (img) groupChildren.push(img);
@@ -339,6 +339,57 @@ export class TopologyManager {
     channels.push(connection.id);
   }
 
+  // Gets the ids of the panels wired directly to any of the devices
+  getPanelsWiredTo(devices) {
+    const panelIds = new Set();
+    this.connections.forEach((connection) => {
+      const panelDeviceId = connection.properties?.panelDeviceId;
+      if (panelDeviceId && (devices.includes(connection.device1) || devices.includes(connection.device2))) panelIds.add(panelDeviceId);
+    });
+    return [...panelIds];
+  }
+
+  // Records the channel order and numbers of some panels, e.g. so undo can put them back
+  getPanelChannelState(panelIds) {
+    return panelIds
+      .filter((panelDeviceId) => this.panelChannels.has(panelDeviceId))
+      .map((panelDeviceId) => {
+        const connectionIds = [...this.panelChannels.get(panelDeviceId)];
+        return { panelDeviceId, connectionIds, channels: connectionIds.map((id) => this.connections.get(id)?.properties.channel ?? null) };
+      });
+  }
+
+  // Works out the channel state that numbers each panel's channels in order of the wired devices' names
+  // getName lets a caller sort by names it is about to give devices
+  getPanelChannelStateByName(panelIds, getName = (device) => device?.textObject?.text || "") {
+    return this.getPanelChannelState(panelIds).map(({ panelDeviceId, connectionIds }) => {
+      const getOtherName = (id) => {
+        const connection = this.connections.get(id);
+        if (!connection) return "";
+        return getName(this.getDeviceId(connection.device1) === panelDeviceId ? connection.device2 : connection.device1);
+      };
+      const sorted = [...connectionIds].sort((a, b) => getOtherName(a).localeCompare(getOtherName(b), undefined, { numeric: true }));
+      return { panelDeviceId, connectionIds: sorted, channels: sorted.map((id, index) => index + 1) };
+    });
+  }
+
+  // Applies channel order and numbers recorded by getPanelChannelState
+  applyPanelChannelState(state) {
+    state.forEach(({ panelDeviceId, connectionIds, channels }) => {
+      this.panelChannels.set(
+        panelDeviceId,
+        connectionIds.filter((id) => this.connections.has(id))
+      );
+      connectionIds.forEach((id, index) => {
+        const connection = this.connections.get(id);
+        if (!connection || connection.properties.channel === channels[index]) return;
+        connection.properties.channel = channels[index];
+        this.renderConnection(connection);
+      });
+    });
+    this.fabricCanvas.requestRenderAll();
+  }
+
   areCategoriesCompatible(categoryA, categoryB) {
     if (!categoryA || !categoryB) return true;
     if (categoryA === categoryB) return true;
@@ -1144,6 +1195,13 @@ export class TopologyManager {
 
     this.connections.delete(connectionId);
     this.fabricCanvas.requestRenderAll();
+
+    // Notify other systems
+    document.dispatchEvent(
+      new CustomEvent("topology:connection-removed", {
+        detail: { connection },
+      })
+    );
   }
 
   // Removes connection by ID (for compatibility)
@@ -1405,6 +1463,38 @@ export class TopologyManager {
     return this.fabricCanvas.getObjects().find((obj) => obj.type === "group" && obj.deviceType && this.getDeviceId(obj) === deviceId);
   }
 
+  // Finds the matching device the fewest links away, only walking on through devices canPassThrough allows
+  findNearestConnectedDevice(device, isMatch, canPassThrough = () => true) {
+    const neighbours = new Map();
+    const link = (a, b) => {
+      if (!neighbours.has(a)) neighbours.set(a, []);
+      neighbours.get(a).push(b);
+    };
+    this.connections.forEach((connection) => {
+      const device1 = connection.device1 || this.findDeviceById(connection.device1Id);
+      const device2 = connection.device2 || this.findDeviceById(connection.device2Id);
+      if (!device1 || !device2) return;
+      link(device1, device2);
+      link(device2, device1);
+    });
+
+    const visited = new Set([device]);
+    let frontier = [device];
+    while (frontier.length) {
+      const next = [];
+      for (const current of frontier) {
+        for (const neighbour of neighbours.get(current) || []) {
+          if (visited.has(neighbour)) continue;
+          visited.add(neighbour);
+          if (isMatch(neighbour)) return neighbour;
+          if (canPassThrough(neighbour)) next.push(neighbour);
+        }
+      }
+      frontier = next;
+    }
+    return null;
+  }
+
   // Attaches move tracking to a device
   attachTrackingForDevice(device) {
     if (!device || this.trackedDevices.has(device)) return;
@@ -26,10 +26,6 @@ class CameraDeviceSerializer {
 
     return {
       cameraDevices: devices,
-      counters: {
-        cameraCounter: window.cameraCounter || 1,
-        deviceCounter: window.deviceCounter || 1,
-      },
       canvasSettings: {
         pixelsPerMeter: this.fabricCanvas.pixelsPerMeter || 17.5,
         zoom: this.fabricCanvas.getZoom(),
@@ -69,13 +65,36 @@ class CameraDeviceSerializer {
           location: group.location || "",
           partNumber: group.partNumber || "",
           stockNumber: group.stockNumber || "",
+          deviceStatus: group.deviceStatus || "",
           ipAddress: group.ipAddress || "",
           subnetMask: group.subnetMask || "",
           gatewayAddress: group.gatewayAddress || "",
           macAddress: group.macAddress || "",
           focalLength: group.focalLength || "",
+          focalLengthMin: group.focalLengthMin || "",
+          focalLengthMax: group.focalLengthMax || "",
           sensorSize: group.sensorSize || "",
           resolution: group.resolution || "",
+          cameraModelId: group.cameraModelId || "",
+          cameraManufacturer: group.cameraManufacturer || "",
+          cameraModel: group.cameraModel || "",
+          irRange: group.irRange || "",
+          pixelPitch: group.pixelPitch || "",
+          recordingFps: group.recordingFps || "",
+          recordingCodec: group.recordingCodec || "",
+          bitrateMode: group.bitrateMode || "",
+          motionPercent: group.motionPercent ?? "",
+          retentionDays: group.retentionDays || "",
+          recorderStorage: group.recorderStorage || "",
+          recorderChannels: group.recorderChannels || "",
+          poeClass: group.poeClass || "",
+          poeWatts: group.poeWatts || "",
+          dcVoltage: group.dcVoltage || "",
+          dcCurrent: group.dcCurrent || "",
+          poeBudget: group.poeBudget || "",
+          dcBudget: group.dcBudget || "",
+          isOutdoor: !!group.isOutdoor,
+          customFields: { ...(group.customFields || {}) },
           // Check if label is hidden by checking group or text object
           labelHidden: group.labelHidden !== undefined ? !!group.labelHidden : group.textObject ? !!group.textObject._isHidden : false,
         },
@@ -206,14 +225,23 @@ class CameraDeviceSerializer {
           baseColor: group.coverageConfig.baseColor || null,
           edgeStyle: group.coverageConfig.edgeStyle || "solid",
           projectionMode: group.coverageConfig.projectionMode || "circular",
+          fisheyeProjection: group.coverageConfig.fisheyeProjection || "equidistant",
           aspectRatioMode: group.coverageConfig.aspectRatioMode || false,
+          showLensEnvelope: group.coverageConfig.showLensEnvelope !== false,
+          showIrRange: group.coverageConfig.showIrRange !== false,
+          thermalTarget: group.coverageConfig.thermalTarget,
           cameraHeight: group.coverageConfig.cameraHeight,
           cameraTilt: group.coverageConfig.cameraTilt,
+          targetHeight: group.coverageConfig.targetHeight,
           sideFOV: group.coverageConfig.sideFOV,
           verticalFOV: group.coverageConfig.verticalFOV,
           minRange: group.coverageConfig.minRange,
           maxRange: group.coverageConfig.maxRange,
           calculatedAngle: group.coverageConfig.calculatedAngle,
+          ptzPresets: (group.coverageConfig.ptzPresets || []).map((preset) => ({ ...preset })),
+          showPtzPresets: group.coverageConfig.showPtzPresets !== false,
+          showPanEnvelope: group.coverageConfig.showPanEnvelope || false,
+          sensorHeads: (group.coverageConfig.sensorHeads || []).map((head) => ({ ...head })),
         };
       }
 
@@ -228,7 +256,6 @@ class CameraDeviceSerializer {
   // Loads saved devices back onto the canvas
   async loadCameraDevices(serializedData) {
     try {
-      Object.assign(window, serializedData.counters || {});
       // Restore canvas settings like zoom level
       if (serializedData.canvasSettings) {
         const { pixelsPerMeter, zoom, viewportTransform } = serializedData.canvasSettings;
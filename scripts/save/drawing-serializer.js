@@ -1,4 +1,5 @@
 import { ObjectTypeUtils, SerializationUtils, StyleConfig, NotificationSystem, ProjectUI, DrawingUtils } from "./utils-save.js";
+import { attachWallOpenings } from "../drawing/wall-openings.js";
 
 class OptimizedDrawingObjectSerializer {
   constructor(fabricCanvas) {
@@ -89,6 +90,10 @@ class OptimizedDrawingObjectSerializer {
         if (obj.isConnectionLine) {
           props.isConnectionLine = true;
         }
+        // Save obstacle lines with their height so coverage can be blocked again on load
+        if (obj.isObstacle) {
+          Object.assign(props, { isObstacle: true, obstacleHeight: obj.obstacleHeight });
+        }
         return {
           ...baseData,
           drawingType: "line",
@@ -195,6 +200,7 @@ class OptimizedDrawingObjectSerializer {
             zoneNumber: p.zoneNumber || z.zoneNumber || "",
             zoneResistanceValue: p.zoneResistanceValue || z.zoneResistanceValue || "",
             zoneNotes: p.zoneNotes || "",
+            requiresRedundantCoverage: !!p.requiresRedundantCoverage,
             area: p.area || 0,
             height: p.height || 2.4,
             volume: p.volume || 0,
@@ -353,7 +359,7 @@ class OptimizedDrawingObjectSerializer {
             Object.assign(obj, { id: objectData.id });
             // Don't apply standard styling to connection lines - they need special properties preserved
             if (!obj.isConnectionLine) {
-              this.applyStandardStyling(obj);
+              this.applyStandardStyling(obj, obj.isObstacle ? false : null);
             }
             this.fabricCanvas.add(obj);
             resolve(obj);
@@ -406,6 +412,10 @@ class OptimizedDrawingObjectSerializer {
         if (properties.isConnectionLine) {
           lineProps.isConnectionLine = true;
         }
+        // Restore obstacle lines with their height
+        if (properties.isObstacle) {
+          Object.assign(lineProps, { isObstacle: true, obstacleHeight: properties.obstacleHeight, perPixelTargetFind: true, strokeLineCap: "round" });
+        }
         return new fabric.Line([properties.x1, properties.y1, properties.x2, properties.y2], lineProps);
       },
       triangle: () => new fabric.Triangle(props),
@@ -601,6 +611,7 @@ class OptimizedDrawingObjectSerializer {
                 zoneNotes: itemData.zoneNotes,
                 zoneNumber: itemData.zoneNumber ?? itemData.polygon.zoneNumber ?? undefined,
                 zoneResistanceValue: itemData.zoneResistanceValue ?? itemData.polygon.zoneResistanceValue ?? undefined,
+                requiresRedundantCoverage: !!itemData.requiresRedundantCoverage,
               }
             : { roomName: itemData.roomName, roomNotes: itemData.roomNotes };
         const polygon = new fabric.Polygon(itemData.polygon.points, {
@@ -646,7 +657,7 @@ class OptimizedDrawingObjectSerializer {
     // Remove existing walls
     this.fabricCanvas
       .getObjects()
-      .filter((obj) => (obj.type === "circle" && obj.isWallCircle) || (obj.type === "line" && !obj.deviceType && !obj.isResizeIcon && !obj.isConnectionLine))
+      .filter((obj) => (obj.type === "circle" && obj.isWallCircle) || (obj.type === "line" && !obj.deviceType && !obj.isResizeIcon && !obj.isConnectionLine && !obj.isObstacle))
       .forEach((obj) => {
         if (obj._wallUpdateHandler) obj.off("moving", obj._wallUpdateHandler);
         this.fabricCanvas.remove(obj);
@@ -706,6 +717,10 @@ class OptimizedDrawingObjectSerializer {
         if (li.startCircleIndex !== null && li.startCircleIndex >= 0 && loadedCircles[li.startCircleIndex]) line.startCircle = loadedCircles[li.startCircleIndex];
         if (li.endCircleIndex !== null && li.endCircleIndex >= 0 && loadedCircles[li.endCircleIndex]) line.endCircle = loadedCircles[li.endCircleIndex];
         line.on("removed", () => this.handleWallLineDeletion(line));
+        if (li.openings?.length) {
+          line.openings = li.openings.map((opening) => ({ ...opening }));
+          attachWallOpenings(this.fabricCanvas, line);
+        }
         this.fabricCanvas.add(line);
       } catch (e) {
         console.error("Failed to load wall line:", e);
@@ -1,6 +1,7 @@
 import { ObjectTypeUtils, SerializationUtils, StyleConfig, NotificationSystem, ProjectUI, DrawingUtils } from "./utils-save.js";
 import { CameraDeviceSerializer } from "./device-save.js";
 import { DrawingObjectSerializer } from "./drawing-serializer.js";
+import { setSiteLocation } from "../background/site-location.js";
 
 class SaveSystem {
   constructor(fabricCanvas) {
@@ -101,6 +102,7 @@ class SaveSystem {
 
       const settings = {
         pixelsPerMeter: this.fabricCanvas.pixelsPerMeter || 17.5,
+        siteLocation: this.fabricCanvas.siteLocation || null,
         zoom: this.fabricCanvas.getZoom(),
         viewportTransform: [...this.fabricCanvas.viewportTransform],
         defaultDeviceIconSize: window.defaultDeviceIconSize || 30,
@@ -112,6 +114,10 @@ class SaveSystem {
         globalBoldText: window.globalBoldText !== undefined ? !!window.globalBoldText : false,
         globalCompleteDeviceIndicator: window.globalCompleteDeviceIndicator !== undefined ? !!window.globalCompleteDeviceIndicator : true,
         globalLabelDragEnabled: window.globalLabelDragEnabled !== undefined ? !!window.globalLabelDragEnabled : false,
+        globalTargetHeight: window.globalTargetHeight || 0,
+        namingTemplates: window.namingTemplates || null,
+        deviceStatusStyles: window.deviceStatusStyles || null,
+        customFieldSchema: window.customFieldSchema || null,
       };
 
       const projectData = {
@@ -174,10 +180,7 @@ class SaveSystem {
           const savedSettings = projectData.settings || {};
           const savedZoom = typeof savedSettings.zoom === "number" ? savedSettings.zoom : null;
           const savedViewportTransform = Array.isArray(savedSettings.viewportTransform) ? [...savedSettings.viewportTransform] : null;
-          const counters = projectData.cameras?.counters || {};
           Object.assign(window, {
-            cameraCounter: counters.cameraCounter || 1,
-            deviceCounter: counters.deviceCounter || 1,
             defaultDeviceIconSize: savedSettings.defaultDeviceIconSize || 30,
             globalIconTextVisible: savedSettings.globalIconTextVisible !== undefined ? !!savedSettings.globalIconTextVisible : true,
             globalDeviceColor: savedSettings.globalDeviceColor || "#f8794b",
@@ -187,7 +190,12 @@ class SaveSystem {
             globalBoldText: savedSettings.globalBoldText !== undefined ? !!savedSettings.globalBoldText : false,
             globalCompleteDeviceIndicator: savedSettings.globalCompleteDeviceIndicator !== undefined ? !!savedSettings.globalCompleteDeviceIndicator : true,
             globalLabelDragEnabled: savedSettings.globalLabelDragEnabled !== undefined ? !!savedSettings.globalLabelDragEnabled : false,
+            globalTargetHeight: savedSettings.globalTargetHeight || 0,
+            namingTemplates: savedSettings.namingTemplates || null,
+            deviceStatusStyles: savedSettings.deviceStatusStyles || null,
+            customFieldSchema: savedSettings.customFieldSchema || null,
           });
+          setSiteLocation(this.fabricCanvas, savedSettings.siteLocation);
           if (projectData.settings) {
             const { pixelsPerMeter, zoom, viewportTransform } = projectData.settings;
             this.fabricCanvas.pixelsPerMeter = pixelsPerMeter || 17.5;
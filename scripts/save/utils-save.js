@@ -5,7 +5,7 @@ export const ObjectTypeUtils = {
   isCameraDevice: (deviceType) => ["fixed-camera.png", "box-camera.png", "dome-camera.png", "ptz-camera.png", "bullet-camera.png", "thermal-camera.png"].includes(deviceType),
   // Checks if an object is a drawing object
   isDrawingObject: (obj) => {
-    if (obj.isCoverage || obj.isBackground) return false;
+    if (obj.isCoverage || obj.isBackground || obj.isPixelDensityHeatmap || obj.isCameraOverlapMap || obj.isDensityProbe || obj.isSunGlareWarning || obj.isCoverageGapHighlight || obj.isPlacementSuggestion || obj.isWallOpening) return false;
     if (obj.type === "group" && obj.deviceType && obj.deviceType !== "title-block") return false;
     if (obj.type === "text" && obj.isDeviceLabel) return false;
     if (obj.type === "polygon" && obj.fill?.includes("165, 155, 155")) return false;
@@ -23,7 +23,7 @@ export const ObjectTypeUtils = {
   // Checks if an object is a room object
   isRoomObject: (obj) => (obj.type === "polygon" && obj.class === "room-polygon") || (obj.type === "i-text" && obj.class === "room-text"),
   // Checks if an object is a wall object
-  isWallObject: (obj) => (obj.type === "line" && !obj.deviceType && !obj.isResizeIcon && !obj.isConnectionLine && obj.stroke !== "grey" && obj.stroke !== "blue") || (obj.type === "circle" && obj.isWallCircle === true),
+  isWallObject: (obj) => (obj.type === "line" && !obj.deviceType && !obj.isResizeIcon && !obj.isConnectionLine && !obj.isObstacle && obj.stroke !== "grey" && obj.stroke !== "blue") || (obj.type === "circle" && obj.isWallCircle === true),
   // Checks if an object is a title block
   isTitleBlockObject: (obj) => obj.type === "group" && obj.deviceType === "title-block",
 };
@@ -494,7 +494,7 @@ export const DrawingUtils = {
   // Saves walls data from the canvas
   serializeWalls: (fabricCanvas) => {
     const circles = fabricCanvas.getObjects().filter((obj) => obj.type === "circle" && obj.isWallCircle);
-    const lines = fabricCanvas.getObjects().filter((obj) => obj.type === "line" && !obj.deviceType && !obj.isResizeIcon && !obj.isConnectionLine && obj.stroke !== "grey" && obj.stroke !== "blue");
+    const lines = fabricCanvas.getObjects().filter((obj) => obj.type === "line" && !obj.deviceType && !obj.isResizeIcon && !obj.isConnectionLine && !obj.isObstacle && obj.stroke !== "grey" && obj.stroke !== "blue");
     return {
       circles: circles.map((c, i) => ({
         id: `wall_circle_${i}`,
@@ -542,6 +542,7 @@ export const DrawingUtils = {
           borderColor: l.borderColor,
           startCircleIndex: startIdx >= 0 ? startIdx : null,
           endCircleIndex: endIdx >= 0 ? endIdx : null,
+          openings: (l.openings || []).map((opening) => ({ ...opening })),
         };
       }),
     };
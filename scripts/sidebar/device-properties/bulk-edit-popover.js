@@ -0,0 +1,242 @@
+import { createPopoverBase } from "../popover-utils.js";
+import { preventEventPropagation, getHexFromFill } from "../sidebar-utils.js";
+import { updateCameraFromSpecs, applyCameraPhysics } from "../../devices/camera/camera-calculations.js";
+
+// Sets up the bulk edit popover that shows when several devices are selected together
+(function () {
+  const popover = document.getElementById("bulk-device-popover");
+  if (!popover) return;
+
+  const titleEl = document.getElementById("bulk-device-popover-title");
+  const summaryEl = document.getElementById("bulk-device-summary");
+  const cameraFields = document.getElementById("bulk-camera-fields");
+  const colorPicker = document.getElementById("bulk-icon-color-picker");
+  const colorState = document.getElementById("bulk-icon-color-state");
+  const applyBtn = document.getElementById("bulk-apply-btn");
+  const resetBtn = document.getElementById("bulk-reset-btn");
+
+  // Clamps a typed number to a range, or returns null if it isn't one
+  const clampNumber = (min, max) => (raw) => {
+    const value = parseFloat(raw);
+    return Number.isFinite(value) ? Math.max(min, Math.min(max, value)) : null;
+  };
+
+  // Gets the circle behind a device icon, whose fill is the device colour
+  const getIconCircle = (device) => device.getObjects?.().find((obj) => obj.type === "circle");
+
+  // Fields the popover can set; camera fields only apply to the cameras in the selection
+  const BULK_FIELDS = {
+    location: {
+      input: document.getElementById("bulk-location-input"),
+      read: (device) => device.location || "",
+      write: (device, value) => (device.location = value),
+    },
+    partNumber: {
+      input: document.getElementById("bulk-part-number-input"),
+      read: (device) => device.partNumber || "",
+      write: (device, value) => (device.partNumber = value),
+    },
+    iconColor: {
+      input: colorPicker,
+      // The completeness indicator paints finished devices green, so the chosen colour is kept aside
+      read: (device) => device.originalCircleColor || getIconCircle(device)?.fill || "",
+      write: (device, value) => {
+        device.originalCircleColor = value;
+        getIconCircle(device)?.set({ fill: value });
+        device.dirty = true;
+      },
+    },
+    cameraHeight: {
+      input: document.getElementById("bulk-height-input"),
+      cameraOnly: true,
+      parse: clampNumber(1, 20),
+      read: (device) => device.coverageConfig.cameraHeight || 3,
+      write: (device, value) => (device.coverageConfig.cameraHeight = value),
+    },
+    cameraTilt: {
+      input: document.getElementById("bulk-tilt-input"),
+      cameraOnly: true,
+      parse: clampNumber(0, 90),
+      read: (device) => device.coverageConfig.cameraTilt ?? 25,
+      write: (device, value) => (device.coverageConfig.cameraTilt = value),
+    },
+    focalLength: {
+      input: document.getElementById("bulk-focal-length-input"),
+      cameraOnly: true,
+      read: (device) => device.focalLength || "",
+      write: (device, value) => (device.focalLength = value),
+    },
+  };
+
+  // Coverage settings a new focal length recalculates, saved so undo can put them back exactly
+  const COVERAGE_ANGLE_KEYS = ["startAngle", "endAngle", "sideFOV", "verticalFOV", "calculatedAngle"];
+
+  let fabricCanvas = null;
+  let devices = [];
+  // Fields the user has changed since the popover was filled
+  const dirtyFields = new Set();
+
+  // Checks if an object is a device the bulk editor handles
+  const isBulkEditable = (obj) => obj?.type === "group" && obj.deviceType && obj.deviceType !== "text-device" && obj.deviceType !== "title-block";
+
+  // Gets the devices in the canvas's current multi-selection
+  const getSelectedDevices = () => {
+    const active = fabricCanvas?.getActiveObject();
+    if (active?.type !== "activeSelection") return [];
+    return active.getObjects().filter(isBulkEditable);
+  };
+
+  // Gets the devices a field applies to
+  const getTargets = (field) => (field.cameraOnly ? devices.filter((device) => device.coverageConfig) : devices);
+
+  // Writes a set of field values onto one device and redraws what depends on them
+  const applyDeviceValues = (device, values) => {
+    Object.entries(values).forEach(([key, value]) => BULK_FIELDS[key]?.write(device, value));
+
+    if (device.coverageConfig && ["cameraHeight", "cameraTilt", "focalLength", "coverageAngles"].some((key) => key in values)) {
+      if (values.coverageAngles) Object.assign(device.coverageConfig, values.coverageAngles);
+      else if ("focalLength" in values) updateCameraFromSpecs(device);
+      applyCameraPhysics(device);
+      if (device.createOrUpdateCoverageArea) device.createOrUpdateCoverageArea();
+    }
+
+    if (typeof window.updateDeviceCompleteIndicator === "function") window.updateDeviceCompleteIndicator(device);
+  };
+
+  // Shows each field's shared value, or a mixed state where the devices differ
+  const fillFields = () => {
+    dirtyFields.clear();
+    Object.entries(BULK_FIELDS).forEach(([key, field]) => {
+      if (!field.input) return;
+      const values = [...new Set(getTargets(field).map((device) => String(field.read(device))))];
+      const isMixed = values.length > 1;
+
+      if (key === "iconColor") {
+        field.input.value = getHexFromFill(values[0] || "#f8794b");
+        if (colorState) colorState.textContent = isMixed ? "Mixed" : "";
+        return;
+      }
+      field.input.value = isMixed ? "" : values[0] ?? "";
+      field.input.placeholder = isMixed ? "Mixed" : field.input.dataset.placeholder || "";
+      field.input.classList.toggle("fst-italic", isMixed);
+    });
+
+    const cameraCount = devices.filter((device) => device.coverageConfig).length;
+    if (cameraFields) cameraFields.style.display = cameraCount ? "" : "none";
+    if (titleEl) titleEl.textContent = `Edit ${devices.length} Devices`;
+    if (summaryEl) {
+      const cameraText = cameraCount && cameraCount < devices.length ? ` Camera settings apply to the ${cameraCount} cameras only.` : "";
+      summaryEl.textContent = `Fields marked Mixed differ between devices; leave them blank to keep each device's own value.${cameraText}`;
+    }
+    if (applyBtn) applyBtn.disabled = true;
+  };
+
+  // Gets the value to apply for each changed field, skipping any left blank
+  const collectValues = () => {
+    const values = {};
+    dirtyFields.forEach((key) => {
+      const field = BULK_FIELDS[key];
+      const raw = field.input.value.trim();
+      if (raw === "") return;
+      const value = field.parse ? field.parse(raw) : raw;
+      if (value !== null) values[key] = value;
+    });
+    return values;
+  };
+
+  // Applies every changed field to the selection as a single undo step, then reselects it
+  const applyChanges = () => {
+    const values = collectValues();
+    if (!fabricCanvas || !devices.length || !Object.keys(values).length) return;
+
+    const changes = devices
+      .map((device) => {
+        const before = {};
+        const after = {};
+        Object.entries(values).forEach(([key, value]) => {
+          if (!getTargets(BULK_FIELDS[key]).includes(device)) return;
+          before[key] = BULK_FIELDS[key].read(device);
+          after[key] = value;
+        });
+        if ("focalLength" in after) before.coverageAngles = Object.fromEntries(COVERAGE_ANGLE_KEYS.map((key) => [key, device.coverageConfig[key]]));
+        return { object: device, before, after };
+      })
+      .filter((change) => Object.keys(change.after).length);
+
+    try {
+      const selected = [...devices];
+      const PropertyCommand = window.UndoCommands?.PropertyCommand;
+      if (PropertyCommand && window.undoSystem) {
+        window.undoSystem.executeCommand(new PropertyCommand(fabricCanvas, changes, applyDeviceValues));
+      } else {
+        fabricCanvas.discardActiveObject();
+        changes.forEach((change) => applyDeviceValues(change.object, change.after));
+      }
+
+      // Selecting the devices again refreshes the popover with their new values
+      fabricCanvas.setActiveObject(new fabric.ActiveSelection(selected, { canvas: fabricCanvas }));
+      fabricCanvas.requestRenderAll();
+    } catch (error) {
+      console.error("Error applying bulk device changes:", error);
+      alert("Error applying changes to the selected devices. Please try again.");
+    }
+  };
+
+  // Creates the popover
+  const basePopover = createPopoverBase("bulk-device-popover", {
+    onClose: () => {
+      basePopover.currentTarget = null;
+    },
+    customOpenPopover: function (selection, baseOpen) {
+      if (this.isDragging) return;
+      fillFields();
+      baseOpen.call(this, selection);
+      requestAnimationFrame(() => this.positionPopover());
+    },
+  });
+  if (!basePopover) return;
+
+  // Marks fields as changed as the user edits them
+  Object.entries(BULK_FIELDS).forEach(([key, field]) => {
+    if (!field.input) return;
+    field.input.dataset.placeholder = field.input.placeholder || "";
+    field.input.addEventListener("input", () => {
+      dirtyFields.add(key);
+      field.input.classList.remove("fst-italic");
+      if (key === "iconColor" && colorState) colorState.textContent = "";
+      if (applyBtn) applyBtn.disabled = false;
+    });
+    preventEventPropagation(field.input, ["keydown", "keyup", "mousedown", "click"]);
+  });
+
+  applyBtn?.addEventListener("click", (e) => {
+    e.stopPropagation();
+    applyChanges();
+  });
+  resetBtn?.addEventListener("click", (e) => {
+    e.stopPropagation();
+    fillFields();
+  });
+
+  // Opens the popover for multi-selections of two or more devices and closes it otherwise
+  const handleSelectionChange = () => {
+    devices = getSelectedDevices();
+    if (devices.length < 2) {
+      if (basePopover.currentTarget) basePopover.closePopover();
+      return;
+    }
+    // Each device fires its own selected event first, so close the single-device popover they opened
+    if (typeof window.hideDeviceProperties === "function") window.hideDeviceProperties();
+    basePopover.openPopover(fabricCanvas.getActiveObject());
+  };
+
+  document.addEventListener("canvas:initialized", (e) => {
+    fabricCanvas = e.detail.canvas;
+    fabricCanvas.on("selection:created", handleSelectionChange);
+    fabricCanvas.on("selection:updated", handleSelectionChange);
+    fabricCanvas.on("selection:cleared", () => {
+      devices = [];
+      basePopover.closePopover();
+    });
+  });
+})();
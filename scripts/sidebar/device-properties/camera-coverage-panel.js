@@ -1,8 +1,12 @@
 import { layers } from "../../canvas/canvas-layers.js";
-import { updateSliderTrack, createSliderInputSync, setupColorControls, hexToRgba, setObjectProperty, setMultipleObjectProperties, safeCanvasRender, DEFAULT_PIXELS_PER_METER, wrapGlobalFunction, CAMERA_TYPES, createPanelBase } from "../sidebar-utils.js";
+import { updateSliderTrack, createSliderInputSync, setupColorControls, hexToRgba, setObjectProperty, setMultipleObjectProperties, safeCanvasRender, DEFAULT_PIXELS_PER_METER, wrapGlobalFunction, CAMERA_TYPES, createPanelBase, preventEventPropagation, makeRowInput, makeRowButton, makeLabelled } from "../sidebar-utils.js";
 import { initCameraSpecPanel } from "./camera-spec-panel.js";
 import { drawSideView } from "../../devices/camera/camera-diagram.js";
-import { calculateCameraPhysics, applyCameraPhysics } from "../../devices/camera/camera-calculations.js";
+import { calculateCameraPhysics, applyCameraPhysics, getFocalRange, parseFocalLength, updateCameraFromSpecs, getObstaclesOnCenterLine, getTargetHeight } from "../../devices/camera/camera-calculations.js";
+import { calculateDoriDistances, calculateLensDoriDistances } from "../../devices/camera/camera-dori.js";
+import { isPtzCamera, getPtzPresets, createPtzPreset, normalizePtzPreset, applyPtzPreset, getPatrolTour } from "../../devices/camera/camera-ptz.js";
+import { getSensorHeads, getSensorCount, createSensorHead, updateSensorHead, MAX_SENSOR_COUNT } from "../../devices/camera/camera-sensor-heads.js";
+import { openCameraPreview } from "../../devices/camera/camera-preview.js";
 
 // Sets up the camera coverage panel with controls for angle, distance, opacity, and color
 export function initCameraCoveragePanel() {
@@ -10,6 +14,7 @@ export function initCameraCoveragePanel() {
   const coverageColorPicker = document.getElementById("coverage-color-picker");
   const coverageToggle = document.getElementById("camera-coverage-toggle");
   const doriToggle = document.getElementById("camera-dori-toggle");
+  const irRangeToggle = document.getElementById("camera-ir-range-toggle");
   const angleSlider = document.getElementById("camera-angle-slider");
   const angleInput = document.getElementById("camera-angle-input");
 
@@ -37,9 +42,26 @@ export function initCameraCoveragePanel() {
   const heightInput = document.getElementById("camera-height-input");
   const tiltSlider = document.getElementById("camera-tilt-slider");
   const tiltInput = document.getElementById("camera-tilt-input");
+  const targetHeightInput = document.getElementById("camera-target-height-input");
   const edgeStyleSelect = document.getElementById("camera-edge-style");
   const projectionModeSelect = document.getElementById("camera-projection-mode");
+  const fisheyeGroup = document.getElementById("camera-fisheye-group");
+  const fisheyeProjectionSelect = document.getElementById("camera-fisheye-projection");
   const sideViewCanvas = document.getElementById("camera-side-view");
+  const previewViewBtn = document.getElementById("camera-preview-view-btn");
+  const varifocalGroup = document.getElementById("camera-varifocal-group");
+  const lensEnvelopeToggle = document.getElementById("camera-lens-envelope-toggle");
+  const focalSlider = document.getElementById("camera-focal-slider");
+  const focalInput = document.getElementById("camera-focal-input");
+  const varifocalDoriTable = document.getElementById("camera-varifocal-dori");
+  const ptzGroup = document.getElementById("camera-ptz-group");
+  const ptzPresetsToggle = document.getElementById("camera-ptz-presets-toggle");
+  const panEnvelopeToggle = document.getElementById("camera-pan-envelope-toggle");
+  const ptzPresetList = document.getElementById("camera-ptz-preset-list");
+  const ptzAddPresetBtn = document.getElementById("camera-ptz-add-preset-btn");
+  const ptzTourSummary = document.getElementById("camera-ptz-tour-summary");
+  const sensorHeadList = document.getElementById("camera-sensor-head-list");
+  const addSensorHeadBtn = document.getElementById("camera-add-sensor-head-btn");
 
   // Create panel instance
   const panel = createPanelBase();
@@ -63,7 +85,131 @@ export function initCameraCoveragePanel() {
     const fov = activeObject.coverageConfig.sideFOV || (activeObject.angleDiff ? activeObject.angleDiff(activeObject.coverageConfig.startAngle, activeObject.coverageConfig.endAngle) : 60);
 
     // Pass minRange as deadZone (can be negative)
-    drawSideView(sideViewCanvas, height, tilt, clampedRadiusMeters, minRangeMeters, fov);
+    drawSideView(sideViewCanvas, height, tilt, clampedRadiusMeters, minRangeMeters, fov, panel.getSideViewOptions(activeObject));
+  };
+
+  // Extra side view settings: DORI rings for fisheye cameras, obstacles along the view for the rest
+  panel.getSideViewOptions = function(group) {
+    const projectionMode = group?.coverageConfig?.projectionMode;
+    if (projectionMode === "fisheye") return { projectionMode, doriDistances: calculateDoriDistances(group) };
+    return { obstacles: getObstaclesOnCenterLine(group), targetHeight: getTargetHeight(group) };
+  };
+
+  // Shows the lens setting slider and wide/tele DORI distances for varifocal cameras
+  panel.updateVarifocalControls = function(group) {
+    const range = group?.coverageConfig ? getFocalRange(group) : null;
+    if (varifocalGroup) varifocalGroup.style.display = range ? "" : "none";
+    if (!range) return;
+
+    if (lensEnvelopeToggle) lensEnvelopeToggle.checked = group.coverageConfig.showLensEnvelope !== false;
+
+    const focal = Math.max(range.min, Math.min(range.max, parseFocalLength(group.focalLength) ?? range.min));
+    if (focalSlider) {
+      focalSlider.min = range.min;
+      focalSlider.max = range.max;
+      focalSlider.value = focal;
+      updateSliderTrack(focalSlider, focal, range.min, range.max);
+    }
+    if (focalInput) {
+      focalInput.min = range.min;
+      focalInput.max = range.max;
+      if (document.activeElement !== focalInput) focalInput.value = focal.toFixed(1);
+    }
+
+    if (!varifocalDoriTable) return;
+    const lensDori = calculateLensDoriDistances(group);
+    const current = calculateDoriDistances(group);
+    if (!lensDori || !current) {
+      varifocalDoriTable.innerHTML = '<tbody><tr><td class="text-muted">Set a resolution to see DORI distances</td></tr></tbody>';
+      return;
+    }
+    const fmt = (value) => (Number.isFinite(value) ? value.toFixed(1) : "-");
+    const rows = ["detection", "observation", "recognition", "identification"]
+      .map((level) => `<tr><td>${level.charAt(0).toUpperCase() + level.slice(1)}</td><td>${fmt(lensDori.wide[level])}</td><td>${fmt(current[level])}</td><td>${fmt(lensDori.tele[level])}</td></tr>`)
+      .join("");
+    varifocalDoriTable.innerHTML = `<thead><tr><th></th><th>Wide ${lensDori.wide.focalLength}mm</th><th>Set ${focal.toFixed(1)}mm</th><th>Tele ${lensDori.tele.focalLength}mm</th></tr></thead><tbody>${rows}</tbody>`;
+  };
+
+  // Builds the editable row for one PTZ preset
+  const createPtzPresetRow = (preset) => {
+    const row = document.createElement("div");
+    row.className = "border rounded p-1 mb-1";
+    row.dataset.presetId = preset.id;
+
+    const header = document.createElement("div");
+    header.className = "d-flex gap-1 align-items-center";
+    const colorInput = makeRowInput("color", "color", preset.color, { title: "Preset colour" });
+    colorInput.style.width = "28px";
+    header.append(colorInput, makeRowInput("name", "text", preset.name), makeRowButton("apply", "Go", "Point the camera at this preset"), makeRowButton("delete", "×", "Delete preset"));
+
+    const tourInput = makeRowInput("inTour", "checkbox", "", { checked: preset.inTour !== false });
+    tourInput.className = "form-check-input";
+
+    const values = document.createElement("div");
+    values.className = "d-flex gap-1 align-items-end mt-1";
+    values.append(
+      makeLabelled("Pan°", makeRowInput("pan", "number", preset.pan, { min: 0, max: 359, step: 1 })),
+      makeLabelled("Tilt°", makeRowInput("tilt", "number", preset.tilt, { min: 0, max: 90, step: 0.1 })),
+      makeLabelled("Zoom mm", makeRowInput("zoom", "number", preset.zoom ?? "", { min: 0.1, step: 0.1 })),
+      makeLabelled("Dwell s", makeRowInput("dwell", "number", preset.dwell, { min: 1, step: 1 })),
+      makeLabelled("Tour", tourInput)
+    );
+
+    row.append(header, values);
+    return row;
+  };
+
+  // Builds the editable row for one extra sensor head
+  const createSensorHeadRow = (head) => {
+    const row = document.createElement("div");
+    row.className = "border rounded p-1 mb-1";
+    row.dataset.headId = head.id;
+
+    const header = document.createElement("div");
+    header.className = "d-flex gap-1 align-items-center";
+    header.append(makeRowInput("name", "text", head.name), makeRowButton("delete", "×", "Remove sensor head"));
+
+    const values = document.createElement("div");
+    values.className = "d-flex gap-1 align-items-end mt-1";
+    values.append(
+      makeLabelled("Pan°", makeRowInput("pan", "number", head.pan, { min: 0, max: 359, step: 1 })),
+      makeLabelled("Angle°", makeRowInput("angle", "number", head.angle, { min: 1, max: 360, step: 1, disabled: !!head.focalLength, title: head.focalLength ? "Set by the lens" : "" })),
+      makeLabelled("Lens mm", makeRowInput("focalLength", "number", head.focalLength ?? "", { min: 0.1, step: 0.1 })),
+      makeLabelled("Tilt°", makeRowInput("tilt", "number", head.tilt, { min: 0, max: 90, step: 0.1 }))
+    );
+
+    row.append(header, values);
+    return row;
+  };
+
+  // Shows the extra sensor heads of a multi-sensor camera
+  panel.updateSensorHeadControls = function(group) {
+    if (!sensorHeadList) return;
+    const heads = group?.coverageConfig ? getSensorHeads(group) : [];
+    sensorHeadList.replaceChildren(...heads.map(createSensorHeadRow));
+    if (!heads.length) sensorHeadList.innerHTML = '<div class="text-muted">Single sensor</div>';
+    if (addSensorHeadBtn) addSensorHeadBtn.disabled = !group?.coverageConfig || getSensorCount(group) >= MAX_SENSOR_COUNT;
+  };
+
+  // Shows the preset list and patrol tour summary for PTZ cameras
+  panel.updatePtzControls = function(group) {
+    const isPtz = group?.coverageConfig && isPtzCamera(group);
+    if (ptzGroup) ptzGroup.style.display = isPtz ? "" : "none";
+    if (!isPtz) return;
+
+    if (ptzPresetsToggle) ptzPresetsToggle.checked = group.coverageConfig.showPtzPresets !== false;
+    if (panEnvelopeToggle) panEnvelopeToggle.checked = group.coverageConfig.showPanEnvelope || false;
+
+    const presets = getPtzPresets(group);
+    if (ptzPresetList) {
+      ptzPresetList.replaceChildren(...presets.map(createPtzPresetRow));
+      if (!presets.length) ptzPresetList.innerHTML = '<div class="text-muted">No presets yet</div>';
+    }
+
+    if (ptzTourSummary) {
+      const { stops, cycleSeconds } = getPatrolTour(group);
+      ptzTourSummary.textContent = stops.length > 1 ? `Patrol tour: ${stops.length} stops, ${cycleSeconds}s per cycle` : "Tick Tour on two or more presets to build a patrol tour";
+    }
   };
 
   // Updates how see-through the coverage area is
@@ -82,6 +228,8 @@ export function initCameraCoveragePanel() {
         const newFill = `rgba(${r}, ${g}, ${b}, ${finalOpacity})`;
         if (activeObject.coverageArea) setMultipleObjectProperties(activeObject.coverageArea, { fill: newFill });
         activeObject.coverageConfig.fillColor = newFill;
+        // Grouped coverage (DORI zones, lens envelopes) has to be redrawn to pick up the new opacity
+        if (activeObject.coverageArea?.type === "group" && activeObject.createOrUpdateCoverageArea) activeObject.createOrUpdateCoverageArea();
       } else {
         // Use default gray color if no RGB found
         const newFill = `rgba(165, 155, 155, ${finalOpacity})`;
@@ -174,6 +322,17 @@ export function initCameraCoveragePanel() {
         });
       }
 
+      // Handle IR range outline toggle
+      if (irRangeToggle) {
+        irRangeToggle.addEventListener("change", () => {
+          const activeObject = fabricCanvas.getActiveObject();
+          if (activeObject && activeObject.coverageConfig) {
+            activeObject.coverageConfig.showIrRange = irRangeToggle.checked;
+            if (activeObject.createOrUpdateCoverageArea) activeObject.createOrUpdateCoverageArea();
+          }
+        });
+      }
+
       // Handle lock distance on rotate toggle
       const lockDistanceOnRotateToggle = document.getElementById("camera-lock-distance-on-rotate");
       if (lockDistanceOnRotateToggle) {
@@ -219,6 +378,7 @@ export function initCameraCoveragePanel() {
           const activeObject = fabricCanvas.getActiveObject();
           if (activeObject && activeObject.coverageConfig) {
             activeObject.coverageConfig.cameraHeight = value;
+            if (targetHeightInput) targetHeightInput.max = value;
             panel.updateRadiusFromHeightAndTilt(activeObject);
           }
         },
@@ -239,6 +399,24 @@ export function initCameraCoveragePanel() {
         { min: 0, max: 90, step: 0.1, precision: 2 }
       );
 
+      // Set up the target height, where blank follows the project default and values stop at the camera's mount height
+      if (targetHeightInput) {
+        preventEventPropagation(targetHeightInput, ["keydown", "mousedown", "keyup"]);
+        targetHeightInput.addEventListener("change", () => {
+          const activeObject = fabricCanvas.getActiveObject();
+          if (!activeObject || !activeObject.coverageConfig) return;
+          const value = parseFloat(targetHeightInput.value);
+          if (Number.isFinite(value)) {
+            activeObject.coverageConfig.targetHeight = Math.max(0, Math.min(activeObject.coverageConfig.cameraHeight || 3, value));
+            targetHeightInput.value = activeObject.coverageConfig.targetHeight;
+          } else {
+            delete activeObject.coverageConfig.targetHeight;
+            targetHeightInput.value = "";
+          }
+          panel.updateRadiusFromHeightAndTilt(activeObject);
+        });
+      }
+
       // Set up opacity slider and input sync (special handling for percentage)
       if (opacitySlider && opacityInput) {
         opacitySlider.addEventListener("input", () => {
@@ -366,7 +544,9 @@ export function initCameraCoveragePanel() {
                 break;
             }
 
-            if (activeObject.coverageArea) {
+            if (activeObject.coverageArea?.type === "group" && activeObject.createOrUpdateCoverageArea) {
+              activeObject.createOrUpdateCoverageArea();
+            } else if (activeObject.coverageArea) {
               setMultipleObjectProperties(activeObject.coverageArea, { strokeDashArray });
             }
           }
@@ -381,19 +561,175 @@ export function initCameraCoveragePanel() {
           if (activeObject && activeObject.coverageConfig) {
             const projectionMode = projectionModeSelect.value;
             activeObject.coverageConfig.projectionMode = projectionMode;
+            if (fisheyeGroup) fisheyeGroup.style.display = projectionMode === "fisheye" ? "" : "none";
 
-            // Recreate coverage area with new projection mode
-            if (activeObject.createOrUpdateCoverageArea) {
-              activeObject.createOrUpdateCoverageArea();
-            }
+            // Recalculate range and dead zone, since a fisheye ignores tilt, then redraw
+            panel.updateRadiusFromHeightAndTilt(activeObject);
+          }
+        });
+      }
+
+      // Handle fisheye lens projection dropdown changes
+      if (fisheyeProjectionSelect) {
+        fisheyeProjectionSelect.addEventListener("change", () => {
+          const activeObject = fabricCanvas.getActiveObject();
+          if (activeObject && activeObject.coverageConfig) {
+            activeObject.coverageConfig.fisheyeProjection = fisheyeProjectionSelect.value;
+            panel.updateRadiusFromHeightAndTilt(activeObject);
           }
         });
       }
 
+      // Handle wide/tele envelope toggle
+      if (lensEnvelopeToggle) {
+        lensEnvelopeToggle.addEventListener("change", () => {
+          const activeObject = fabricCanvas.getActiveObject();
+          if (activeObject && activeObject.coverageConfig) {
+            activeObject.coverageConfig.showLensEnvelope = lensEnvelopeToggle.checked;
+            if (activeObject.createOrUpdateCoverageArea) activeObject.createOrUpdateCoverageArea();
+          }
+        });
+      }
+
+      // Handle PTZ preset and pan envelope toggles
+      [
+        [ptzPresetsToggle, "showPtzPresets"],
+        [panEnvelopeToggle, "showPanEnvelope"],
+      ].forEach(([toggle, key]) => {
+        if (!toggle) return;
+        toggle.addEventListener("change", () => {
+          const activeObject = fabricCanvas.getActiveObject();
+          if (activeObject && activeObject.coverageConfig) {
+            activeObject.coverageConfig[key] = toggle.checked;
+            if (activeObject.createOrUpdateCoverageArea) activeObject.createOrUpdateCoverageArea();
+          }
+        });
+      });
+
+      // Add a preset from wherever the camera is currently pointing
+      if (ptzAddPresetBtn) {
+        ptzAddPresetBtn.addEventListener("click", () => {
+          const activeObject = fabricCanvas.getActiveObject();
+          if (!activeObject || !activeObject.coverageConfig || !isPtzCamera(activeObject)) return;
+          activeObject.coverageConfig.ptzPresets = [...getPtzPresets(activeObject), createPtzPreset(activeObject)];
+          if (activeObject.createOrUpdateCoverageArea) activeObject.createOrUpdateCoverageArea();
+          panel.updatePtzControls(activeObject);
+        });
+      }
+
+      // Handle edits to individual presets
+      if (ptzPresetList) {
+        preventEventPropagation(ptzPresetList, ["keydown", "mousedown", "keyup"]);
+
+        ptzPresetList.addEventListener("change", (e) => {
+          const field = e.target.dataset.field;
+          const presetId = e.target.closest("[data-preset-id]")?.dataset.presetId;
+          const activeObject = fabricCanvas.getActiveObject();
+          if (!field || !presetId || !activeObject || !activeObject.coverageConfig) return;
+
+          activeObject.coverageConfig.ptzPresets = getPtzPresets(activeObject).map((preset, index) =>
+            preset.id === presetId ? normalizePtzPreset({ ...preset, [field]: field === "inTour" ? e.target.checked : e.target.value }, index) : preset
+          );
+          if (activeObject.createOrUpdateCoverageArea) activeObject.createOrUpdateCoverageArea();
+          panel.updatePtzControls(activeObject);
+        });
+
+        ptzPresetList.addEventListener("click", (e) => {
+          const action = e.target.dataset.action;
+          const presetId = e.target.closest("[data-preset-id]")?.dataset.presetId;
+          const activeObject = fabricCanvas.getActiveObject();
+          if (!action || !presetId || !activeObject || !activeObject.coverageConfig) return;
+
+          if (action === "delete") {
+            activeObject.coverageConfig.ptzPresets = getPtzPresets(activeObject).filter((preset) => preset.id !== presetId);
+            if (activeObject.createOrUpdateCoverageArea) activeObject.createOrUpdateCoverageArea();
+            panel.updatePtzControls(activeObject);
+          } else if (action === "apply") {
+            applyPtzPreset(activeObject, getPtzPresets(activeObject).find((preset) => preset.id === presetId));
+            const focalLengthInput = document.getElementById("device-focal-length-input");
+            if (focalLengthInput) focalLengthInput.value = activeObject.focalLength || "";
+            panel.updatePanel(activeObject);
+          }
+        });
+      }
+
+      // Open the perspective preview of what the camera sees
+      if (previewViewBtn) {
+        previewViewBtn.addEventListener("click", () => {
+          const activeObject = fabricCanvas.getActiveObject();
+          if (activeObject && activeObject.coverageConfig) openCameraPreview(activeObject);
+        });
+      }
+
+      // Add another sensor head to a multi-sensor camera
+      if (addSensorHeadBtn) {
+        addSensorHeadBtn.addEventListener("click", () => {
+          const activeObject = fabricCanvas.getActiveObject();
+          if (!activeObject || !activeObject.coverageConfig || getSensorCount(activeObject) >= MAX_SENSOR_COUNT) return;
+          activeObject.coverageConfig.sensorHeads = [...getSensorHeads(activeObject), createSensorHead(activeObject)];
+          if (activeObject.createOrUpdateCoverageArea) activeObject.createOrUpdateCoverageArea();
+          panel.updateSensorHeadControls(activeObject);
+        });
+      }
+
+      // Handle edits to individual sensor heads
+      if (sensorHeadList) {
+        preventEventPropagation(sensorHeadList, ["keydown", "mousedown", "keyup"]);
+
+        sensorHeadList.addEventListener("change", (e) => {
+          const field = e.target.dataset.field;
+          const headId = e.target.closest("[data-head-id]")?.dataset.headId;
+          const activeObject = fabricCanvas.getActiveObject();
+          if (!field || !headId || !activeObject || !activeObject.coverageConfig) return;
+
+          activeObject.coverageConfig.sensorHeads = getSensorHeads(activeObject).map((head, index) => (head.id === headId ? updateSensorHead(activeObject, head, { [field]: e.target.value }, index) : head));
+          if (activeObject.createOrUpdateCoverageArea) activeObject.createOrUpdateCoverageArea();
+          panel.updateSensorHeadControls(activeObject);
+        });
+
+        sensorHeadList.addEventListener("click", (e) => {
+          const headId = e.target.closest("[data-head-id]")?.dataset.headId;
+          const activeObject = fabricCanvas.getActiveObject();
+          if (e.target.dataset.action !== "delete" || !headId || !activeObject || !activeObject.coverageConfig) return;
+
+          activeObject.coverageConfig.sensorHeads = getSensorHeads(activeObject).filter((head) => head.id !== headId);
+          if (activeObject.createOrUpdateCoverageArea) activeObject.createOrUpdateCoverageArea();
+          panel.updateSensorHeadControls(activeObject);
+        });
+      }
+
+      // Set up varifocal lens setting slider and input sync
+      createSliderInputSync(
+        focalSlider,
+        focalInput,
+        (value) => {
+          const activeObject = fabricCanvas.getActiveObject();
+          const range = activeObject ? getFocalRange(activeObject) : null;
+          if (!range || !activeObject.coverageConfig) return;
+          const focal = Math.max(range.min, Math.min(range.max, value));
+          activeObject.focalLength = `${focal.toFixed(1)}mm`;
+
+          const focalLengthInput = document.getElementById("device-focal-length-input");
+          if (focalLengthInput) focalLengthInput.value = activeObject.focalLength;
+
+          const planAngle = updateCameraFromSpecs(activeObject);
+          if (planAngle !== null && angleSlider && angleInput) {
+            angleSlider.value = planAngle;
+            angleInput.value = planAngle;
+            updateSliderTrack(angleSlider, planAngle, 1, 360);
+          }
+          if (angleWarning) angleWarning.style.display = "none";
+          panel.updateRadiusFromHeightAndTilt(activeObject);
+          panel.updateVarifocalControls(activeObject);
+        },
+        { min: 0.1, max: 1000, step: 0.1, precision: 1 }
+      );
+
       // Listen for spec changes from the other panel
       document.addEventListener("camera-specs-changed", (e) => {
         if (panel.currentGroup && panel.currentGroup === e.detail.group) {
           panel.updateRadiusFromHeightAndTilt(panel.currentGroup);
+          panel.updateVarifocalControls(panel.currentGroup);
           if (angleWarning) angleWarning.style.display = "none";
         }
       });
@@ -438,6 +774,10 @@ export function initCameraCoveragePanel() {
         doriToggle.checked = group.coverageConfig.doriEnabled || false;
       }
 
+      if (group && group.coverageConfig && irRangeToggle) {
+        irRangeToggle.checked = group.coverageConfig.showIrRange !== false;
+      }
+
       // Update lock distance on rotate toggle
       const lockDistanceOnRotateToggle = document.getElementById("camera-lock-distance-on-rotate");
       if (group && group.coverageConfig !== undefined && lockDistanceOnRotateToggle) {
@@ -468,6 +808,13 @@ export function initCameraCoveragePanel() {
         updateSliderTrack(tiltSlider, tilt, 0, 90);
       }
 
+      // Update target height, showing the project default when the camera follows it
+      if (group && group.coverageConfig && targetHeightInput) {
+        targetHeightInput.value = group.coverageConfig.targetHeight ?? "";
+        targetHeightInput.max = group.coverageConfig.cameraHeight || 3;
+        targetHeightInput.placeholder = `Project default (${window.globalTargetHeight || 0}m)`;
+      }
+
       // Update distance controls
       if (group && group.coverageConfig && distanceSlider && distanceInput) {
         const fabricCanvas = group.canvas;
@@ -512,8 +859,19 @@ export function initCameraCoveragePanel() {
       // Update projection mode dropdown
       if (group && group.coverageConfig && projectionModeSelect) {
         projectionModeSelect.value = group.coverageConfig.projectionMode || "circular";
+        if (fisheyeGroup) fisheyeGroup.style.display = group.coverageConfig.projectionMode === "fisheye" ? "" : "none";
+        if (fisheyeProjectionSelect) fisheyeProjectionSelect.value = group.coverageConfig.fisheyeProjection || "equidistant";
       }
 
+      // Update varifocal lens controls
+      panel.updateVarifocalControls(group);
+
+      // Update PTZ preset controls
+      panel.updatePtzControls(group);
+
+      // Update multi-sensor head controls
+      panel.updateSensorHeadControls(group);
+
       // Update side view diagram
       if (group && group.coverageConfig) {
         const height = group.coverageConfig.cameraHeight || 3;
@@ -526,7 +884,7 @@ export function initCameraCoveragePanel() {
         const distance = (group.coverageConfig.radius || 10 * pixelsPerMeter) / pixelsPerMeter;
         const deadZone = physics ? physics.minRangeMeters : (group.coverageConfig.minRange || 0) / pixelsPerMeter;
 
-        drawSideView(sideViewCanvas, height, tilt, distance, deadZone, fov);
+        drawSideView(sideViewCanvas, height, tilt, distance, deadZone, fov, panel.getSideViewOptions(group));
       }
     };
 
@@ -1,24 +1,185 @@
-import { updateSliderTrack, createToggleHandler, createPanelBase, bindInputToProperty, bindSelectToProperty } from "../sidebar-utils.js";
-import { calculateFOV, updateCameraFromSpecs } from "../../devices/camera/camera-calculations.js";
+import { updateSliderTrack, preventEventPropagation, createToggleHandler, createPanelBase, bindInputToProperty, bindSelectToProperty, DEFAULT_PIXELS_PER_METER } from "../sidebar-utils.js";
+import { calculateFOV, updateCameraFromSpecs, getFocalRange, parseFocalLength, getSensorSize, isThermalCamera, distance, calculateRequiredLens, meetsPixelsAcross, aimCameraAt } from "../../devices/camera/camera-calculations.js";
+import { THERMAL_TARGETS, JOHNSON_CYCLES, getThermalTarget, calculateAllThermalDistances } from "../../devices/camera/camera-thermal.js";
+import { RECORDING_DEFAULTS, calculateCameraRecording, getRecorderLoadFor, getRecorderWarnings } from "../../devices/camera/camera-recording.js";
+import { getCameraCatalogue, searchCameraCatalogue, findCameraModel, getCameraModelLabel, formatLensRange, applyCameraModel, importCatalogueFile, exportCatalogue } from "../../devices/camera/camera-catalogue.js";
+import { NotificationSystem } from "../../save/utils-save.js";
+import { startTool, stopCurrentTool } from "../../drawing/drawing-utils.js";
+import { checkSunGlare, hasSunGlare, describeSunGlare } from "../../devices/camera/camera-sun-glare.js";
+import { getSiteLocation } from "../../background/site-location.js";
+
+let catalogueFileControlsBound = false;
+
+// Fills the catalogue search suggestions with every model
+function renderCatalogueOptions() {
+  const datalist = document.getElementById("camera-catalogue-options");
+  if (!datalist) return;
+  datalist.innerHTML = "";
+  getCameraCatalogue().forEach((entry) => {
+    const option = document.createElement("option");
+    option.value = getCameraModelLabel(entry);
+    option.textContent = [entry.partNumber, formatLensRange(entry), entry.resolution].filter(Boolean).join(" · ");
+    datalist.appendChild(option);
+  });
+}
+
+// Sets up catalogue import/export buttons (shared by every spec panel instance)
+function bindCatalogueFileControls() {
+  if (catalogueFileControlsBound) return;
+  catalogueFileControlsBound = true;
+
+  const importBtn = document.getElementById("camera-catalogue-import-btn");
+  const fileInput = document.getElementById("camera-catalogue-file-input");
+  const exportJsonBtn = document.getElementById("camera-catalogue-export-json-btn");
+  const exportCsvBtn = document.getElementById("camera-catalogue-export-csv-btn");
+
+  if (importBtn && fileInput) {
+    importBtn.addEventListener("click", () => fileInput.click());
+    fileInput.addEventListener("change", async () => {
+      const file = fileInput.files?.[0];
+      fileInput.value = "";
+      if (!file) return;
+      try {
+        const count = await importCatalogueFile(file);
+        NotificationSystem.show(`Imported ${count} camera model${count === 1 ? "" : "s"}`);
+      } catch (error) {
+        console.error("Error importing camera catalogue:", error);
+        NotificationSystem.show(`Catalogue import failed: ${error.message}`, false);
+      }
+    });
+  }
+  if (exportJsonBtn) exportJsonBtn.addEventListener("click", () => exportCatalogue("json"));
+  if (exportCsvBtn) exportCsvBtn.addEventListener("click", () => exportCatalogue("csv"));
+
+  document.addEventListener("camera-catalogue-changed", renderCatalogueOptions);
+  renderCatalogueOptions();
+}
 
 // Sets up the camera specification panel with controls for resolution, sensor size, focal length, and aspect ratio
 export function initCameraSpecPanel() {
   const deviceFocalLengthInput = document.getElementById("device-focal-length-input");
+  const deviceFocalMinInput = document.getElementById("device-focal-min-input");
+  const deviceFocalMaxInput = document.getElementById("device-focal-max-input");
   const deviceSensorSizeInput = document.getElementById("device-sensor-size-input");
   const deviceResolutionInput = document.getElementById("device-resolution-input");
+  const deviceIrRangeInput = document.getElementById("device-ir-range-input");
+  const thermalGroup = document.getElementById("thermal-spec-group");
+  const devicePixelPitchInput = document.getElementById("device-pixel-pitch-input");
+  const thermalTargetSelect = document.getElementById("thermal-target-select");
+  const thermalTable = document.getElementById("thermal-johnson-table");
   const deviceIpAddressInput = document.getElementById("device-ip-address-input");
   const deviceSubnetInput = document.getElementById("device-subnet-input");
   const deviceGatewayInput = document.getElementById("device-gateway-input");
   const deviceMacAddressInput = document.getElementById("device-mac-address-input");
   const aspectRatioToggle = document.getElementById("camera-aspect-ratio-toggle");
+  const catalogueSearchInput = document.getElementById("camera-catalogue-search");
+  const catalogueSummary = document.getElementById("camera-catalogue-summary");
+  const recordingFpsInput = document.getElementById("camera-recording-fps-input");
+  const recordingCodecSelect = document.getElementById("camera-recording-codec-select");
+  const bitrateModeSelect = document.getElementById("camera-bitrate-mode-select");
+  const motionPercentInput = document.getElementById("camera-motion-percent-input");
+  const retentionDaysInput = document.getElementById("camera-retention-days-input");
+  const recordingSummary = document.getElementById("camera-recording-summary");
+  const lensWidthInput = document.getElementById("lens-calc-width-input");
+  const lensDistanceInput = document.getElementById("lens-calc-distance-input");
+  const lensPpmInput = document.getElementById("lens-calc-ppm-input");
+  const lensResult = document.getElementById("lens-calc-result");
+  const lensPickBtn = document.getElementById("lens-calc-pick-btn");
+  const lensApplyBtn = document.getElementById("lens-calc-apply-btn");
+  const outdoorToggle = document.getElementById("camera-outdoor-toggle");
+  const sunGlareWarning = document.getElementById("camera-sun-glare-warning");
+
+  // Canvas point picked as the lens calculator's target, and the camera it was picked for
+  let lensTarget = null;
 
   // Create panel instance
   const panel = createPanelBase();
 
+  // Lists the Johnson criteria ranges of a thermal camera for every target
+  const updateThermalTable = (group) => {
+    if (!thermalTable || !isThermalCamera(group)) return;
+    const ranges = calculateAllThermalDistances(group);
+    if (!ranges) {
+      thermalTable.innerHTML = '<tbody><tr><td class="text-muted">Set a focal length and pixel pitch to see Johnson criteria ranges</td></tr></tbody>';
+      return;
+    }
+    const levels = Object.keys(JOHNSON_CYCLES);
+    const fmt = (value) => (Number.isFinite(value) ? `${Math.round(value)}m` : "-");
+    const header = levels.map((level) => `<th>${level.charAt(0).toUpperCase() + level.slice(1)}</th>`).join("");
+    const rows = Object.entries(THERMAL_TARGETS)
+      .map(([target, { label }]) => `<tr><td>${label}</td>${levels.map((level) => `<td>${fmt(ranges[target]?.[level])}</td>`).join("")}</tr>`)
+      .join("");
+    thermalTable.innerHTML = `<thead><tr><th></th>${header}</tr></thead><tbody>${rows}</tbody>`;
+  };
+
+  // Shows the detector fields for thermal cameras and the CMOS sensor size for the rest
+  const updateThermalControls = (group) => {
+    const isThermal = isThermalCamera(group);
+    if (thermalGroup) thermalGroup.style.display = isThermal ? "" : "none";
+    const sensorSizeGroup = deviceSensorSizeInput?.closest(".form-group");
+    if (sensorSizeGroup) sensorSizeGroup.style.display = isThermal ? "none" : "";
+    if (deviceResolutionInput) deviceResolutionInput.placeholder = isThermal ? "e.g. 384x288" : "e.g. 1920x1080";
+    if (!isThermal) return;
+    if (devicePixelPitchInput) devicePixelPitchInput.value = group.pixelPitch || "";
+    if (thermalTargetSelect) thermalTargetSelect.value = getThermalTarget(group);
+    updateThermalTable(group);
+  };
+
+  // Shows the camera's estimated bitrate and storage, and the recorder it streams to
+  const updateRecordingSummary = (group) => {
+    if (!recordingSummary) return;
+    const recording = group?.coverageConfig ? calculateCameraRecording(group) : null;
+    if (!recording) {
+      recordingSummary.textContent = group?.coverageConfig ? "Set a resolution to estimate bitrate and storage" : "";
+      return;
+    }
+
+    const lines = [`${recording.averageMbps.toFixed(1)} Mbps average, ${recording.peakMbps.toFixed(1)} Mbps peak`, `${recording.storageTB.toFixed(2)} TB for ${recording.retentionDays} days`];
+    const load = getRecorderLoadFor(group);
+    if (load) {
+      lines.push(`Records to ${load.recorder.textObject?.text || "recorder"}`);
+      getRecorderWarnings(load).forEach((warning) => lines.push(`<span class="text-warning">${warning}</span>`));
+    }
+    recordingSummary.innerHTML = lines.join("<br />");
+  };
+
+  // Works out the focal length and resolution the entered target needs and shows them
+  const updateLensCalculator = () => {
+    const group = panel.currentGroup;
+    if (!lensResult) return null;
+    if (lensApplyBtn) lensApplyBtn.disabled = true;
+    if (!group?.coverageConfig) {
+      lensResult.textContent = "";
+      return null;
+    }
+    if (group.coverageConfig.projectionMode === "fisheye") {
+      lensResult.textContent = "Not available for fisheye lenses";
+      return null;
+    }
+
+    const isAspectRatio = !!group.coverageConfig.aspectRatioMode;
+    const target = { sceneWidth: parseFloat(lensWidthInput?.value), distance: parseFloat(lensDistanceInput?.value), requiredPpm: parseFloat(lensPpmInput?.value) };
+    const result = calculateRequiredLens(target, getSensorSize(group), isAspectRatio);
+    if (!result) {
+      lensResult.textContent = "Enter a scene width, distance and PPM";
+      return null;
+    }
+
+    const lines = [`${result.focalLength}mm lens (${Math.round(result.planAngle)}° view)`, `${result.minPixels}px across the scene${result.resolution ? `, at least ${result.resolution}` : ", more than any standard resolution"}`];
+    const range = getFocalRange(group);
+    if (range && (result.focalLength < range.min || result.focalLength > range.max)) lines.push(`<span class="text-warning">Outside this lens's ${range.min}–${range.max}mm range</span>`);
+    if (group.resolution && !meetsPixelsAcross(group.resolution, result.minPixels, isAspectRatio)) lines.push(`<span class="text-warning">${group.resolution} is too low for this target</span>`);
+    if (lensTarget?.camera === group) lines.push("Coverage will be aimed at the picked target");
+    lensResult.innerHTML = lines.join("<br />");
+    if (lensApplyBtn) lensApplyBtn.disabled = false;
+    return result;
+  };
+
   // Updates the camera coverage angle when focal length or sensor size changes
   const updateCameraCoverageFromFOV = () => {
     const currentGroup = panel.getCurrentGroup();
     if (!currentGroup || !currentGroup.coverageConfig) return;
+    updateThermalTable(currentGroup);
 
     const planAngle = updateCameraFromSpecs(currentGroup);
     if (planAngle === null) return;
@@ -44,13 +205,76 @@ export function initCameraSpecPanel() {
     document.dispatchEvent(event);
   };
 
+  // Shows the selected catalogue model's specs under the search box
+  const updateCatalogueSummary = (group) => {
+    if (!catalogueSummary) return;
+    const entry = findCameraModel(group?.cameraModelId);
+    const irRange = entry?.irRange ?? group?.irRange;
+    const parts = entry ? [formatLensRange(entry), entry.sensorSize ? `${entry.sensorSize}"` : "", entry.resolution] : [];
+    if (irRange) parts.push(`IR ${irRange}m`);
+    const text = parts.filter(Boolean).join(" · ");
+    catalogueSummary.textContent = text;
+    catalogueSummary.style.display = text ? "" : "none";
+  };
+
+  // Applies the picked catalogue model to the camera and refreshes every spec field
+  const selectCatalogueModel = (entry) => {
+    const group = panel.currentGroup;
+    if (!group || !entry) return;
+    applyCameraModel(group, entry);
+    panel.updatePanel(group);
+    const partNumberInput = document.getElementById("device-part-number-input");
+    const stockNumberInput = document.getElementById("device-stock-number-input");
+    if (partNumberInput) partNumberInput.value = group.partNumber || "";
+    if (stockNumberInput) stockNumberInput.value = group.stockNumber || "";
+    if (group.coverageConfig && group.resolution) group.coverageConfig.doriEnabled = true;
+    const doriToggle = document.getElementById("camera-dori-toggle");
+    if (doriToggle && group.coverageConfig) doriToggle.checked = !!group.coverageConfig.doriEnabled;
+    if (typeof window.updateDeviceCompleteIndicator === "function") window.updateDeviceCompleteIndicator(group);
+    updateCameraCoverageFromFOV();
+  };
+
   // Setup controls
+  if (catalogueSearchInput) {
+    bindCatalogueFileControls();
+    preventEventPropagation(catalogueSearchInput, ["keydown", "mousedown", "keyup"]);
+    catalogueSearchInput.addEventListener("change", () => {
+      const query = catalogueSearchInput.value.trim();
+      if (!query) return;
+      const catalogue = getCameraCatalogue();
+      const exact = catalogue.find((entry) => getCameraModelLabel(entry).toLowerCase() === query.toLowerCase());
+      const matches = exact ? [exact] : searchCameraCatalogue(query);
+      if (matches.length === 1) selectCatalogueModel(matches[0]);
+    });
+  }
+
   if (deviceFocalLengthInput) {
     bindInputToProperty(deviceFocalLengthInput, "focalLength", () => panel.currentGroup, {
       onUpdate: () => updateCameraCoverageFromFOV(),
     });
   }
 
+  // Keeps the install focal length inside the varifocal range
+  const clampFocalToRange = (group) => {
+    const range = getFocalRange(group);
+    if (!range) return;
+    const focal = parseFocalLength(group.focalLength);
+    if (focal === null || focal < range.min || focal > range.max) {
+      group.focalLength = `${focal === null || focal < range.min ? range.min : range.max}mm`;
+      if (deviceFocalLengthInput) deviceFocalLengthInput.value = group.focalLength;
+    }
+  };
+
+  [deviceFocalMinInput, deviceFocalMaxInput].forEach((input) => {
+    if (!input) return;
+    bindInputToProperty(input, input === deviceFocalMinInput ? "focalLengthMin" : "focalLengthMax", () => panel.currentGroup, {
+      onUpdate: (group) => {
+        clampFocalToRange(group);
+        updateCameraCoverageFromFOV();
+      },
+    });
+  });
+
   if (deviceSensorSizeInput) {
     bindSelectToProperty(deviceSensorSizeInput, "sensorSize", () => panel.currentGroup, {
       onUpdate: () => updateCameraCoverageFromFOV(),
@@ -69,17 +293,142 @@ export function initCameraSpecPanel() {
             group.createOrUpdateCoverageArea();
           }
         }
+        updateRecordingSummary(group);
         updateCameraCoverageFromFOV();
       },
     });
   }
 
+  if (deviceIrRangeInput) {
+    bindInputToProperty(deviceIrRangeInput, "irRange", () => panel.currentGroup, {
+      onUpdate: (group) => {
+        updateCatalogueSummary(group);
+        if (group.createOrUpdateCoverageArea) group.createOrUpdateCoverageArea();
+      },
+    });
+  }
+
+  if (devicePixelPitchInput) {
+    bindInputToProperty(devicePixelPitchInput, "pixelPitch", () => panel.currentGroup, {
+      onUpdate: (group, value) => {
+        if (group.coverageConfig && value) {
+          group.coverageConfig.doriEnabled = true;
+          const doriToggle = document.getElementById("camera-dori-toggle");
+          if (doriToggle) doriToggle.checked = true;
+        }
+        if (group.createOrUpdateCoverageArea) group.createOrUpdateCoverageArea();
+        updateCameraCoverageFromFOV();
+      },
+    });
+  }
+
+  if (thermalTargetSelect) {
+    thermalTargetSelect.addEventListener("change", () => {
+      const group = panel.currentGroup;
+      if (!group || !group.coverageConfig) return;
+      group.coverageConfig.thermalTarget = thermalTargetSelect.value;
+      if (group.createOrUpdateCoverageArea) group.createOrUpdateCoverageArea();
+    });
+  }
+
+  // Recording settings
+  [recordingFpsInput, motionPercentInput, retentionDaysInput].forEach((input) => {
+    if (!input) return;
+    const property = input === recordingFpsInput ? "recordingFps" : input === motionPercentInput ? "motionPercent" : "retentionDays";
+    bindInputToProperty(input, property, () => panel.currentGroup, { onUpdate: (group) => updateRecordingSummary(group) });
+  });
+  if (recordingCodecSelect) bindSelectToProperty(recordingCodecSelect, "recordingCodec", () => panel.currentGroup, { onUpdate: (group) => updateRecordingSummary(group) });
+  if (bitrateModeSelect) bindSelectToProperty(bitrateModeSelect, "bitrateMode", () => panel.currentGroup, { onUpdate: (group) => updateRecordingSummary(group) });
+
+  // Lens calculator
+  [lensWidthInput, lensDistanceInput, lensPpmInput].forEach((input) => {
+    if (!input) return;
+    preventEventPropagation(input, ["keydown", "mousedown", "keyup"]);
+    input.addEventListener("input", () => {
+      // A typed distance no longer matches the picked target
+      if (input === lensDistanceInput) lensTarget = null;
+      updateLensCalculator();
+    });
+  });
+
+  // Measures the distance to a clicked point and remembers it so the coverage can be aimed there
+  if (lensPickBtn) {
+    lensPickBtn.addEventListener("click", () => {
+      const camera = panel.currentGroup;
+      const fabricCanvas = camera?.canvas;
+      if (!fabricCanvas || !camera.coverageConfig) return;
+      startTool(fabricCanvas, "lens-target", (e) => {
+        const point = fabricCanvas.getPointer(e.e);
+        stopCurrentTool();
+        const pixelsPerMeter = fabricCanvas.pixelsPerMeter || DEFAULT_PIXELS_PER_METER;
+        lensTarget = { camera, point };
+        if (lensDistanceInput) lensDistanceInput.value = (distance(camera.getCenterPoint(), point) / pixelsPerMeter).toFixed(1);
+        // Clicking the canvas drops the selection, so bring the camera back
+        fabricCanvas.setActiveObject(camera);
+        fabricCanvas.requestRenderAll();
+        updateLensCalculator();
+      });
+    });
+  }
+
+  // Sets the camera to the calculated lens and resolution, then aims it at the picked target
+  if (lensApplyBtn) {
+    lensApplyBtn.addEventListener("click", () => {
+      const group = panel.currentGroup;
+      const result = updateLensCalculator();
+      if (!group || !result) return;
+
+      const isAspectRatio = !!group.coverageConfig.aspectRatioMode;
+      group.focalLength = `${result.focalLength}mm`;
+      clampFocalToRange(group);
+      if (result.resolution && !meetsPixelsAcross(group.resolution, result.minPixels, isAspectRatio)) {
+        group.resolution = result.resolution;
+        group.coverageConfig.doriEnabled = true;
+      }
+      updateCameraCoverageFromFOV();
+      if (lensTarget?.camera === group) aimCameraAt(group, lensTarget.point);
+
+      if (typeof window.updateDeviceCompleteIndicator === "function") window.updateDeviceCompleteIndicator(group);
+      if (typeof window.showDeviceProperties === "function") window.showDeviceProperties(group.deviceType, group.textObject, group);
+      group.canvas?.requestRenderAll();
+    });
+  }
+
   // Network settings
   if (deviceIpAddressInput) bindInputToProperty(deviceIpAddressInput, "ipAddress", () => panel.currentGroup);
   if (deviceSubnetInput) bindInputToProperty(deviceSubnetInput, "subnetMask", () => panel.currentGroup);
   if (deviceGatewayInput) bindInputToProperty(deviceGatewayInput, "gatewayAddress", () => panel.currentGroup);
   if (deviceMacAddressInput) bindInputToProperty(deviceMacAddressInput, "macAddress", () => panel.currentGroup);
 
+  // Shows whether an outdoor camera faces into the low dawn or dusk sun
+  const updateSunGlareWarning = (group) => {
+    if (!sunGlareWarning) return;
+    sunGlareWarning.classList.remove("text-danger");
+    if (!group?.isOutdoor) {
+      sunGlareWarning.textContent = "";
+      return;
+    }
+    if (!getSiteLocation(group.canvas)) {
+      sunGlareWarning.textContent = "Capture a map background to check for sun glare";
+      return;
+    }
+    const result = checkSunGlare(group);
+    if (!result) {
+      sunGlareWarning.textContent = "Ceiling fisheyes look down and aren't checked for sun glare";
+      return;
+    }
+    sunGlareWarning.textContent = hasSunGlare(result) ? describeSunGlare(result) : "No low sun in view at dawn or dusk";
+    sunGlareWarning.classList.toggle("text-danger", hasSunGlare(result));
+  };
+
+  createToggleHandler(outdoorToggle, (checked) => {
+    const group = panel.currentGroup;
+    if (!group?.coverageConfig) return;
+    group.isOutdoor = checked;
+    updateSunGlareWarning(group);
+    window.scheduleSunGlareUpdate?.();
+  });
+
   // Handle Aspect Ratio Toggle
   if (aspectRatioToggle) {
     createToggleHandler(aspectRatioToggle, (checked) => {
@@ -99,12 +448,21 @@ export function initCameraSpecPanel() {
     if (deviceFocalLengthInput) {
       deviceFocalLengthInput.value = group?.focalLength || "";
     }
+    if (deviceFocalMinInput) {
+      deviceFocalMinInput.value = group?.focalLengthMin || "";
+    }
+    if (deviceFocalMaxInput) {
+      deviceFocalMaxInput.value = group?.focalLengthMax || "";
+    }
     if (deviceSensorSizeInput) {
       deviceSensorSizeInput.value = group?.sensorSize || "1/2.0";
     }
     if (deviceResolutionInput) {
       deviceResolutionInput.value = group?.resolution || "";
     }
+    if (deviceIrRangeInput) {
+      deviceIrRangeInput.value = group?.irRange || "";
+    }
     if (deviceIpAddressInput) {
       deviceIpAddressInput.value = group?.ipAddress || "";
     }
@@ -117,10 +475,24 @@ export function initCameraSpecPanel() {
     if (deviceMacAddressInput) {
       deviceMacAddressInput.value = group?.macAddress || "";
     }
+    if (catalogueSearchInput) {
+      catalogueSearchInput.value = group?.cameraModel ? [group.cameraManufacturer, group.cameraModel].filter(Boolean).join(" ") : "";
+    }
+    if (recordingFpsInput) recordingFpsInput.value = group?.recordingFps || "";
+    if (recordingCodecSelect) recordingCodecSelect.value = group?.recordingCodec || RECORDING_DEFAULTS.recordingCodec;
+    if (bitrateModeSelect) bitrateModeSelect.value = group?.bitrateMode || RECORDING_DEFAULTS.bitrateMode;
+    if (motionPercentInput) motionPercentInput.value = group?.motionPercent ?? "";
+    if (retentionDaysInput) retentionDaysInput.value = group?.retentionDays || "";
+    updateCatalogueSummary(group);
+    updateThermalControls(group);
+    updateRecordingSummary(group);
+    updateLensCalculator();
+    if (outdoorToggle) outdoorToggle.checked = !!group?.isOutdoor;
+    updateSunGlareWarning(group);
 
     // Calculate and store the theoretical angle for warning comparison
-    if (group && group.focalLength && group.sensorSize) {
-      const fov = calculateFOV(group.focalLength, group.sensorSize);
+    if (group && group.focalLength && (group.sensorSize || isThermalCamera(group))) {
+      const fov = calculateFOV(group.focalLength, getSensorSize(group));
       if (fov) {
         const isAspectRatio = group.coverageConfig?.aspectRatioMode || false;
         let planAngle;
@@ -140,12 +512,23 @@ export function initCameraSpecPanel() {
   panel.clearPanel = function() {
     panel.currentGroup = null;
     if (deviceFocalLengthInput) deviceFocalLengthInput.value = "";
+    if (deviceFocalMinInput) deviceFocalMinInput.value = "";
+    if (deviceFocalMaxInput) deviceFocalMaxInput.value = "";
     if (deviceSensorSizeInput) deviceSensorSizeInput.value = "1/2.0";
     if (deviceResolutionInput) deviceResolutionInput.value = "";
+    if (deviceIrRangeInput) deviceIrRangeInput.value = "";
     if (deviceIpAddressInput) deviceIpAddressInput.value = "";
     if (deviceSubnetInput) deviceSubnetInput.value = "";
     if (deviceGatewayInput) deviceGatewayInput.value = "";
     if (deviceMacAddressInput) deviceMacAddressInput.value = "";
+    if (catalogueSearchInput) catalogueSearchInput.value = "";
+    [recordingFpsInput, motionPercentInput, retentionDaysInput].forEach((input) => input && (input.value = ""));
+    updateCatalogueSummary(null);
+    updateThermalControls(null);
+    updateRecordingSummary(null);
+    updateLensCalculator();
+    if (outdoorToggle) outdoorToggle.checked = false;
+    updateSunGlareWarning(null);
   };
 
   // Return object with same interface as before for backward compatibility
@@ -1,4 +1,9 @@
-import { createPanelBase, bindInputToProperty, bindSelectToProperty } from "../sidebar-utils.js";
+import { createPanelBase, bindInputToProperty, bindSelectToProperty, preventEventPropagation } from "../sidebar-utils.js";
+import { isRecorder, getRecorderLoadFor, getRecorderWarnings } from "../../devices/camera/camera-recording.js";
+import { getPowerBudgetsFor, getPowerWarnings, updatePowerBudgetHighlights } from "../../network/power-budget.js";
+import { setDeviceStatus } from "../../devices/device-status.js";
+import { getFieldsForCategory, getCustomFieldValue, setCustomFieldValue, createCustomFieldInput } from "../../devices/device-custom-fields.js";
+import { DeviceTakeoffGenerator } from "../../devices/device-takeoff.js";
 
 // Sets up the details panel for device name, location, part number, and other info
 export function initDetailsPanel() {
@@ -6,6 +11,20 @@ export function initDetailsPanel() {
   const partNumberInput = document.getElementById("device-part-number-input");
   const fittingPositionsInput = document.getElementById("fitting-positions");
   const stockNumberInput = document.getElementById("device-stock-number-input");
+  const statusSelect = document.getElementById("device-status-select");
+  const customFieldsContainer = document.getElementById("device-custom-fields");
+  const recorderGroup = document.getElementById("recorder-settings-group");
+  const recorderStorageInput = document.getElementById("recorder-storage-input");
+  const recorderChannelsInput = document.getElementById("recorder-channels-input");
+  const recorderLoadSummary = document.getElementById("recorder-load-summary");
+  const poeClassSelect = document.getElementById("device-poe-class-select");
+  const poeWattsInput = document.getElementById("device-poe-watts-input");
+  const dcVoltageSelect = document.getElementById("device-dc-voltage-select");
+  const dcCurrentInput = document.getElementById("device-dc-current-input");
+  const powerSupplyGroup = document.getElementById("power-supply-group");
+  const poeBudgetInput = document.getElementById("device-poe-budget-input");
+  const dcBudgetInput = document.getElementById("device-dc-budget-input");
+  const powerSummary = document.getElementById("device-power-summary");
 
   // Create panel instance
   const panel = createPanelBase();
@@ -20,6 +39,102 @@ export function initDetailsPanel() {
   if (stockNumberInput) {
     bindInputToProperty(stockNumberInput, "stockNumber", () => panel.currentGroup);
   }
+  // Redraws the status badge and reapplies the layer status filter
+  bindSelectToProperty(statusSelect, "deviceStatus", () => panel.currentGroup, { onUpdate: (group, value) => setDeviceStatus(group, value) });
+
+  // Builds an input for each custom field that applies to the device's category
+  const renderCustomFields = (group) => {
+    if (!customFieldsContainer) return;
+    customFieldsContainer.innerHTML = "";
+    if (!group) return;
+    const category = DeviceTakeoffGenerator.getCategoryForDevice(group.deviceType, !!group.coverageConfig);
+    getFieldsForCategory(category).forEach((field) => {
+      const formGroup = document.createElement("div");
+      formGroup.className = "form-group";
+      const label = document.createElement("label");
+      label.className = "form-label";
+      label.htmlFor = `custom-field-${field.id}`;
+      label.textContent = `${field.label}:`;
+      const input = createCustomFieldInput(field, getCustomFieldValue(group, field));
+      input.addEventListener(field.type === "dropdown" || field.type === "date" ? "change" : "input", () => {
+        if (panel.currentGroup === group) setCustomFieldValue(group, field, input.value);
+      });
+      preventEventPropagation(input, ["keydown", "keyup", "mousedown"]);
+      formGroup.append(label, input);
+      customFieldsContainer.appendChild(formGroup);
+    });
+  };
+  document.addEventListener("custom-fields-changed", () => renderCustomFields(panel.currentGroup));
+
+  // Totals the cameras recorded by an NVR/DVR and warns when its disk or channels are exceeded
+  const updateRecorderSummary = (group) => {
+    if (!recorderLoadSummary || !group) return;
+    const load = getRecorderLoadFor(group);
+    if (!load || !load.cameras.length) {
+      recorderLoadSummary.textContent = "No cameras connected";
+      return;
+    }
+    const lines = [
+      `${load.cameras.length} camera${load.cameras.length === 1 ? "" : "s"}, ${load.channels} channel${load.channels === 1 ? "" : "s"}${load.channelLimit ? ` of ${load.channelLimit}` : ""}`,
+      `${load.averageMbps.toFixed(1)} Mbps average, ${load.peakMbps.toFixed(1)} Mbps peak`,
+      `${load.storageTB.toFixed(2)} TB needed${load.capacityTB ? ` of ${load.capacityTB} TB` : ""}`,
+    ];
+    const missing = load.cameras.filter((entry) => !entry.recording).length;
+    if (missing) lines.push(`${missing} camera${missing === 1 ? " has" : "s have"} no resolution set`);
+    getRecorderWarnings(load).forEach((warning) => lines.push(`<span class="text-warning">${warning}</span>`));
+    recorderLoadSummary.innerHTML = lines.join("<br />");
+  };
+
+  [recorderStorageInput, recorderChannelsInput].forEach((input) => {
+    if (!input) return;
+    bindInputToProperty(input, input === recorderStorageInput ? "recorderStorage" : "recorderChannels", () => panel.currentGroup, { onUpdate: (group) => updateRecorderSummary(group) });
+  });
+
+  // Shows the supply a device draws from, or the load on a supply, with any overruns
+  const updatePowerSummary = (group) => {
+    if (!powerSummary || !group) return;
+    const budgets = getPowerBudgetsFor(group);
+    if (!budgets.length) {
+      powerSummary.textContent = "Not connected to a power budget";
+      return;
+    }
+    // Built from nodes so device names are shown as text
+    const lines = [];
+    const addLine = (text, className) => {
+      if (lines.length) lines.push(document.createElement("br"));
+      if (!className) return lines.push(document.createTextNode(text));
+      const span = document.createElement("span");
+      span.className = className;
+      span.textContent = text;
+      lines.push(span);
+    };
+    budgets.forEach((budget) => {
+      if (budget.supply === group) {
+        addLine(`${budget.loads.length} powered device${budget.loads.length === 1 ? "" : "s"}`);
+        if (budget.poeBudget) addLine(`PoE: ${budget.poeWatts.toFixed(1)} W of ${budget.poeBudget} W`);
+        if (budget.dcBudget) addLine(`DC: ${budget.dcAmps.toFixed(2)} A of ${budget.dcBudget} A`);
+      } else {
+        addLine(`Powered by ${budget.supply.textObject?.text || "supply"}`);
+      }
+      getPowerWarnings(budget).forEach((warning) => addLine(warning, "text-warning"));
+    });
+    powerSummary.replaceChildren(...lines);
+  };
+
+  // Refreshes the summary and the over-budget outlines after a power value changes
+  const onPowerUpdate = (group) => {
+    updatePowerSummary(group);
+    if (group.canvas) updatePowerBudgetHighlights(group.canvas);
+  };
+
+  [
+    [poeWattsInput, "poeWatts"],
+    [dcCurrentInput, "dcCurrent"],
+    [poeBudgetInput, "poeBudget"],
+    [dcBudgetInput, "dcBudget"],
+  ].forEach(([input, propName]) => bindInputToProperty(input, propName, () => panel.currentGroup, { onUpdate: onPowerUpdate }));
+  bindSelectToProperty(poeClassSelect, "poeClass", () => panel.currentGroup, { onUpdate: onPowerUpdate });
+  bindSelectToProperty(dcVoltageSelect, "dcVoltage", () => panel.currentGroup, { onUpdate: onPowerUpdate });
 
   // Handles mounted position dropdown - converts "Select" to empty string
   if (fittingPositionsInput) {
@@ -44,6 +159,27 @@ export function initDetailsPanel() {
     if (stockNumberInput) {
       stockNumberInput.value = group?.stockNumber || "";
     }
+    if (statusSelect) statusSelect.value = group?.deviceStatus || "";
+    renderCustomFields(group);
+    const showRecorder = isRecorder(group);
+    if (recorderGroup) recorderGroup.style.display = showRecorder ? "" : "none";
+    if (showRecorder) {
+      if (recorderStorageInput) recorderStorageInput.value = group.recorderStorage || "";
+      if (recorderChannelsInput) recorderChannelsInput.value = group.recorderChannels || "";
+      updateRecorderSummary(group);
+    }
+    if (poeClassSelect) poeClassSelect.value = group?.poeClass || "";
+    if (poeWattsInput) poeWattsInput.value = group?.poeWatts || "";
+    if (dcVoltageSelect) dcVoltageSelect.value = group?.dcVoltage || "";
+    if (dcCurrentInput) dcCurrentInput.value = group?.dcCurrent || "";
+    // Cameras draw power but never supply it
+    const showSupply = !!group && !group.coverageConfig;
+    if (powerSupplyGroup) powerSupplyGroup.style.display = showSupply ? "" : "none";
+    if (showSupply) {
+      if (poeBudgetInput) poeBudgetInput.value = group.poeBudget || "";
+      if (dcBudgetInput) dcBudgetInput.value = group.dcBudget || "";
+    }
+    updatePowerSummary(group);
   };
 
   // Override clearPanel
@@ -53,6 +189,14 @@ export function initDetailsPanel() {
     if (deviceLocationInput) deviceLocationInput.value = "";
     if (fittingPositionsInput) fittingPositionsInput.value = "Select";
     if (stockNumberInput) stockNumberInput.value = "";
+    if (statusSelect) statusSelect.value = "";
+    renderCustomFields(null);
+    if (recorderGroup) recorderGroup.style.display = "none";
+    [poeClassSelect, poeWattsInput, dcVoltageSelect, dcCurrentInput, poeBudgetInput, dcBudgetInput].forEach((input) => {
+      if (input) input.value = "";
+    });
+    if (powerSupplyGroup) powerSupplyGroup.style.display = "none";
+    if (powerSummary) powerSummary.textContent = "";
   };
 
   // Add updateChannelInfo method
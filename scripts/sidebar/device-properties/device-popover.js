@@ -1,6 +1,7 @@
 import { createPopoverBase } from "../popover-utils.js";
 import "./details-panel.js";
 import "./camera-coverage-panel.js";
+import "./bulk-edit-popover.js";
 
 // Sets up the device popover that shows when a device is selected
 (function () {
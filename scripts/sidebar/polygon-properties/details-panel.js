@@ -2,6 +2,9 @@ import { preventEventPropagation, wrapGlobalFunction, createSliderInputSync, upd
 import { getHexFromFill } from "../sidebar-utils.js";
 import { updateDevicesList } from "../sidebar-utils.js";
 import { initAppearancePanel } from "./appearance-panel.js";
+import { initPlacementPanel } from "./placement-panel.js";
+import { COVERAGE_LEVELS, calculatePolygonCoverage, highlightUncoveredAreas, clearUncoveredHighlight, isUncoveredHighlightShown, generateCoverageScheduleCSV } from "../../devices/camera/camera-coverage-analysis.js";
+import { calculatePolygonRedundancy } from "../../devices/camera/camera-overlap.js";
 
 // Stores the currently selected zone or room
 let currentPolygon = null;
@@ -18,6 +21,7 @@ export function initDetailsPanel() {
   const zoneNotesInput = document.getElementById("zone-notes-input");
   const zoneNumberInput = document.getElementById("zone-number-input");
   const zoneResistanceInput = document.getElementById("zone-resistance-value-input");
+  const zoneRedundantToggle = document.getElementById("zone-redundant-coverage-toggle");
 
   // Room controls
   const roomLabelInput = document.getElementById("room-label-input");
@@ -31,6 +35,12 @@ export function initDetailsPanel() {
   const roomHeightSlider = document.getElementById("room-height-slider");
   const roomWarning = document.getElementById("room-warning");
 
+  // Coverage controls
+  const zoneCoverageSummary = document.getElementById("zone-coverage-summary");
+  const zoneHighlightBtn = document.getElementById("zone-highlight-uncovered-btn");
+  const roomCoverageSummary = document.getElementById("room-coverage-summary");
+  const roomHighlightBtn = document.getElementById("room-highlight-uncovered-btn");
+
   // Handles typing in zone name input
   if (zoneNameInput) {
     zoneNameInput.addEventListener("input", (e) => {
@@ -75,6 +85,16 @@ export function initDetailsPanel() {
     preventEventPropagation(zoneResistanceInput);
   }
 
+  // Handles ticking the redundant coverage requirement, which changes the coverage warning
+  if (zoneRedundantToggle) {
+    zoneRedundantToggle.addEventListener("change", (e) => {
+      if (currentPolygon && currentPolygon.canvas) {
+        currentPolygon.requiresRedundantCoverage = e.target.checked;
+        updateCoverageSummary(zoneCoverageSummary, zoneHighlightBtn, currentPolygon, currentPolygon.canvas);
+      }
+    });
+  }
+
   // Handles typing in room name input
   if (roomLabelInput) {
     roomLabelInput.addEventListener("input", (e) => {
@@ -138,6 +158,81 @@ export function initDetailsPanel() {
     preventEventPropagation(roomHeightSlider, ["click"]);
   }
 
+  // Sets the highlight button text to match whether the highlight is showing
+  const updateHighlightButton = (button, polygon) => {
+    if (button) button.textContent = isUncoveredHighlightShown(polygon) ? "Hide Uncovered" : "Highlight Uncovered";
+  };
+
+  // Shows what share of a zone or room the cameras cover at each DORI level
+  function updateCoverageSummary(container, button, polygon, fabricCanvas) {
+    if (!container || !polygon || !fabricCanvas) return;
+    if (!isUncoveredHighlightShown(polygon)) clearUncoveredHighlight();
+    updateHighlightButton(button, polygon);
+
+    try {
+      const coverage = calculatePolygonCoverage(fabricCanvas, polygon);
+      if (!coverage) {
+        container.innerHTML = '<span class="text-muted">Coverage not available for this shape</span>';
+        return;
+      }
+      const redundancy = calculatePolygonRedundancy(fabricCanvas, polygon);
+      const row = (label, value) => `<tr><td>${label}</td><td class="text-end">${value.toFixed(1)}%</td></tr>`;
+      container.innerHTML = `<table class="table table-sm mb-0">${[
+        row("Covered", coverage.coveredPercent),
+        ...COVERAGE_LEVELS.map(({ key, label }) => row(`${label} or better`, coverage.levels[key])),
+        row("Uncovered", coverage.uncoveredPercent),
+        redundancy ? row("Seen by 2+ cameras", redundancy.redundantPercent) : "",
+      ].join("")}</table>`;
+
+      // Warns when a zone that needs dual coverage has areas seen by one camera or none
+      if (polygon.requiresRedundantCoverage && redundancy) {
+        const warnings = [];
+        if (redundancy.uncoveredPercent > 0) warnings.push(`${redundancy.uncoveredPercent.toFixed(1)}% of this zone is seen by no camera`);
+        if (redundancy.singlePercent > 0) warnings.push(`${redundancy.singlePercent.toFixed(1)}% of this zone is seen by only one camera`);
+        warnings.forEach((warning) => container.insertAdjacentHTML("beforeend", `<small class="text-warning d-block mt-1">${warning}</small>`));
+      }
+    } catch (error) {
+      console.error("Error calculating coverage:", error);
+      container.innerHTML = '<span class="text-muted">Coverage could not be calculated</span>';
+    }
+  }
+
+  // Turns the uncovered area highlight on or off for a zone or room
+  const toggleUncoveredHighlight = (button, polygon) => {
+    if (!polygon?.canvas) return;
+    if (isUncoveredHighlightShown(polygon)) {
+      clearUncoveredHighlight(polygon.canvas);
+    } else if (highlightUncoveredAreas(polygon.canvas, polygon) === 0) {
+      clearUncoveredHighlight(polygon.canvas);
+      alert("This area is fully covered by cameras");
+    }
+    updateHighlightButton(button, polygon);
+  };
+
+  zoneHighlightBtn?.addEventListener("click", () => toggleUncoveredHighlight(zoneHighlightBtn, currentPolygon));
+  roomHighlightBtn?.addEventListener("click", () => toggleUncoveredHighlight(roomHighlightBtn, currentRoomPolygon));
+
+  // Downloads the coverage schedule for every zone and room on the floor
+  const exportCoverageSchedule = () => {
+    const fabricCanvas = currentPolygon?.canvas || currentRoomPolygon?.canvas;
+    const csv = fabricCanvas ? generateCoverageScheduleCSV(fabricCanvas) : "";
+    if (!csv) {
+      alert("No zones or rooms found to export");
+      return;
+    }
+
+    const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, "-");
+    const url = URL.createObjectURL(new Blob([csv], { type: "text/csv;charset=utf-8;" }));
+    const link = Object.assign(document.createElement("a"), { href: url, download: `coverage-schedule-${timestamp}.csv` });
+    link.style.visibility = "hidden";
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  };
+
+  ["zone-export-coverage-btn", "room-export-coverage-btn"].forEach((id) => document.getElementById(id)?.addEventListener("click", exportCoverageSchedule));
+
   // Updates the list of devices inside a zone
   function updateZoneDevicesList(zone, fabricCanvas) {
     const zoneDevicesList = document.getElementById("zone-devices-list");
@@ -188,6 +283,7 @@ export function initDetailsPanel() {
         if (zoneResistanceInput) {
           zoneResistanceInput.value = polygon.zoneResistanceValue !== undefined && polygon.zoneResistanceValue !== null ? String(polygon.zoneResistanceValue) : polygon.zoneResistanceValue || "";
         }
+        if (zoneRedundantToggle) zoneRedundantToggle.checked = !!polygon.requiresRedundantCoverage;
         // Update height slider
         if (zoneHeightInput && zoneHeightSlider && textObject) {
           let heightValue = textObject?.displayHeight !== undefined ? textObject.displayHeight : polygon.height || 2.4;
@@ -199,6 +295,7 @@ export function initDetailsPanel() {
           if (zoneWarning) updateWarningText(zoneWarning, heightValue);
         }
         if (currentZone && polygon && polygon.canvas) updateZoneDevicesList(currentZone, polygon.canvas);
+        if (polygon && polygon.canvas) updateCoverageSummary(zoneCoverageSummary, zoneHighlightBtn, polygon, polygon.canvas);
       } else if (deviceType === "room-polygon") {
         currentRoomPolygon = polygon;
         currentRoomText = textObject;
@@ -217,9 +314,11 @@ export function initDetailsPanel() {
           if (roomWarning) updateWarningText(roomWarning, heightValue);
         }
         if (currentRoom && polygon && polygon.canvas) updateRoomDevicesList(currentRoom, polygon.canvas);
+        if (polygon && polygon.canvas) updateCoverageSummary(roomCoverageSummary, roomHighlightBtn, polygon, polygon.canvas);
       }
     },
     clearDetailsPanel: () => {
+      clearUncoveredHighlight();
       currentPolygon = null;
       currentTextObject = null;
       currentZone = null;
@@ -234,6 +333,7 @@ export function initDetailsPanel() {
 const initPolygonPropertiesCoordinator = () => {
   const detailsPanelInstance = initDetailsPanel();
   const appearancePanelInstance = initAppearancePanel(detailsPanelInstance);
+  const placementPanelInstance = initPlacementPanel(detailsPanelInstance);
 
   wrapGlobalFunction("showDeviceProperties", (deviceType, textObject, polygon, fourthParam) => {
     if (deviceType === "zone-polygon" || deviceType === "room-polygon") {
@@ -245,6 +345,7 @@ const initPolygonPropertiesCoordinator = () => {
       } else {
         const { currentRoom, currentRoomPolygon, currentRoomText } = detailsPanelInstance.getCurrentRoom();
         appearancePanelInstance.updateAppearancePanel("room", currentRoomPolygon, currentRoomText, currentRoom);
+        placementPanelInstance.updatePlacementPanel(currentRoomPolygon, currentRoom);
       }
     }
   });
@@ -252,6 +353,7 @@ const initPolygonPropertiesCoordinator = () => {
   wrapGlobalFunction("hideDeviceProperties", () => {
     detailsPanelInstance.clearDetailsPanel();
     appearancePanelInstance.clearAppearancePanel();
+    placementPanelInstance.clearPlacementPanel();
   });
 
   // Helper function for showing room properties
@@ -0,0 +1,162 @@
+import { preventEventPropagation, makeRowInput, makeRowButton, makeLabelled } from "../sidebar-utils.js";
+import { getCameraCatalogue, findCameraModel, getCameraModelLabel } from "../../devices/camera/camera-catalogue.js";
+import { suggestCameraPlacements, evaluateSuggestions, showSuggestionPreview, clearSuggestionPreview, placeSuggestedCameras, getModelLensOptions } from "../../devices/camera/camera-placement.js";
+import { COVERAGE_LEVELS } from "../../devices/camera/camera-coverage-analysis.js";
+
+// Sets up the camera suggestion controls for rooms
+export function initPlacementPanel(detailsPanelInstance) {
+  const modelSelect = document.getElementById("room-suggest-model-select");
+  const levelSelect = document.getElementById("room-suggest-level-select");
+  const targetInput = document.getElementById("room-suggest-target-input");
+  const heightInput = document.getElementById("room-suggest-height-input");
+  const suggestBtn = document.getElementById("room-suggest-btn");
+  const results = document.getElementById("room-suggest-results");
+  const list = document.getElementById("room-suggest-list");
+  const summary = document.getElementById("room-suggest-summary");
+  const placeBtn = document.getElementById("room-suggest-place-btn");
+  const discardBtn = document.getElementById("room-suggest-discard-btn");
+
+  // Suggestions being reviewed, and the room and settings they were made for
+  let suggestions = [];
+  let suggestionPolygon = null;
+  let suggestionOptions = null;
+
+  // Fills the model picker from the catalogue, keeping the current choice
+  const renderModelOptions = () => {
+    if (!modelSelect) return;
+    const selected = modelSelect.value;
+    modelSelect.replaceChildren(
+      ...getCameraCatalogue()
+        .filter((entry) => entry.resolution)
+        .map((entry) => new Option(getCameraModelLabel(entry), entry.id))
+    );
+    if (selected && findCameraModel(selected)) modelSelect.value = selected;
+  };
+
+  // Reads the picker settings
+  const getOptions = () => ({
+    model: findCameraModel(modelSelect?.value),
+    targetLevel: levelSelect?.value || "recognition",
+    targetPercent: Math.max(1, Math.min(100, parseFloat(targetInput?.value) || 90)),
+    mountHeight: Math.max(1, parseFloat(heightInput?.value) || 3),
+  });
+
+  // Builds the editable row for one suggested camera
+  const createSuggestionRow = (suggestion, index) => {
+    const row = document.createElement("div");
+    row.className = "border rounded p-1 mb-1";
+    row.dataset.index = index;
+
+    const header = document.createElement("div");
+    header.className = "d-flex gap-1 align-items-center justify-content-between";
+    header.append(`Camera ${index + 1}`, makeRowButton("delete", "×", "Remove suggestion"));
+
+    const lensOptions = getModelLensOptions(suggestionOptions.model);
+    const values = document.createElement("div");
+    values.className = "d-flex gap-1 align-items-end mt-1";
+    values.append(
+      makeLabelled("Pan°", makeRowInput("pan", "number", suggestion.pan, { min: 0, max: 359, step: 1 })),
+      makeLabelled("Lens mm", makeRowInput("focalLength", "number", suggestion.focalLength, { min: lensOptions[0], max: lensOptions[lensOptions.length - 1], step: 0.1, disabled: lensOptions.length === 1 })),
+      makeLabelled("Tilt°", makeRowInput("tilt", "number", suggestion.tilt, { min: 0, max: 90, step: 1 }))
+    );
+
+    row.append(header, values);
+    return row;
+  };
+
+  // Redraws the list, preview and combined coverage after a change
+  const refreshSuggestions = () => {
+    const fabricCanvas = suggestionPolygon?.canvas;
+    if (!results || !fabricCanvas) return;
+
+    results.style.display = "";
+    list?.replaceChildren(...suggestions.map(createSuggestionRow));
+    if (!suggestions.length && list) list.innerHTML = '<div class="text-muted">No cameras suggested</div>';
+
+    const { views, coveredPercent } = evaluateSuggestions(fabricCanvas, suggestionPolygon, suggestions, suggestionOptions);
+    showSuggestionPreview(fabricCanvas, views);
+
+    const level = COVERAGE_LEVELS.find(({ key }) => key === suggestionOptions.targetLevel)?.label || "";
+    if (summary) summary.textContent = `${suggestions.length} camera${suggestions.length === 1 ? "" : "s"} covering ${coveredPercent.toFixed(1)}% of the room at ${level} (target ${suggestionOptions.targetPercent}%)`;
+    if (placeBtn) placeBtn.disabled = !suggestions.length;
+  };
+
+  // Throws away the suggestions and their preview
+  const discardSuggestions = () => {
+    if (suggestionPolygon?.canvas) clearSuggestionPreview(suggestionPolygon.canvas);
+    suggestions = [];
+    suggestionPolygon = null;
+    suggestionOptions = null;
+    if (results) results.style.display = "none";
+    list?.replaceChildren();
+  };
+
+  // Works out suggestions for the selected room
+  suggestBtn?.addEventListener("click", () => {
+    const { currentRoomPolygon } = detailsPanelInstance.getCurrentRoom();
+    if (!currentRoomPolygon?.canvas) return;
+
+    const options = getOptions();
+    if (!options.model) {
+      alert("Choose a camera model with a resolution from the catalogue first");
+      return;
+    }
+
+    try {
+      const result = suggestCameraPlacements(currentRoomPolygon.canvas, currentRoomPolygon, options);
+      if (!result) {
+        alert("Cameras could not be suggested for this room");
+        return;
+      }
+      suggestions = result.suggestions;
+      suggestionPolygon = currentRoomPolygon;
+      suggestionOptions = options;
+      refreshSuggestions();
+    } catch (error) {
+      console.error("Error suggesting camera placements:", error);
+      alert("Cameras could not be suggested for this room");
+    }
+  });
+
+  // Handles edits to the suggestion rows
+  if (list) {
+    preventEventPropagation(list, ["keydown", "mousedown", "keyup"]);
+    list.addEventListener("change", (e) => {
+      const index = parseInt(e.target.closest("[data-index]")?.dataset.index, 10);
+      const field = e.target.dataset.field;
+      if (!suggestions[index] || !field) return;
+      const value = parseFloat(e.target.value);
+      if (!Number.isFinite(value)) return refreshSuggestions();
+      suggestions[index] = { ...suggestions[index], [field]: field === "pan" ? ((Math.round(value) % 360) + 360) % 360 : value };
+      refreshSuggestions();
+    });
+    list.addEventListener("click", (e) => {
+      const button = e.target.closest("[data-action='delete']");
+      if (!button) return;
+      suggestions.splice(parseInt(button.closest("[data-index]").dataset.index, 10), 1);
+      refreshSuggestions();
+    });
+  }
+
+  // Places the reviewed suggestions as real cameras
+  placeBtn?.addEventListener("click", () => {
+    const fabricCanvas = suggestionPolygon?.canvas;
+    if (!fabricCanvas || !suggestions.length) return;
+    placeSuggestedCameras(fabricCanvas, suggestions, suggestionOptions);
+    discardSuggestions();
+  });
+
+  discardBtn?.addEventListener("click", discardSuggestions);
+  [targetInput, heightInput].forEach((input) => input && preventEventPropagation(input, ["keydown", "mousedown", "keyup"]));
+  document.addEventListener("camera-catalogue-changed", renderModelOptions);
+
+  return {
+    // Refreshes the model list and drops suggestions made for a different room
+    updatePlacementPanel: (polygon, room) => {
+      renderModelOptions();
+      if (heightInput && room?.height && suggestionPolygon !== polygon) heightInput.value = Math.min(room.height, parseFloat(heightInput.max) || 20);
+      if (suggestionPolygon && suggestionPolygon !== polygon) discardSuggestions();
+    },
+    clearPlacementPanel: discardSuggestions,
+  };
+}
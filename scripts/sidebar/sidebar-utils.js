@@ -435,6 +435,29 @@ export function updateTextPosition(group, textObject) {
 // PANEL BASE UTILITIES - Common functionality for device property panels
 // ============================================================================
 
+// Builds a small input for an editable list row, tagged with the field it edits
+export const makeRowInput = (field, type, value, attrs = {}) => {
+  const input = Object.assign(document.createElement("input"), { type, value, ...attrs });
+  input.dataset.field = field;
+  input.className = type === "color" ? "form-control form-control-sm form-control-color p-0" : "form-control form-control-sm";
+  return input;
+};
+
+// Builds a small button for an editable list row, tagged with the action it runs
+export const makeRowButton = (action, text, title) => {
+  const button = Object.assign(document.createElement("button"), { type: "button", className: "btn btn-sm", textContent: text, title });
+  button.dataset.action = action;
+  return button;
+};
+
+// Wraps an input with a caption above it
+export const makeLabelled = (label, input) => {
+  const wrapper = document.createElement("label");
+  wrapper.className = "d-flex flex-column flex-fill";
+  wrapper.append(label, input);
+  return wrapper;
+};
+
 // Creates a base panel object with common state management
 // Returns an object with currentGroup and helper methods
 export function createPanelBase() {
@@ -1,5 +1,6 @@
 // Handles touch drag-drop for devices and pinch-to-zoom/pan for Fabric canvas
 import { addCameraCoverage } from "../devices/camera/camera-core.js";
+import { createDeviceName } from "../devices/device-naming.js";
 
 (function () {
   // Waits until window.fabricCanvas is available
@@ -29,13 +30,11 @@ import { addCameraCoverage } from "../devices/camera/camera-core.js";
     const canvasY = (localY - vpt[5]) / zoom;
 
     const isCamera = options.isCamera === true || imgSrc.includes("camera");
-    window.cameraCounter = window.cameraCounter || 1;
-    window.deviceCounter = window.deviceCounter || 1;
-    const labelText = isCamera ? `Camera ${window.cameraCounter++}` : `Device ${window.deviceCounter++}`;
 
     window.fabric.Image.fromURL(
       imgSrc,
       (img) => {
+        const labelText = createDeviceName(fabricCanvas, { deviceType: imgSrc, isCamera, point: { x: canvasX, y: canvasY } });
         const defaultIconSize = Math.max(1, Math.min(100, window.defaultDeviceIconSize || 30));
         const scaleFactor = defaultIconSize / 30;
 